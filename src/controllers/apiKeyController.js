@@ -0,0 +1,170 @@
+import { ApiKey, Workspace } from '../models/index.js';
+import { validationResult } from 'express-validator';
+import { recordAudit } from '../utils/audit.js';
+
+/**
+ * API Key Controller
+ * Lets users mint, list and revoke personal API keys
+ */
+
+/**
+ * Record an API key change in the audit log of every workspace it can act in
+ * A key that is not pinned to a workspace works in all of its owner's workspaces.
+ */
+const auditApiKey = async (req, apiKey, action) => {
+  const workspaces = apiKey.workspace
+    ? [apiKey.workspace]
+    : await Workspace.find({ 'members.user': req.user._id }).distinct('_id');
+
+  for (const workspace of workspaces) {
+    await recordAudit(req, {
+      action,
+      entityType: 'api-key',
+      entityId: apiKey._id,
+      workspace,
+      details: { name: apiKey.name, prefix: apiKey.prefix, scopes: apiKey.scopes }
+    });
+  }
+};
+
+/**
+ * GET /api/api-keys - Get the caller's API keys
+ */
+export const getMyApiKeys = async (req, res) => {
+  try {
+    const { includeRevoked = false } = req.query;
+
+    const filter = { user: req.user._id };
+    if (includeRevoked !== 'true') filter.revokedAt = null;
+
+    const apiKeys = await ApiKey.find(filter)
+      .populate('workspace', 'name')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      data: apiKeys,
+      count: apiKeys.length
+    });
+  } catch (error) {
+    console.error('Error fetching API keys:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch API keys',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * POST /api/api-keys - Create a new API key
+ * The plaintext key is only returned in this response
+ */
+export const createApiKey = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { name, scopes, expiresAt, workspace } = req.body;
+
+    // A key can only be pinned to a workspace its owner belongs to
+    if (workspace) {
+      const isMember = await Workspace.exists({ _id: workspace, 'members.user': req.user._id });
+      if (!isMember) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid workspace',
+          message: 'The specified workspace does not exist'
+        });
+      }
+    }
+
+    const { key, prefix, keyHash } = ApiKey.generateKey();
+    const apiKey = await ApiKey.create({
+      name,
+      scopes,
+      expiresAt,
+      workspace,
+      prefix,
+      keyHash,
+      user: req.user._id
+    });
+
+    await auditApiKey(req, apiKey, 'api-key.create');
+
+    res.status(201).json({
+      success: true,
+      message: 'API key created successfully. Store the key now, it will not be shown again.',
+      data: {
+        ...apiKey.toJSON(),
+        key
+      }
+    });
+  } catch (error) {
+    console.error('Error creating API key:', error);
+
+    // Handle validation errors
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        message: error.message,
+        details: Object.values(error.errors).map(e => ({
+          field: e.path,
+          message: e.message
+        }))
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create API key',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * DELETE /api/api-keys/:id - Revoke an API key
+ */
+export const revokeApiKey = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const apiKey = await ApiKey.findOneAndUpdate(
+      { _id: id, user: req.user._id, revokedAt: null },
+      { revokedAt: new Date() },
+      { new: true }
+    );
+
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        error: 'API key not found',
+        message: `API key with ID ${id} does not exist or is already revoked`
+      });
+    }
+
+    await auditApiKey(req, apiKey, 'api-key.revoke');
+
+    res.status(200).json({
+      success: true,
+      message: 'API key revoked successfully',
+      data: apiKey
+    });
+  } catch (error) {
+    console.error('Error revoking API key:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to revoke API key',
+      message: error.message
+    });
+  }
+};
@@ -0,0 +1,341 @@
+import { Task } from '../models/index.js';
+import { validationResult } from 'express-validator';
+import { can, findTaskForUser, PROJECT_PERMISSIONS } from '../utils/permissions.js';
+import { archivedProjectError, isArchived } from '../utils/archive.js';
+import { recordAudit } from '../utils/audit.js';
+import {
+  ATTACHMENT_FIELD,
+  receiveAttachments,
+  removeStoredFiles,
+  uploadErrorResponse
+} from '../utils/attachments.js';
+import { getStorage } from '../utils/storage/index.js';
+
+/**
+ * Attachment Controller
+ * Upload, download and removal of files attached to tasks. File contents
+ * live in file storage; the task keeps their metadata.
+ */
+
+/**
+ * Attachment metadata as returned by the API (storage details stay internal)
+ */
+const formatAttachment = ({ storageKey, ...attachment }) => attachment;
+
+/**
+ * GET /api/tasks/:id/attachments - List a task's attachments
+ */
+export const getTaskAttachments = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+
+    const { task } = await findTaskForUser(id, req, 'attachments');
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        error: 'Task not found',
+        message: `Task with ID ${id} does not exist`
+      });
+    }
+
+    const attachments = (task.attachments || []).map(formatAttachment);
+
+    res.status(200).json({
+      success: true,
+      data: attachments,
+      count: attachments.length
+    });
+  } catch (error) {
+    console.error('Error fetching attachments:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch attachments',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * POST /api/tasks/:id/attachments - Upload files to a task (multipart/form-data)
+ */
+export const uploadTaskAttachments = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+
+    const { task, role, project } = await findTaskForUser(id, req, 'attachments');
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        error: 'Task not found',
+        message: `Task with ID ${id} does not exist`
+      });
+    }
+
+    if (!can(role, 'task:edit')) {
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden',
+        message: `Attaching files requires the ${PROJECT_PERMISSIONS['task:edit']} role on the project`
+      });
+    }
+
+    if (isArchived(project)) {
+      return res.status(409).json(archivedProjectError(project));
+    }
+
+    // Only read the upload once the caller is known to be allowed to store it
+    const files = await receiveAttachments(req, res);
+    if (files.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'No files uploaded',
+        message: `Send files as multipart/form-data in the "${ATTACHMENT_FIELD}" field`
+      });
+    }
+
+    const storageKeys = files.map(file => file.storageKey);
+    const uploadedAt = new Date();
+    let updatedTask;
+    try {
+      updatedTask = await Task.findOneAndUpdate(
+        { _id: task._id },
+        {
+          $push: {
+            attachments: {
+              $each: files.map(file => ({
+                filename: file.originalname,
+                mimeType: file.mimetype,
+                size: file.size,
+                checksum: file.checksum,
+                storageKey: file.storageKey,
+                uploadedBy: req.user._id,
+                uploadedAt
+              }))
+            }
+          }
+        },
+        { new: true, runValidators: true }
+      ).select('attachments').lean();
+    } finally {
+      // Don't keep files nobody can reach
+      if (!updatedTask) await removeStoredFiles(storageKeys);
+    }
+
+    if (!updatedTask) {
+      return res.status(404).json({
+        success: false,
+        error: 'Task not found',
+        message: `Task with ID ${id} does not exist`
+      });
+    }
+
+    const added = updatedTask.attachments.filter(attachment => storageKeys.includes(attachment.storageKey));
+
+    await recordAudit(req, {
+      action: 'task.attachment-add',
+      entityType: 'task',
+      entityId: task._id,
+      details: {
+        attachments: added.map(attachment => ({
+          id: attachment._id,
+          filename: attachment.filename,
+          size: attachment.size,
+          checksum: attachment.checksum
+        }))
+      }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `${added.length} file(s) attached successfully`,
+      data: added.map(formatAttachment)
+    });
+  } catch (error) {
+    const uploadError = uploadErrorResponse(error);
+    if (uploadError) {
+      return res.status(uploadError.status).json(uploadError.body);
+    }
+
+    console.error('Error uploading attachments:', error);
+
+    // Handle validation errors
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to upload attachments',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * GET /api/tasks/:id/attachments/:attachmentId - Download an attachment
+ * Files are always served as downloads; the checksum doubles as ETag.
+ */
+export const downloadTaskAttachment = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { id, attachmentId } = req.params;
+
+    const { task } = await findTaskForUser(id, req, 'attachments');
+    const attachment = task && (task.attachments || []).find(item => item._id.toString() === attachmentId);
+
+    if (!attachment) {
+      return res.status(404).json({
+        success: false,
+        error: 'Attachment not found',
+        message: `Attachment with ID ${attachmentId} does not exist on this task`
+      });
+    }
+
+    if (!attachment.storageKey) {
+      return res.status(404).json({
+        success: false,
+        error: 'File not stored',
+        message: `This attachment only links to ${attachment.url}`
+      });
+    }
+
+    res.set({
+      ETag: `"${attachment.checksum}"`,
+      'Cache-Control': 'private, no-cache',
+      'X-Content-Type-Options': 'nosniff'
+    });
+    if (req.fresh) {
+      return res.status(304).end();
+    }
+
+    let stream;
+    try {
+      stream = await getStorage().read(attachment.storageKey);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      return res.status(404).json({
+        success: false,
+        error: 'File missing',
+        message: `The file for attachment "${attachment.filename}" is no longer in storage`
+      });
+    }
+
+    // attachment() guesses a type from the filename, so set the stored one after it
+    res.attachment(attachment.filename);
+    res.setHeader('Content-Type', attachment.mimeType || 'application/octet-stream');
+    res.setHeader('Content-Length', attachment.size);
+
+    stream.on('error', (error) => {
+      console.error('Error streaming attachment:', error);
+      res.destroy(error);
+    });
+    stream.pipe(res);
+  } catch (error) {
+    console.error('Error downloading attachment:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to download attachment',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * DELETE /api/tasks/:id/attachments/:attachmentId - Remove an attachment and its file
+ */
+export const deleteTaskAttachment = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { id, attachmentId } = req.params;
+
+    const { task, role, project } = await findTaskForUser(id, req, 'attachments');
+    const attachment = task && (task.attachments || []).find(item => item._id.toString() === attachmentId);
+
+    if (!attachment) {
+      return res.status(404).json({
+        success: false,
+        error: 'Attachment not found',
+        message: `Attachment with ID ${attachmentId} does not exist on this task`
+      });
+    }
+
+    if (!can(role, 'task:edit')) {
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden',
+        message: `Removing attachments requires the ${PROJECT_PERMISSIONS['task:edit']} role on the project`
+      });
+    }
+
+    if (isArchived(project)) {
+      return res.status(409).json(archivedProjectError(project));
+    }
+
+    await Task.updateOne({ _id: task._id }, { $pull: { attachments: { _id: attachment._id } } });
+    if (attachment.storageKey) {
+      await removeStoredFiles([attachment.storageKey]);
+    }
+
+    await recordAudit(req, {
+      action: 'task.attachment-remove',
+      entityType: 'task',
+      entityId: task._id,
+      details: { attachment: attachment._id, filename: attachment.filename }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Attachment removed successfully',
+      data: formatAttachment(attachment)
+    });
+  } catch (error) {
+    console.error('Error removing attachment:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to remove attachment',
+      message: error.message
+    });
+  }
+};
@@ -0,0 +1,147 @@
+import { AuditLog } from '../models/index.js';
+import { validationResult } from 'express-validator';
+
+/**
+ * Audit Controller
+ * Read access to the workspace audit log for owners and admins
+ */
+
+/**
+ * Build the entry filter from the query string
+ */
+const buildAuditFilter = (req) => {
+  const { actor, entityType, entityId, action, from, to } = req.query;
+  const filter = { workspace: req.workspace._id };
+
+  if (actor) filter.actor = actor;
+  if (entityType) filter.entityType = entityType;
+  if (entityId) filter.entityId = entityId;
+  // "project" matches every project.* action
+  if (action) filter.action = action.includes('.') ? action : { $regex: `^${action}\\.` };
+  if (from || to) {
+    filter.at = {};
+    if (from) filter.at.$gte = new Date(from);
+    if (to) filter.at.$lte = new Date(to);
+  }
+
+  return filter;
+};
+
+/**
+ * GET /api/audit - Get audit log entries, newest first
+ */
+export const getAuditLog = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { page = 1, limit = 50 } = req.query;
+    const filter = buildAuditFilter(req);
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [entries, total] = await Promise.all([
+      AuditLog.find(filter)
+        .populate('actor', 'name email')
+        .sort({ seq: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .lean(),
+      AuditLog.countDocuments(filter)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: entries,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / parseInt(limit)),
+        totalItems: total,
+        itemsPerPage: parseInt(limit)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching audit log:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch audit log',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * GET /api/audit/export - Stream audit log entries as NDJSON, oldest first
+ * Entries are exported as stored, hashes included, so the chain can be
+ * verified independently.
+ */
+export const exportAuditLog = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const cursor = AuditLog.find(buildAuditFilter(req)).sort({ seq: 1 }).lean().cursor();
+
+    res.setHeader('Content-Type', 'application/x-ndjson');
+    res.setHeader('Content-Disposition', `attachment; filename="audit-${req.workspace._id}.ndjson"`);
+
+    for await (const entry of cursor) {
+      // Stop when the client goes away, and respect backpressure otherwise
+      if (res.destroyed) break;
+      if (!res.write(`${JSON.stringify(entry)}\n`)) {
+        await new Promise(resolve => {
+          res.once('drain', resolve);
+          res.once('close', resolve);
+        });
+      }
+    }
+    await cursor.close();
+    res.end();
+  } catch (error) {
+    console.error('Error exporting audit log:', error);
+
+    // Once streaming has started the status can no longer change
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Failed to export audit log',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * GET /api/audit/verify - Check the workspace's audit chain for tampering
+ */
+export const verifyAuditLog = async (req, res) => {
+  try {
+    const result = await AuditLog.verifyChain(req.workspace._id);
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    console.error('Error verifying audit log:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to verify audit log',
+      message: error.message
+    });
+  }
+};
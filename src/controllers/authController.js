@@ -0,0 +1,319 @@
+import { User, Workspace } from '../models/index.js';
+import { validationResult } from 'express-validator';
+import {
+  generateAccessToken,
+  generateRefreshToken,
+  verifyRefreshToken
+} from '../utils/tokens.js';
+
+/**
+ * Auth Controller
+ * Handles registration, login and the access/refresh token lifecycle
+ */
+
+/**
+ * Issue a new token pair and remember the refresh token on the user
+ */
+const issueTokens = async (user) => {
+  const accessToken = generateAccessToken(user);
+  const refresh = generateRefreshToken(user);
+
+  user.pruneRefreshTokens();
+  user.refreshTokens.push({ tokenId: refresh.tokenId, expiresAt: refresh.expiresAt });
+  await user.save();
+
+  return {
+    accessToken,
+    refreshToken: refresh.token,
+    tokenType: 'Bearer',
+    refreshTokenExpiresAt: refresh.expiresAt
+  };
+};
+
+/**
+ * POST /api/auth/register - Create a new user account
+ */
+export const register = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { name, email, password, timezone } = req.body;
+
+    const existingUser = await User.findOne({ email: email.toLowerCase() });
+    if (existingUser) {
+      return res.status(409).json({
+        success: false,
+        error: 'User already exists',
+        message: 'An account with this email already exists'
+      });
+    }
+
+    const user = new User({ name, email, password, timezone });
+    await user.save();
+
+    // Every account starts with a personal workspace
+    const workspace = await Workspace.createPersonal(user);
+    user.defaultWorkspace = workspace._id;
+    const tokens = await issueTokens(user);
+
+    res.status(201).json({
+      success: true,
+      message: 'User registered successfully',
+      data: {
+        user,
+        workspace,
+        ...tokens
+      }
+    });
+  } catch (error) {
+    console.error('Error registering user:', error);
+
+    // Handle validation errors
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        message: error.message,
+        details: Object.values(error.errors).map(e => ({
+          field: e.path,
+          message: e.message
+        }))
+      });
+    }
+
+    // Handle duplicate key errors
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        error: 'User already exists',
+        message: 'An account with this email already exists'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to register user',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * POST /api/auth/login - Exchange credentials for a token pair
+ */
+export const login = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { email, password } = req.body;
+
+    const user = await User.findOne({ email: email.toLowerCase() })
+      .select('+password +refreshTokens');
+
+    if (!user || !user.isActive || !(await user.comparePassword(password))) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid credentials',
+        message: 'Email or password is incorrect'
+      });
+    }
+
+    user.lastLoginAt = new Date();
+    const tokens = await issueTokens(user);
+
+    res.status(200).json({
+      success: true,
+      message: 'Logged in successfully',
+      data: {
+        user,
+        ...tokens
+      }
+    });
+  } catch (error) {
+    console.error('Error logging in:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to log in',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * POST /api/auth/refresh - Rotate a refresh token into a new token pair
+ */
+export const refresh = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const payload = verifyRefreshToken(req.body.refreshToken);
+
+    const user = await User.findById(payload.sub).select('+refreshTokens');
+    const storedToken = user?.refreshTokens.find(token => token.tokenId === payload.jti);
+
+    if (!user || !user.isActive || !storedToken) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid refresh token',
+        message: 'This refresh token has been revoked or does not exist'
+      });
+    }
+
+    // Refresh tokens are single use: drop the old one before issuing a new pair
+    user.refreshTokens.pull(storedToken._id);
+    const tokens = await issueTokens(user);
+
+    res.status(200).json({
+      success: true,
+      message: 'Token refreshed successfully',
+      data: tokens
+    });
+  } catch (error) {
+    // Let the global error handler map JsonWebTokenError/TokenExpiredError to 401
+    if (error.name === 'JsonWebTokenError' || error.name === 'TokenExpiredError') {
+      return next(error);
+    }
+
+    console.error('Error refreshing token:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to refresh token',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * POST /api/auth/logout - Revoke a refresh token (or every token of its user)
+ */
+export const logout = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { refreshToken, allDevices = false } = req.body;
+    const payload = verifyRefreshToken(refreshToken);
+
+    const user = await User.findById(payload.sub).select('+refreshTokens');
+
+    if (user) {
+      if (allDevices === true || allDevices === 'true') {
+        user.refreshTokens = [];
+      } else {
+        user.refreshTokens = user.refreshTokens.filter(token => token.tokenId !== payload.jti);
+        user.pruneRefreshTokens();
+      }
+      await user.save();
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    // Let the global error handler map JsonWebTokenError/TokenExpiredError to 401
+    if (error.name === 'JsonWebTokenError' || error.name === 'TokenExpiredError') {
+      return next(error);
+    }
+
+    console.error('Error logging out:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to log out',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * GET /api/auth/me - Get the authenticated user's profile
+ */
+export const getCurrentUser = async (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: req.user
+  });
+};
+
+/**
+ * PUT /api/auth/me - Update the authenticated user's name or time zone
+ */
+export const updateCurrentUser = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { name, timezone } = req.body;
+    const user = req.user;
+
+    if (name !== undefined) user.name = name;
+    // null clears the time zone, so dates fall back to the workspace's
+    if (timezone !== undefined) user.timezone = timezone;
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Profile updated successfully',
+      data: user
+    });
+  } catch (error) {
+    console.error('Error updating profile:', error);
+
+    // Handle validation errors
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        message: error.message,
+        details: Object.values(error.errors).map(e => ({
+          field: e.path,
+          message: e.message
+        }))
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update profile',
+      message: error.message
+    });
+  }
+};
@@ -0,0 +1,457 @@
+import { Comment } from '../models/index.js';
+import { validationResult } from 'express-validator';
+import { can, findTaskForUser, PROJECT_PERMISSIONS, sameId } from '../utils/permissions.js';
+import { archivedProjectError, isArchived } from '../utils/archive.js';
+import { resolveMentions } from '../utils/comments.js';
+import { recordAudit } from '../utils/audit.js';
+
+/**
+ * Comment Controller
+ * Threaded comments on tasks. Top-level comments are listed oldest first,
+ * and each thread's replies are paged separately.
+ */
+
+const USER_FIELDS = 'name email';
+
+/**
+ * Populate the users a comment refers to
+ */
+const populateComment = (query) => query.populate('author', USER_FIELDS).populate('mentions', USER_FIELDS);
+
+/**
+ * GET /api/tasks/:id/comments - Get a task's top-level comments with reply counts
+ */
+export const getTaskComments = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const { page = 1, limit = 20 } = req.query;
+
+    const { task } = await findTaskForUser(id, req);
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        error: 'Task not found',
+        message: `Task with ID ${id} does not exist`
+      });
+    }
+
+    const filter = { task: task._id, thread: null };
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [comments, total] = await Promise.all([
+      populateComment(Comment.find(filter).select('-edits'))
+        .sort({ createdAt: 1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .lean(),
+      Comment.countDocuments(filter)
+    ]);
+
+    const replyCounts = await Comment.aggregate([
+      { $match: { thread: { $in: comments.map(comment => comment._id) } } },
+      { $group: { _id: '$thread', count: { $sum: 1 } } }
+    ]);
+    const countsByThread = new Map(replyCounts.map(entry => [entry._id.toString(), entry.count]));
+    comments.forEach(comment => {
+      comment.replyCount = countsByThread.get(comment._id.toString()) || 0;
+    });
+
+    const totalPages = Math.ceil(total / parseInt(limit));
+
+    res.status(200).json({
+      success: true,
+      data: comments,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages,
+        totalComments: total,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching comments:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch comments',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * GET /api/tasks/:id/comments/:commentId - Get a comment with its edit history
+ */
+export const getTaskComment = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { id, commentId } = req.params;
+
+    const { task } = await findTaskForUser(id, req);
+    const comment = task && await populateComment(Comment.findOne({ _id: commentId, task: task._id })).lean();
+
+    if (!comment) {
+      return res.status(404).json({
+        success: false,
+        error: 'Comment not found',
+        message: `Comment with ID ${commentId} does not exist on this task`
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: comment
+    });
+  } catch (error) {
+    console.error('Error fetching comment:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch comment',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * GET /api/tasks/:id/comments/:commentId/replies - Get the replies in a thread, oldest first
+ * Each reply names the comment it answers in `parent`.
+ */
+export const getCommentReplies = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { id, commentId } = req.params;
+    const { page = 1, limit = 20 } = req.query;
+
+    const { task } = await findTaskForUser(id, req);
+    const thread = task && await Comment.exists({ _id: commentId, task: task._id, thread: null });
+
+    if (!thread) {
+      return res.status(404).json({
+        success: false,
+        error: 'Comment not found',
+        message: `Top-level comment with ID ${commentId} does not exist on this task`
+      });
+    }
+
+    const filter = { thread: thread._id };
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [replies, total] = await Promise.all([
+      populateComment(Comment.find(filter).select('-edits'))
+        .sort({ createdAt: 1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .lean(),
+      Comment.countDocuments(filter)
+    ]);
+
+    const totalPages = Math.ceil(total / parseInt(limit));
+
+    res.status(200).json({
+      success: true,
+      data: replies,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages,
+        totalComments: total,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching replies:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch replies',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * POST /api/tasks/:id/comments - Comment on a task, or reply to a comment
+ */
+export const addTaskComment = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const { content, parent: parentId } = req.body;
+
+    const { task, role, project } = await findTaskForUser(id, req);
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        error: 'Task not found',
+        message: `Task with ID ${id} does not exist`
+      });
+    }
+
+    if (!can(role, 'task:comment')) {
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden',
+        message: `Commenting requires the ${PROJECT_PERMISSIONS['task:comment']} role on the project`
+      });
+    }
+
+    if (isArchived(project)) {
+      return res.status(409).json(archivedProjectError(project));
+    }
+
+    let parent = null;
+    if (parentId) {
+      parent = await Comment.findOne({ _id: parentId, task: task._id, deletedAt: null }).select('thread').lean();
+      if (!parent) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid parent',
+          message: 'The comment being replied to does not exist on this task'
+        });
+      }
+    }
+
+    const { mentions, unresolved } = await resolveMentions(content, { ...task, project });
+    const comment = await Comment.create({
+      task: task._id,
+      workspace: req.workspace._id,
+      author: req.user._id,
+      parent: parent ? parent._id : null,
+      thread: parent ? parent.thread || parent._id : null,
+      content,
+      mentions
+    });
+
+    await recordAudit(req, {
+      action: 'task.comment-add',
+      entityType: 'task',
+      entityId: task._id,
+      details: { comment: comment._id, ...(parent && { parent: parent._id }), mentions }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Comment added successfully',
+      data: await populateComment(Comment.findById(comment._id).select('-edits')).lean(),
+      ...(unresolved.length > 0 && { unresolvedMentions: unresolved })
+    });
+  } catch (error) {
+    console.error('Error adding comment:', error);
+
+    // Handle validation errors
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to add comment',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * PUT /api/tasks/:id/comments/:commentId - Edit a comment (author only)
+ * The previous content is kept in the comment's edit history.
+ */
+export const updateTaskComment = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { id, commentId } = req.params;
+    const { content } = req.body;
+
+    const { task, role, project } = await findTaskForUser(id, req);
+    const comment = task && await Comment.findOne({ _id: commentId, task: task._id, deletedAt: null });
+
+    if (!comment) {
+      return res.status(404).json({
+        success: false,
+        error: 'Comment not found',
+        message: `Comment with ID ${commentId} does not exist on this task`
+      });
+    }
+
+    if (!sameId(comment.author, req.user._id) || !can(role, 'task:comment')) {
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden',
+        message: 'Only the author can edit a comment'
+      });
+    }
+
+    if (isArchived(project)) {
+      return res.status(409).json(archivedProjectError(project));
+    }
+
+    let unresolved = [];
+    if (content !== comment.content) {
+      const resolved = await resolveMentions(content, { ...task, project });
+      unresolved = resolved.unresolved;
+
+      const editedAt = new Date();
+      comment.edits.push({ content: comment.content, editedAt });
+      comment.content = content;
+      comment.mentions = resolved.mentions;
+      comment.editedAt = editedAt;
+      await comment.save();
+
+      await recordAudit(req, {
+        action: 'task.comment-edit',
+        entityType: 'task',
+        entityId: task._id,
+        details: { comment: comment._id, mentions: resolved.mentions }
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Comment updated successfully',
+      data: await populateComment(Comment.findById(comment._id).select('-edits')).lean(),
+      ...(unresolved.length > 0 && { unresolvedMentions: unresolved })
+    });
+  } catch (error) {
+    console.error('Error updating comment:', error);
+
+    // Handle validation errors
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update comment',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * DELETE /api/tasks/:id/comments/:commentId - Delete a comment
+ * Authors can delete their own comments, maintainers anyone's. A comment
+ * with replies is emptied instead, so its thread stays readable.
+ */
+export const deleteTaskComment = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { id, commentId } = req.params;
+
+    const { task, role, project } = await findTaskForUser(id, req);
+    const comment = task && await Comment.findOne({ _id: commentId, task: task._id, deletedAt: null })
+      .select('author')
+      .lean();
+
+    if (!comment) {
+      return res.status(404).json({
+        success: false,
+        error: 'Comment not found',
+        message: `Comment with ID ${commentId} does not exist on this task`
+      });
+    }
+
+    const isAuthor = sameId(comment.author, req.user._id);
+    if (!(isAuthor && can(role, 'task:comment')) && !can(role, 'comments:moderate')) {
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden',
+        message: `Deleting other people's comments requires the ${PROJECT_PERMISSIONS['comments:moderate']} role on the project`
+      });
+    }
+
+    if (isArchived(project)) {
+      return res.status(409).json(archivedProjectError(project));
+    }
+
+    const hasReplies = Boolean(await Comment.exists({ parent: comment._id }));
+    if (hasReplies) {
+      await Comment.updateOne(
+        { _id: comment._id },
+        { $set: { content: '', mentions: [], edits: [], deletedAt: new Date(), deletedBy: req.user._id } }
+      );
+    } else {
+      await Comment.deleteOne({ _id: comment._id });
+    }
+
+    await recordAudit(req, {
+      action: 'task.comment-delete',
+      entityType: 'task',
+      entityId: task._id,
+      details: { comment: comment._id, ...(!isAuthor && { author: comment.author }) }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Comment deleted successfully',
+      data: { id: comment._id, keptForReplies: hasReplies }
+    });
+  } catch (error) {
+    console.error('Error deleting comment:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete comment',
+      message: error.message
+    });
+  }
+};
@@ -1,4 +1,45 @@
+import mongoose from 'mongoose';
+import { validationResult } from 'express-validator';
 import { Task, Project } from '../models/index.js';
+import {
+  can,
+  getProjectRole,
+  buildProjectAccessFilter,
+  buildTaskAccessFilter,
+  PROJECT_PERMISSIONS
+} from '../utils/permissions.js';
+import { refreshProgress } from '../utils/taskHierarchy.js';
+import { spawnNextOccurrence } from '../utils/recurrence.js';
+import {
+  checkStatusChange,
+  findStatusesOutsideWorkflow,
+  getStatusCategory,
+  loadWorkflow,
+  resolveWorkflow
+} from '../utils/workflow.js';
+import {
+  findOpenBlockers,
+  BLOCKED_TRANSITIONS
+} from '../utils/taskDependencies.js';
+import {
+  getFlowTimes,
+  summarizeFlowTimes,
+  getFlowPercentiles,
+  getCumulativeFlow,
+  MAX_FLOW_DAYS
+} from '../utils/taskHistory.js';
+import { getInvoiceLines } from '../utils/billing.js';
+import {
+  buildOverdueFilter,
+  getOverdueDays,
+  getTaskCalendar,
+  loadCalendars,
+  parseLocalDate,
+  resolveTimezone
+} from '../utils/calendar.js';
+import { recordAudit } from '../utils/audit.js';
+import { trashTasks } from '../utils/trash.js';
+import { archivedProjectError, isArchived } from '../utils/archive.js';
 
 /**
  * Dashboard Controller
@@ -12,14 +53,22 @@ import { Task, Project } from '../models/index.js';
 export const getDashboardData = async (req, res) => {
   try {
     // Get date range (default: last 30 days)
-    const { days = 30 } = req.query;
+    const { days = 30, includeArchived } = req.query;
     const startDate = new Date();
     startDate.setDate(startDate.getDate() - parseInt(days));
+    // Days are bucketed in the caller's time zone
+    const timezone = resolveTimezone(req.timezone, req.workspace);
+
+    // Everything below only covers the caller's workspace data (archived projects on request)
+    const archiveOptions = { includeArchived: includeArchived === 'true' };
+    const projectFilter = buildProjectAccessFilter(req.user, req.workspace._id, archiveOptions);
+    const taskFilter = await buildTaskAccessFilter(req.user, req.workspace._id, 'task:view', archiveOptions);
 
     // 1. Overall Statistics
     const [projectStats, taskStats] = await Promise.all([
       // Project statistics with aggregation
       Project.aggregate([
+        { $match: projectFilter },
         {
           $group: {
             _id: '$status',
@@ -39,6 +88,7 @@ export const getDashboardData = async (req, res) => {
 
       // Task statistics with time tracking
       Task.aggregate([
+        { $match: taskFilter },
         {
           $group: {
             _id: '$status',
@@ -63,6 +113,7 @@ export const getDashboardData = async (req, res) => {
     const productivityMetrics = await Task.aggregate([
       {
         $match: {
+          ...taskFilter,
           createdAt: { $gte: startDate },
           completedDate: { $exists: true }
         }
@@ -72,7 +123,8 @@ export const getDashboardData = async (req, res) => {
           _id: {
             $dateToString: {
               format: '%Y-%m-%d',
-              date: '$completedDate'
+              date: '$completedDate',
+              timezone
             }
           },
           tasksCompleted: { $sum: 1 },
@@ -87,8 +139,12 @@ export const getDashboardData = async (req, res) => {
       { $sort: { _id: 1 } }
     ]);
 
+    // Lead and cycle time come from the task history
+    const flowMetrics = summarizeFlowTimes(await getFlowTimes(taskFilter, { startDate }));
+
     // 3. Priority Distribution
     const priorityDistribution = await Task.aggregate([
+      { $match: taskFilter },
       {
         $group: {
           _id: {
@@ -112,32 +168,30 @@ export const getDashboardData = async (req, res) => {
       }
     ]);
 
-    // 4. Overdue Analysis
-    const overdueAnalysis = await Task.aggregate([
-      {
-        $match: {
-          dueDate: { $lt: new Date() },
-          status: { $nin: ['completed', 'cancelled'] }
-        }
-      },
-      {
-        $group: {
-          _id: '$priority',
-          count: { $sum: 1 },
-          avgOverdueDays: {
-            $avg: {
-              $divide: [
-                { $subtract: [new Date(), '$dueDate'] },
-                1000 * 60 * 60 * 24
-              ]
-            }
-          }
-        }
-      }
-    ]);
+    // 4. Overdue Analysis (working days under each task's calendar)
+    const now = new Date();
+    const calendars = await loadCalendars(req.workspace, req.timezone);
+    const overdueFilter = buildOverdueFilter(calendars, now);
+    const overdueTasks = await Task.find({ $and: [taskFilter, overdueFilter] })
+      .select('priority project dueDate')
+      .lean();
+    const overdueByPriority = new Map();
+    overdueTasks.forEach(task => {
+      const days = getOverdueDays(task.dueDate, getTaskCalendar(calendars, task.project), now);
+      const group = overdueByPriority.get(task.priority) || { _id: task.priority, count: 0, totalDays: 0 };
+      group.count += 1;
+      group.totalDays += days;
+      overdueByPriority.set(task.priority, group);
+    });
+    const overdueAnalysis = [...overdueByPriority.values()].map(({ _id, count, totalDays }) => ({
+      _id,
+      count,
+      avgOverdueDays: Math.round((totalDays / count) * 10) / 10
+    }));
 
     // 5. Project Progress Overview
     const projectProgress = await Project.aggregate([
+      { $match: projectFilter },
       {
         $lookup: {
           from: 'tasks',
@@ -146,6 +200,23 @@ export const getDashboardData = async (req, res) => {
           as: 'tasks'
         }
       },
+      // $lookup does not skip deleted tasks
+      {
+        $addFields: {
+          tasks: { $filter: { input: '$tasks', cond: { $not: ['$$this.deletedAt'] } } }
+        }
+      },
+      // Only count leaf tasks; parents are rolled up from their subtasks
+      {
+        $addFields: {
+          tasks: {
+            $filter: {
+              input: '$tasks',
+              cond: { $not: [{ $in: ['$$this._id', '$tasks.parent'] }] }
+            }
+          }
+        }
+      },
       {
         $project: {
           name: 1,
@@ -192,7 +263,7 @@ export const getDashboardData = async (req, res) => {
 
     // 6. Recent Activity (for activity feed)
     const recentActivity = await Task.aggregate([
-      { $match: { updatedAt: { $gte: startDate } } },
+      { $match: { ...taskFilter, updatedAt: { $gte: startDate } } },
       { $sort: { updatedAt: -1 } },
       { $limit: 20 },
       {
@@ -231,26 +302,29 @@ export const getDashboardData = async (req, res) => {
       success: true,
       data: {
         overview: {
-          totalProjects: await Project.countDocuments(),
-          totalTasks: await Task.countDocuments(),
-          overdueCount: await Task.countDocuments({
-            dueDate: { $lt: new Date() },
-            status: { $nin: ['completed', 'cancelled'] }
-          }),
+          totalProjects: await Project.countDocuments(projectFilter),
+          totalTasks: await Task.countDocuments(taskFilter),
+          overdueCount: overdueTasks.length,
           completionRate: performanceInsights.completionRate
         },
         projectStats,
         taskStats,
         productivityMetrics,
+        flowMetrics,
         priorityDistribution,
         overdueAnalysis,
         projectProgress,
         recentActivity,
         performanceInsights,
+        workspace: {
+          id: req.workspace._id,
+          name: req.workspace.name
+        },
         timeRange: {
           startDate,
           endDate: new Date(),
-          days: parseInt(days)
+          days: parseInt(days),
+          timezone
         }
       }
     });
@@ -269,24 +343,48 @@ export const getDashboardData = async (req, res) => {
  */
 export const generateReport = async (req, res) => {
   try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
     const { type } = req.params;
-    const { startDate, endDate, format = 'json' } = req.query;
+    const { startDate, endDate, format = 'json', includeArchived, project, assignee, priority, tag } = req.query;
 
+    // Dates are read and bucketed in the caller's time zone
+    const timezone = resolveTimezone(req.timezone, req.workspace);
     const dateFilter = {};
-    if (startDate) dateFilter.$gte = new Date(startDate);
-    if (endDate) dateFilter.$lte = new Date(endDate);
+    if (startDate) dateFilter.$gte = parseLocalDate(startDate, timezone);
+    if (endDate) dateFilter.$lte = parseLocalDate(endDate, timezone);
+
+    // Reports only cover the caller's workspace data (archived projects on request)
+    const archiveOptions = { includeArchived: includeArchived === 'true' };
+    const projectFilter = buildProjectAccessFilter(req.user, req.workspace._id, archiveOptions);
+    // IDs are cast here because aggregate $match stages do not cast them
+    const taskFilter = {
+      ...await buildTaskAccessFilter(req.user, req.workspace._id, 'task:view', archiveOptions),
+      ...(project && { project: new mongoose.Types.ObjectId(project) }),
+      ...(assignee && { assignees: new mongoose.Types.ObjectId(assignee) }),
+      ...(priority && { priority }),
+      ...(tag && { tags: tag })
+    };
 
     let reportData;
 
     switch (type) {
       case 'productivity':
         reportData = await Task.aggregate([
-          ...(Object.keys(dateFilter).length ? [{ $match: { completedDate: dateFilter } }] : []),
+          { $match: { ...taskFilter, ...(Object.keys(dateFilter).length ? { completedDate: dateFilter } : {}) } },
           {
             $group: {
               _id: {
-                week: { $week: '$completedDate' },
-                year: { $year: '$completedDate' }
+                week: { $week: { date: '$completedDate', timezone } },
+                year: { $year: { date: '$completedDate', timezone } }
               },
               tasksCompleted: { $sum: 1 },
               totalHours: { $sum: '$actualHours' },
@@ -299,6 +397,7 @@ export const generateReport = async (req, res) => {
 
       case 'project-performance':
         reportData = await Project.aggregate([
+          { $match: projectFilter },
           {
             $lookup: {
               from: 'tasks',
@@ -307,6 +406,12 @@ export const generateReport = async (req, res) => {
               as: 'tasks'
             }
           },
+          // $lookup does not skip deleted tasks
+          {
+            $addFields: {
+              tasks: { $filter: { input: '$tasks', cond: { $not: ['$$this.deletedAt'] } } }
+            }
+          },
           {
             $project: {
               name: 1,
@@ -341,6 +446,7 @@ export const generateReport = async (req, res) => {
         reportData = await Task.aggregate([
           {
             $match: {
+              ...taskFilter,
               estimatedHours: { $exists: true },
               actualHours: { $exists: true },
               ...(Object.keys(dateFilter).length ? { completedDate: dateFilter } : {})
@@ -363,11 +469,52 @@ export const generateReport = async (req, res) => {
         ]);
         break;
 
+      case 'cycle-time':
+        reportData = await getFlowTimes(taskFilter, {
+          startDate: dateFilter.$gte,
+          endDate: dateFilter.$lte
+        });
+        break;
+
+      case 'flow-metrics':
+        // Cycle and lead time percentiles of the tasks completed in the range
+        reportData = getFlowPercentiles(await getFlowTimes(taskFilter, {
+          startDate: dateFilter.$gte,
+          endDate: dateFilter.$lte
+        }));
+        break;
+
+      case 'cumulative-flow': {
+        // Daily counts per status, the last 30 days unless a range is given
+        const days = ((dateFilter.$lte || new Date()) - dateFilter.$gte) / (24 * 60 * 60 * 1000);
+        if (dateFilter.$gte && (days < 0 || days >= MAX_FLOW_DAYS)) {
+          return res.status(400).json({
+            success: false,
+            error: 'Invalid date range',
+            message: `startDate must come before endDate and the range cannot exceed ${MAX_FLOW_DAYS} days`
+          });
+        }
+        reportData = await getCumulativeFlow(taskFilter, {
+          startDate: dateFilter.$gte,
+          endDate: dateFilter.$lte,
+          timezone
+        });
+        break;
+      }
+
+      case 'invoice':
+        // One line per client, project and user for billable time in the range
+        reportData = await getInvoiceLines(taskFilter, {
+          startDate: dateFilter.$gte,
+          endDate: dateFilter.$lte
+        });
+        break;
+
       default:
         return res.status(400).json({
           success: false,
           error: 'Invalid report type',
-          message: 'Available types: productivity, project-performance, time-tracking'
+          message: 'Available types: productivity, project-performance, time-tracking, cycle-time, flow-metrics, cumulative-flow, invoice'
         });
     }
 
@@ -384,6 +531,7 @@ export const generateReport = async (req, res) => {
     res.status(200).json({
       success: true,
       reportType: type,
+      timezone,
       data: reportData,
       generatedAt: new Date().toISOString(),
       recordCount: reportData.length
@@ -404,6 +552,7 @@ export const generateReport = async (req, res) => {
 export const bulkUpdateTasks = async (req, res) => {
   try {
     const { taskIds, updates, operation } = req.body;
+    const { force = false } = req.query;
 
     if (!taskIds || !Array.isArray(taskIds) || taskIds.length === 0) {
       return res.status(400).json({
@@ -413,7 +562,19 @@ export const bulkUpdateTasks = async (req, res) => {
       });
     }
 
+    // Only touch the tasks the caller is allowed to change (archived projects are read-only)
+    const accessFilter = await buildTaskAccessFilter(
+      req.user,
+      req.workspace._id,
+      operation === 'delete' ? 'task:delete' : 'task:edit'
+    );
+    const scope = { _id: { $in: taskIds }, ...accessFilter };
+
     let result;
+    let skipped = [];
+    let warnings;
+    let nextOccurrences = [];
+    let deletedIds = [];
 
     switch (operation) {
       case 'update-status':
@@ -423,10 +584,54 @@ export const bulkUpdateTasks = async (req, res) => {
             error: 'Status is required for status update'
           });
         }
+        // Every task must be allowed to make the change under its project's workflow
+        const candidates = await Task.find({ ...scope, status: { $ne: updates.status } })
+          .select('status project blockedBy description assignees dueDate estimatedHours actualHours tags')
+          .populate('project', 'workflow')
+          .lean();
+        const violations = candidates.flatMap(task => {
+          return checkStatusChange(resolveWorkflow(task.project), task, updates.status)
+            .map(violation => ({ taskId: task._id, ...violation }));
+        });
+
+        if (violations.length > 0) {
+          return res.status(422).json({
+            success: false,
+            error: 'Workflow violation',
+            message: `${new Set(violations.map(v => v.taskId.toString())).size} tasks cannot move to ${updates.status}. No tasks were updated.`,
+            violations
+          });
+        }
+
+        // Blocked tasks are skipped unless forced
+        let statusScope = scope;
+        const starting = candidates.filter(task => {
+          return BLOCKED_TRANSITIONS.includes(getStatusCategory(resolveWorkflow(task.project), updates.status));
+        });
+        if (starting.length > 0) {
+          const blockers = await findOpenBlockers(starting);
+
+          if (blockers.size > 0 && force !== 'true') {
+            skipped = [...blockers.entries()].map(([id, blockedBy]) => ({ id, reason: 'blocked', blockedBy }));
+            statusScope = { ...scope, _id: { $in: taskIds, $nin: [...blockers.keys()] } };
+          } else if (blockers.size > 0) {
+            warnings = [`${blockers.size} tasks were moved to ${updates.status} while still blocked`];
+          }
+        }
+        const completingIds = updates.status === 'completed' ?
+          await Task.find({ ...statusScope, status: { $ne: 'completed' }, recurrence: { $ne: null } }).distinct('_id') :
+          [];
         result = await Task.updateMany(
-          { _id: { $in: taskIds } },
+          statusScope,
           { status: updates.status, updatedAt: new Date() }
         );
+        await refreshProgress(await Task.find(statusScope).distinct('_id'));
+
+        // Completed occurrences of recurring tasks schedule their next one
+        for (const taskId of completingIds) {
+          const next = await spawnNextOccurrence(taskId, req.user._id);
+          if (next) nextOccurrences.push(next._id);
+        }
         break;
 
       case 'update-priority':
@@ -437,7 +642,7 @@ export const bulkUpdateTasks = async (req, res) => {
           });
         }
         result = await Task.updateMany(
-          { _id: { $in: taskIds } },
+          scope,
           { priority: updates.priority, updatedAt: new Date() }
         );
         break;
@@ -449,14 +654,59 @@ export const bulkUpdateTasks = async (req, res) => {
             error: 'Project is required for project assignment'
           });
         }
+        const targetProject = await Project.findOne({ _id: updates.project, workspace: req.workspace._id })
+          .select('name members archivedAt')
+          .lean();
+        if (!can(getProjectRole(targetProject, req.user._id), 'task:create')) {
+          return res.status(403).json({
+            success: false,
+            error: 'Forbidden',
+            message: `Moving tasks into a project requires the ${PROJECT_PERMISSIONS['task:create']} role`
+          });
+        }
+        if (isArchived(targetProject)) {
+          return res.status(409).json(archivedProjectError(targetProject));
+        }
+        // Subtasks follow their top-level task into the new project
+        const movedIds = await Task.find({ ...scope, parent: null }).distinct('_id');
+
+        // Subtasks picked without their top-level task always share their parent's project
+        const stranded = await Task.find({ ...scope, parent: { $ne: null }, ancestors: { $nin: movedIds } })
+          .select('parent')
+          .lean();
+        skipped = stranded.map(task => ({ id: task._id, reason: 'subtask', parent: task.parent }));
+
+        // The moved tasks' statuses must exist in the target project's workflow
+        const statusViolations = await findStatusesOutsideWorkflow(
+          await loadWorkflow(targetProject._id),
+          { $or: [{ _id: { $in: movedIds } }, { ancestors: { $in: movedIds } }] }
+        );
+        if (statusViolations.length > 0) {
+          return res.status(422).json({
+            success: false,
+            error: 'Workflow violation',
+            message: statusViolations.map(v => v.message).join('. '),
+            violations: statusViolations
+          });
+        }
+
+        // Sprints belong to the old project, so moved tasks go back to the backlog
         result = await Task.updateMany(
-          { _id: { $in: taskIds } },
-          { project: updates.project, updatedAt: new Date() }
+          { _id: { $in: movedIds } },
+          { project: updates.project, sprint: null, updatedAt: new Date() }
         );
+        await Task.updateMany(
+          { ancestors: { $in: movedIds } },
+          { project: updates.project, sprint: null, updatedAt: new Date() }
+        ).setOptions({ withDeleted: true });
         break;
 
       case 'delete':
-        result = await Task.deleteMany({ _id: { $in: taskIds } });
+        // Deleted tasks go to the trash, their subtrees with them
+        const deletedTasks = await Task.find(scope).select('parent').lean();
+        deletedIds = await trashTasks(deletedTasks.map(task => task._id), req.user._id);
+        result = { deletedCount: deletedIds.length };
+        await refreshProgress(deletedTasks.map(task => task.parent).filter(Boolean));
         break;
 
       default:
@@ -467,14 +717,30 @@ export const bulkUpdateTasks = async (req, res) => {
         });
     }
 
+    await recordAudit(req, {
+      action: `tasks.bulk-${operation}`,
+      entityType: 'task',
+      details: {
+        taskIds,
+        updates: updates || {},
+        affectedCount: result.modifiedCount || result.deletedCount,
+        ...(deletedIds.length > 0 && { deletedTasks: deletedIds }),
+        ...(skipped.length > 0 && { skipped: skipped.map(task => task.id) }),
+        ...(warnings && { forced: true })
+      }
+    });
+
     res.status(200).json({
       success: true,
       message: `Bulk ${operation} completed successfully`,
       data: {
         operation,
         affectedCount: result.modifiedCount || result.deletedCount,
-        taskIds: taskIds
-      }
+        taskIds: taskIds,
+        ...(skipped.length > 0 && { skipped }),
+        ...(nextOccurrences.length > 0 && { nextOccurrences })
+      },
+      ...(warnings && { warnings })
     });
   } catch (error) {
     console.error('Error in bulk update:', error);
@@ -486,19 +752,30 @@ export const bulkUpdateTasks = async (req, res) => {
   }
 };
 
+// Helper for CSV cells: strings are quoted (with quotes doubled), dates and
+// IDs written as text, nested values as JSON and missing values left empty.
+// Text a spreadsheet would run as a formula gets a leading apostrophe.
+const toCSVValue = (value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'object' && value._bsontype === 'ObjectId') return value.toString();
+  const text = typeof value === 'object' ? JSON.stringify(value) : value;
+  if (typeof text !== 'string') return text;
+  const safeText = /^[=+\-@\t\r]/.test(text) ? `'${text}` : text;
+  return `"${safeText.replace(/"/g, '""')}"`;
+};
+
 // Helper function for CSV conversion
 const convertToCSV = (data) => {
   if (!data.length) return '';
   
-  const headers = Object.keys(data[0]);
-  const csvHeaders = headers.join(',');
+  // Rows can leave out optional fields, so collect every column
+  const headers = [...new Set(data.flatMap(item => Object.keys(item)))];
+  const csvHeaders = headers.map(toCSVValue).join(',');
   
   const csvRows = data.map(item => 
-    headers.map(header => {
-      const value = item[header];
-      return typeof value === 'string' ? `"${value}"` : value;
-    }).join(',')
+    headers.map(header => toCSVValue(item[header])).join(',')
   );
   
-  return [csvHeaders, ...csvRows].join('\\n');
+  return [csvHeaders, ...csvRows].join('\r\n');
 };
\ No newline at end of file
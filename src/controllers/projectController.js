@@ -1,11 +1,55 @@
-import { Project, Task } from '../models/index.js';
+import { Project, Sprint, Task } from '../models/index.js';
 import { validationResult } from 'express-validator';
+import {
+  can,
+  getProjectRole,
+  buildProjectAccessFilter,
+  buildTaskAccessFilter,
+  PROJECT_PERMISSIONS
+} from '../utils/permissions.js';
+import { annotateBlocked } from '../utils/taskDependencies.js';
+import {
+  findStatusesOutsideWorkflow,
+  normalizeWorkflow,
+  resolveWorkflow,
+  DEFAULT_WORKFLOW
+} from '../utils/workflow.js';
+import { diffFields, recordAudit } from '../utils/audit.js';
+import { archivedProjectError, isArchived } from '../utils/archive.js';
+import {
+  countProjectTrash,
+  getPurgeDate,
+  releaseProjectTasks,
+  restoreProjectTasks,
+  trashProjectTasks
+} from '../utils/trash.js';
+import { getBurndown, MAX_BURNDOWN_DAYS } from '../utils/snapshots.js';
+import { getDeliveryForecast, DEFAULT_HISTORY_DAYS, DEFAULT_TRIALS } from '../utils/forecast.js';
+import { scheduleProject, DEFAULT_HOURS_PER_DAY } from '../utils/timeline.js';
+import {
+  buildOverdueFilter,
+  loadCalendars,
+  parseLocalDate,
+  resolveCalendar,
+  resolveTimezone,
+  toLocalDay
+} from '../utils/calendar.js';
 
 /**
  * Project Controller
  * Handles all CRUD operations for projects
  */
 
+/**
+ * Load a workspace project together with the caller's role on it
+ * Projects the caller is not a member of are treated as non-existent
+ */
+const findProjectForUser = async (id, req) => {
+  const project = await Project.findOne({ _id: id, workspace: req.workspace._id });
+  const role = project ? getProjectRole(project, req.user._id) : null;
+  return role ? { project, role } : { project: null, role: null };
+};
+
 /**
  * GET /api/projects - Get all projects with optional filtering
  */
@@ -19,11 +63,12 @@ export const getAllProjects = async (req, res) => {
       limit = 10,
       sortBy = 'createdAt',
       sortOrder = 'desc',
-      includeTasks = false
+      includeTasks = false,
+      includeArchived
     } = req.query;
 
-    // Build filter object
-    const filter = {};
+    // Build filter object (only workspace projects the caller is a member of, archived ones on request)
+    const filter = buildProjectAccessFilter(req.user, req.workspace._id, { includeArchived: includeArchived === 'true' });
     if (status) filter.status = status;
     if (priority) filter.priority = priority;
     if (search) {
@@ -109,7 +154,12 @@ export const getProjectById = async (req, res) => {
     const { id } = req.params;
     const { includeTasks = false } = req.query;
 
-    const project = await Project.findById(id).lean();
+    const project = await Project.findOne({
+      _id: id,
+      ...buildProjectAccessFilter(req.user, req.workspace._id, { includeArchived: true })
+    })
+      .populate('members.user', 'name email')
+      .lean();
 
     if (!project) {
       return res.status(404).json({
@@ -119,6 +169,8 @@ export const getProjectById = async (req, res) => {
       });
     }
 
+    project.myRole = getProjectRole(project, req.user._id);
+
     // Optionally include tasks
     if (includeTasks === 'true') {
       const tasks = await Task.find({ project: id })
@@ -176,8 +228,37 @@ export const createProject = async (req, res) => {
       });
     }
 
-    const project = new Project(req.body);
+    // Archive and trash fields are only set by their own endpoints
+    const { members, workspace, archivedAt, archivedBy, deletedAt, deletedBy, deletedWith, ...projectData } = req.body;
+
+    // A custom workflow can be given up front (there are no tasks to check yet)
+    if (projectData.workflow) {
+      const { workflow, errors: workflowErrors } = normalizeWorkflow(projectData.workflow);
+      if (workflowErrors) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation failed',
+          message: 'Invalid workflow',
+          details: workflowErrors
+        });
+      }
+      projectData.workflow = workflow;
+    }
+
+    // The creator becomes the project's first owner
+    const project = new Project({
+      ...projectData,
+      workspace: req.workspace._id,
+      createdBy: req.user._id,
+      members: [{ user: req.user._id, role: 'owner', addedBy: req.user._id }]
+    });
     const savedProject = await project.save();
+    await recordAudit(req, {
+      action: 'project.create',
+      entityType: 'project',
+      entityId: savedProject._id,
+      details: { name: savedProject.name }
+    });
 
     res.status(201).json({
       success: true,
@@ -234,9 +315,34 @@ export const updateProject = async (req, res) => {
       });
     }
 
+    const { project, role } = await findProjectForUser(id, req);
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        error: 'Project not found',
+        message: `Project with ID ${id} does not exist`
+      });
+    }
+
+    if (!can(role, 'project:edit')) {
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden',
+        message: `Editing a project requires the ${PROJECT_PERMISSIONS['project:edit']} role`
+      });
+    }
+
+    if (isArchived(project)) {
+      return res.status(409).json(archivedProjectError(project));
+    }
+
+    // Membership, workflow, archiving and the trash are managed through their own endpoints
+    const { members, createdBy, workspace, workflow, archivedAt, archivedBy, deletedAt, deletedBy, deletedWith, ...updates } = req.body;
+
     const updatedProject = await Project.findByIdAndUpdate(
       id,
-      { ...req.body },
+      updates,
       { 
         new: true, 
         runValidators: true,
@@ -252,6 +358,13 @@ export const updateProject = async (req, res) => {
       });
     }
 
+    await recordAudit(req, {
+      action: 'project.update',
+      entityType: 'project',
+      entityId: updatedProject._id,
+      details: { changes: diffFields(project.toObject(), updatedProject, Object.keys(updates)) }
+    });
+
     res.status(200).json({
       success: true,
       message: 'Project updated successfully',
@@ -282,13 +395,38 @@ export const updateProject = async (req, res) => {
 };
 
 /**
- * DELETE /api/projects/:id - Delete project by ID
+ * DELETE /api/projects/:id - Move a project to the trash
  */
 export const deleteProject = async (req, res) => {
   try {
     const { id } = req.params;
     const { deleteTasks = false } = req.query;
 
+    const { project, role } = await findProjectForUser(id, req);
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        error: 'Project not found',
+        message: `Project with ID ${id} does not exist`
+      });
+    }
+
+    const permission = deleteTasks === 'true' ? 'project:delete-with-tasks' : 'project:delete';
+    if (!can(role, permission)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden',
+        message: deleteTasks === 'true' ?
+          `Deleting a project together with its tasks requires the ${PROJECT_PERMISSIONS[permission]} role` :
+          `Deleting a project requires the ${PROJECT_PERMISSIONS[permission]} role`
+      });
+    }
+
+    if (isArchived(project)) {
+      return res.status(409).json(archivedProjectError(project));
+    }
+
     // Check if project has tasks
     const taskCount = await Task.countDocuments({ project: id });
     
@@ -301,8 +439,13 @@ export const deleteProject = async (req, res) => {
       });
     }
 
-    // Delete project
-    const deletedProject = await Project.findByIdAndDelete(id);
+    // Move the project, and its tasks if requested, to the trash
+    const deletedAt = new Date();
+    const deletedProject = await Project.findOneAndUpdate(
+      { _id: id },
+      { $set: { deletedAt, deletedBy: req.user._id, deletedWith: null } },
+      { new: true }
+    );
 
     if (!deletedProject) {
       return res.status(404).json({
@@ -312,20 +455,24 @@ export const deleteProject = async (req, res) => {
       });
     }
 
-    // Delete associated tasks if requested
-    let deletedTasksCount = 0;
-    if (deleteTasks === 'true') {
-      const deletedTasks = await Task.deleteMany({ project: id });
-      deletedTasksCount = deletedTasks.deletedCount;
-    }
+    const deletedIds = deleteTasks === 'true' ? await trashProjectTasks(id, req.user._id, deletedAt) : [];
+    const deletedTasksCount = deletedIds.length;
+
+    await recordAudit(req, {
+      action: 'project.delete',
+      entityType: 'project',
+      entityId: deletedProject._id,
+      details: { name: deletedProject.name, deletedTasks: deletedIds }
+    });
 
     res.status(200).json({
       success: true,
-      message: 'Project deleted successfully',
+      message: 'Project moved to trash',
       data: { 
         id: deletedProject._id, 
         name: deletedProject.name,
-        deletedTasksCount
+        deletedTasksCount,
+        purgeAt: getPurgeDate(deletedAt)
       }
     });
   } catch (error) {
@@ -338,6 +485,230 @@ export const deleteProject = async (req, res) => {
   }
 };
 
+/**
+ * GET /api/projects/trash - Get deleted projects, most recently deleted first
+ * Each project reports how many tasks were deleted along with it.
+ */
+export const getProjectTrash = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { page = 1, limit = 10 } = req.query;
+    const filter = {
+      ...buildProjectAccessFilter(req.user, req.workspace._id, { includeArchived: true }),
+      deletedAt: { $ne: null }
+    };
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [projects, total] = await Promise.all([
+      Project.find(filter)
+        .select('-members -workflow')
+        .populate('deletedBy', 'name email')
+        .sort({ deletedAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .lean(),
+      Project.countDocuments(filter)
+    ]);
+
+    const taskCounts = await Task.aggregate([
+      { $match: { deletedWith: { $in: projects.map(project => project._id) }, deletedAt: { $ne: null } } },
+      { $group: { _id: '$deletedWith', count: { $sum: 1 } } }
+    ]);
+    const countsByProject = new Map(taskCounts.map(entry => [entry._id.toString(), entry.count]));
+    projects.forEach(project => {
+      project.deletedTasksCount = countsByProject.get(project._id.toString()) || 0;
+      project.purgeAt = getPurgeDate(project.deletedAt);
+    });
+
+    const totalPages = Math.ceil(total / parseInt(limit));
+
+    res.status(200).json({
+      success: true,
+      data: projects,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages,
+        totalProjects: total,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching project trash:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch project trash',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * POST /api/projects/:id/restore - Restore a project from the trash
+ * Tasks deleted along with the project are restored with restoreTasks=true;
+ * otherwise they stay in the trash and can be restored one by one.
+ */
+export const restoreProject = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const { restoreTasks } = req.query;
+
+    const project = await Project.findOne({ _id: id, workspace: req.workspace._id, deletedAt: { $ne: null } })
+      .select('name members')
+      .lean();
+    const role = project ? getProjectRole(project, req.user._id) : null;
+
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        error: 'Project not found',
+        message: `Project with ID ${id} is not in the trash`
+      });
+    }
+
+    if (!can(role, 'project:delete')) {
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden',
+        message: `Restoring a project requires the ${PROJECT_PERMISSIONS['project:delete']} role`
+      });
+    }
+
+    // Without an answer, say what restoring would bring back
+    const trashedTasksCount = await countProjectTrash(id);
+    if (trashedTasksCount > 0 && restoreTasks === undefined) {
+      return res.status(409).json({
+        success: false,
+        error: 'Project has deleted tasks',
+        message: `${trashedTasksCount} tasks were deleted with this project. Set restoreTasks=true to restore them as well, or restoreTasks=false to leave them in the trash.`,
+        trashedTasksCount
+      });
+    }
+
+    await Project.updateOne(
+      { _id: id, deletedAt: { $ne: null } },
+      { $set: { deletedAt: null, deletedBy: null, deletedWith: null } }
+    );
+
+    let restoredIds = [];
+    if (restoreTasks === 'true') {
+      restoredIds = await restoreProjectTasks(id);
+    } else if (trashedTasksCount > 0) {
+      await releaseProjectTasks(id);
+    }
+
+    await recordAudit(req, {
+      action: 'project.restore',
+      entityType: 'project',
+      entityId: project._id,
+      details: { name: project.name, restoredTasks: restoredIds }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Project restored successfully',
+      data: {
+        id: project._id,
+        name: project.name,
+        restoredTasksCount: restoredIds.length,
+        tasksLeftInTrash: trashedTasksCount - restoredIds.length
+      }
+    });
+  } catch (error) {
+    console.error('Error restoring project:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to restore project',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * POST /api/projects/:id/archive - Archive a project
+ * POST /api/projects/:id/unarchive - Unarchive a project
+ * An archived project and its tasks are read-only and left out of listings,
+ * search, exports and dashboards unless includeArchived=true is passed.
+ */
+export const setProjectArchived = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const archiving = req.path.endsWith('/archive');
+
+    const { project, role } = await findProjectForUser(id, req);
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        error: 'Project not found',
+        message: `Project with ID ${id} does not exist`
+      });
+    }
+
+    if (!can(role, 'project:archive')) {
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden',
+        message: `${archiving ? 'Archiving' : 'Unarchiving'} a project requires the ${PROJECT_PERMISSIONS['project:archive']} role`
+      });
+    }
+
+    if (isArchived(project) === archiving) {
+      return res.status(409).json({
+        success: false,
+        error: archiving ? 'Project already archived' : 'Project not archived',
+        message: archiving ?
+          `Project "${project.name}" was archived on ${project.archivedAt.toISOString()}` :
+          `Project "${project.name}" is not archived`
+      });
+    }
+
+    const updatedProject = await Project.findByIdAndUpdate(
+      id,
+      { $set: archiving ? { archivedAt: new Date(), archivedBy: req.user._id } : { archivedAt: null, archivedBy: null } },
+      { new: true }
+    ).lean();
+
+    await recordAudit(req, {
+      action: archiving ? 'project.archive' : 'project.unarchive',
+      entityType: 'project',
+      entityId: updatedProject._id,
+      details: { name: updatedProject.name }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: archiving ? 'Project archived successfully' : 'Project unarchived successfully',
+      data: updatedProject
+    });
+  } catch (error) {
+    console.error('Error archiving project:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update project archive state',
+      message: error.message
+    });
+  }
+};
+
 /**
  * GET /api/projects/:id/tasks - Get all tasks for a specific project
  */
@@ -353,8 +724,8 @@ export const getProjectTasks = async (req, res) => {
       sortOrder = 'desc'
     } = req.query;
 
-    // Verify project exists
-    const project = await Project.findById(id);
+    // Verify project exists and the caller is a member
+    const { project } = await findProjectForUser(id, req);
     if (!project) {
       return res.status(404).json({
         success: false,
@@ -381,6 +752,7 @@ export const getProjectTasks = async (req, res) => {
       .skip(skip)
       .limit(parseInt(limit))
       .lean();
+    await annotateBlocked(tasks);
 
     // Get total count for pagination
     const total = await Task.countDocuments(filter);
@@ -417,8 +789,14 @@ export const getProjectTasks = async (req, res) => {
  */
 export const getProjectStats = async (req, res) => {
   try {
+    // Only count projects and tasks the caller can see, archived ones on request
+    const archiveOptions = { includeArchived: req.query.includeArchived === 'true' };
+    const projectFilter = buildProjectAccessFilter(req.user, req.workspace._id, archiveOptions);
+    const taskFilter = await buildTaskAccessFilter(req.user, req.workspace._id, 'task:view', archiveOptions);
+
     // Get project statistics
     const projectStats = await Project.aggregate([
+      { $match: projectFilter },
       {
         $group: {
           _id: '$status',
@@ -429,6 +807,7 @@ export const getProjectStats = async (req, res) => {
 
     // Get overall task statistics
     const taskStats = await Task.aggregate([
+      { $match: taskFilter },
       {
         $group: {
           _id: '$status',
@@ -437,14 +816,14 @@ export const getProjectStats = async (req, res) => {
       }
     ]);
 
-    // Get overdue tasks count
+    // Get overdue tasks count (under each task's work calendar)
     const overdueCount = await Task.countDocuments({
-      dueDate: { $lt: new Date() },
-      status: { $nin: ['completed', 'cancelled'] }
+      $and: [taskFilter, buildOverdueFilter(await loadCalendars(req.workspace, req.timezone))]
     });
 
     // Get projects with task counts
     const projectsWithTasks = await Project.aggregate([
+      { $match: projectFilter },
       {
         $lookup: {
           from: 'tasks',
@@ -453,6 +832,12 @@ export const getProjectStats = async (req, res) => {
           as: 'tasks'
         }
       },
+      // $lookup does not skip deleted tasks
+      {
+        $addFields: {
+          tasks: { $filter: { input: '$tasks', cond: { $not: ['$$this.deletedAt'] } } }
+        }
+      },
       {
         $project: {
           name: 1,
@@ -469,14 +854,14 @@ export const getProjectStats = async (req, res) => {
       success: true,
       data: {
         projects: {
-          total: await Project.countDocuments(),
+          total: await Project.countDocuments(projectFilter),
           byStatus: projectStats.reduce((acc, item) => {
             acc[item._id] = item.count;
             return acc;
           }, {})
         },
         tasks: {
-          total: await Task.countDocuments(),
+          total: await Task.countDocuments(taskFilter),
           overdue: overdueCount,
           byStatus: taskStats.reduce((acc, item) => {
             acc[item._id] = item.count;
@@ -494,4 +879,597 @@ export const getProjectStats = async (req, res) => {
       message: error.message
     });
   }
-};
\ No newline at end of file
+};
+
+/**
+ * GET /api/projects/:id/burndown - Get daily burndown and burnup data
+ * Covers the project's start to due date (or today), a sprint's dates with
+ * `sprint`, or any window given by `from` and `to`.
+ */
+export const getProjectBurndown = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { project } = await findProjectForUser(id, req);
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        error: 'Project not found',
+        message: `Project with ID ${id} does not exist`
+      });
+    }
+
+    const { unit = 'count', from, to, sprint: sprintId } = req.query;
+    const sprint = sprintId ?
+      await Sprint.findOne({ _id: sprintId, project: project._id }).select('name startDate endDate').lean() :
+      null;
+    if (sprintId && !sprint) {
+      return res.status(404).json({
+        success: false,
+        error: 'Sprint not found',
+        message: `Sprint with ID ${sprintId} does not exist in this project`
+      });
+    }
+
+    // Days are those of the caller's time zone
+    const timezone = resolveTimezone(req.timezone, req.workspace);
+    const end = to ? parseLocalDate(to, timezone) : (sprint ? sprint.endDate : project.dueDate) || new Date();
+    const start = from ? parseLocalDate(from, timezone) : (sprint ? sprint.startDate : project.startDate) || end;
+    const days = Math.round((Date.parse(toLocalDay(end, timezone)) - Date.parse(toLocalDay(start, timezone))) / (24 * 60 * 60 * 1000)) + 1;
+    if (days < 1 || days > MAX_BURNDOWN_DAYS) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid date range',
+        message: `The window must run forwards and cover at most ${MAX_BURNDOWN_DAYS} days; pass from and to to pick one`
+      });
+    }
+
+    const burndown = await getBurndown(project, { from: start, to: end, unit, sprint, timezone });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        project: { _id: project._id, name: project.name, startDate: project.startDate, dueDate: project.dueDate },
+        ...(sprint && { sprint }),
+        ...burndown
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching burndown:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch burndown',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * GET /api/projects/:id/forecast - Forecast when the project's open tasks will be done
+ */
+export const getProjectForecast = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { project } = await findProjectForUser(id, req);
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        error: 'Project not found',
+        message: `Project with ID ${id} does not exist`
+      });
+    }
+
+    const forecast = await getDeliveryForecast(project, {
+      historyDays: parseInt(req.query.historyDays) || DEFAULT_HISTORY_DAYS,
+      trials: parseInt(req.query.trials) || DEFAULT_TRIALS,
+      timezone: resolveTimezone(req.timezone, req.workspace)
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        project: { _id: project._id, name: project.name, startDate: project.startDate, dueDate: project.dueDate },
+        ...forecast
+      }
+    });
+  } catch (error) {
+    console.error('Error forecasting project:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to forecast project',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * GET /api/projects/:id/timeline - Schedule the project's tasks with the critical path
+ */
+export const getProjectTimeline = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { project } = await findProjectForUser(id, req);
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        error: 'Project not found',
+        message: `Project with ID ${id} does not exist`
+      });
+    }
+
+    const timeline = await scheduleProject(project, {
+      hoursPerDay: parseFloat(req.query.hoursPerDay) || DEFAULT_HOURS_PER_DAY,
+      calendar: resolveCalendar(project, req.workspace, req.timezone)
+    });
+    if (!timeline) {
+      return res.status(409).json({
+        success: false,
+        error: 'Dependency cycle',
+        message: 'The project\'s open tasks wait for each other in a cycle and cannot be scheduled'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        project: { _id: project._id, name: project.name, startDate: project.startDate, dueDate: project.dueDate },
+        ...timeline
+      }
+    });
+  } catch (error) {
+    console.error('Error building project timeline:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to build project timeline',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * GET /api/projects/:id/workflow - Get the task workflow a project uses
+ */
+export const getProjectWorkflow = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { project } = await findProjectForUser(id, req);
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        error: 'Project not found',
+        message: `Project with ID ${id} does not exist`
+      });
+    }
+
+    const isDefault = resolveWorkflow(project) === DEFAULT_WORKFLOW;
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...(isDefault ? DEFAULT_WORKFLOW : project.workflow.toObject()),
+        isDefault
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching project workflow:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch project workflow',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * PUT /api/projects/:id/workflow - Replace a project's task workflow
+ * DELETE /api/projects/:id/workflow - Go back to the default workflow
+ * Refused while tasks are in a status the new workflow does not include.
+ */
+export const updateProjectWorkflow = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const resetting = req.method === 'DELETE';
+
+    const { project, role } = await findProjectForUser(id, req);
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        error: 'Project not found',
+        message: `Project with ID ${id} does not exist`
+      });
+    }
+
+    if (!can(role, 'project:edit')) {
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden',
+        message: `Changing the workflow requires the ${PROJECT_PERMISSIONS['project:edit']} role`
+      });
+    }
+
+    if (isArchived(project)) {
+      return res.status(409).json(archivedProjectError(project));
+    }
+
+    const { workflow, errors } = resetting ? { workflow: DEFAULT_WORKFLOW } : normalizeWorkflow(req.body);
+    if (errors) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        message: 'Invalid workflow',
+        details: errors
+      });
+    }
+
+    const violations = await findStatusesOutsideWorkflow(workflow, { project: project._id });
+    if (violations.length > 0) {
+      return res.status(422).json({
+        success: false,
+        error: 'Workflow violation',
+        message: `${violations.map(v => v.message).join('. ')}. Move those tasks to another status first.`,
+        violations
+      });
+    }
+
+    const previousWorkflow = resolveWorkflow(project.toObject());
+    project.workflow = resetting ? undefined : workflow;
+    await project.save();
+    await recordAudit(req, {
+      action: resetting ? 'project.workflow-reset' : 'project.workflow-update',
+      entityType: 'project',
+      entityId: project._id,
+      details: { from: previousWorkflow, to: workflow }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: resetting ? 'Project workflow reset to the default' : 'Project workflow updated successfully',
+      data: {
+        ...workflow,
+        isDefault: resetting
+      }
+    });
+  } catch (error) {
+    console.error('Error updating project workflow:', error);
+
+    // Handle validation errors
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        message: error.message,
+        details: Object.values(error.errors).map(e => ({
+          field: e.path,
+          message: e.message
+        }))
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update project workflow',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * GET /api/projects/:id/members - Get project members and their roles
+ */
+export const getProjectMembers = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const project = await Project.findOne({
+      _id: id,
+      ...buildProjectAccessFilter(req.user, req.workspace._id, { includeArchived: true })
+    })
+      .select('name members')
+      .populate('members.user', 'name email')
+      .populate('members.addedBy', 'name email')
+      .lean();
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        error: 'Project not found',
+        message: `Project with ID ${id} does not exist`
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: project.members,
+      count: project.members.length
+    });
+  } catch (error) {
+    console.error('Error fetching project members:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch project members',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * POST /api/projects/:id/members - Add a member to a project
+ */
+export const addProjectMember = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { userId, role: memberRole = 'member', hourlyRate } = req.body;
+    const { project, role } = await findProjectForUser(id, req);
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        error: 'Project not found',
+        message: `Project with ID ${id} does not exist`
+      });
+    }
+
+    if (!can(role, 'members:manage') || (memberRole === 'owner' && role !== 'owner')) {
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden',
+        message: memberRole === 'owner' ?
+          'Only owners can add other owners' :
+          `Managing members requires the ${PROJECT_PERMISSIONS['members:manage']} role`
+      });
+    }
+
+    if (isArchived(project)) {
+      return res.status(409).json(archivedProjectError(project));
+    }
+
+    // Project members must belong to the project's workspace
+    if (!req.workspace.getMemberRole(userId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid user',
+        message: 'The specified user is not a member of this workspace'
+      });
+    }
+
+    if (getProjectRole(project, userId)) {
+      return res.status(409).json({
+        success: false,
+        error: 'Member already exists',
+        message: 'This user is already a member of the project'
+      });
+    }
+
+    project.members.push({ user: userId, role: memberRole, hourlyRate, addedBy: req.user._id });
+    await project.save();
+    await recordAudit(req, {
+      action: 'project.member-add',
+      entityType: 'project',
+      entityId: project._id,
+      details: { user: userId, role: memberRole, ...(hourlyRate != null && { hourlyRate }) }
+    });
+    await project.populate('members.user', 'name email');
+
+    res.status(201).json({
+      success: true,
+      message: 'Member added successfully',
+      data: project.members
+    });
+  } catch (error) {
+    console.error('Error adding project member:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to add project member',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * PUT /api/projects/:id/members/:userId - Change a member's role or hourly rate
+ */
+export const updateProjectMember = async (req, res) => {
+  try {
+    const { id, userId } = req.params;
+
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { project, role } = await findProjectForUser(id, req);
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        error: 'Project not found',
+        message: `Project with ID ${id} does not exist`
+      });
+    }
+
+    const member = project.members.find(m => m.user.toString() === userId);
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        error: 'Member not found',
+        message: `User ${userId} is not a member of this project`
+      });
+    }
+
+    const { role: newRole = member.role, hourlyRate } = req.body;
+
+    // Only owners can grant or revoke the owner role
+    if (!can(role, 'members:manage') || ((newRole === 'owner' || member.role === 'owner') && role !== 'owner')) {
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden',
+        message: 'You are not allowed to change this member\'s role'
+      });
+    }
+
+    if (isArchived(project)) {
+      return res.status(409).json(archivedProjectError(project));
+    }
+
+    const ownerCount = project.members.filter(m => m.role === 'owner').length;
+    if (member.role === 'owner' && newRole !== 'owner' && ownerCount === 1) {
+      return res.status(409).json({
+        success: false,
+        error: 'Last owner',
+        message: 'A project must keep at least one owner'
+      });
+    }
+
+    const previousRole = member.role;
+    const previousRate = member.hourlyRate ?? null;
+    member.role = newRole;
+    if (hourlyRate !== undefined) member.hourlyRate = hourlyRate;
+    await project.save();
+    await recordAudit(req, {
+      action: 'project.member-update',
+      entityType: 'project',
+      entityId: project._id,
+      details: {
+        user: userId,
+        from: previousRole,
+        to: newRole,
+        ...(hourlyRate !== undefined && { hourlyRate: { from: previousRate, to: member.hourlyRate } })
+      }
+    });
+    await project.populate('members.user', 'name email');
+
+    res.status(200).json({
+      success: true,
+      message: 'Member updated successfully',
+      data: project.members
+    });
+  } catch (error) {
+    console.error('Error updating project member:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update project member',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * DELETE /api/projects/:id/members/:userId - Remove a member (or leave a project)
+ */
+export const removeProjectMember = async (req, res) => {
+  try {
+    const { id, userId } = req.params;
+    const { project, role } = await findProjectForUser(id, req);
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        error: 'Project not found',
+        message: `Project with ID ${id} does not exist`
+      });
+    }
+
+    const member = project.members.find(m => m.user.toString() === userId);
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        error: 'Member not found',
+        message: `User ${userId} is not a member of this project`
+      });
+    }
+
+    // Members may always leave; removing others requires manage rights
+    const isSelf = userId === req.user._id.toString();
+    if (!isSelf && (!can(role, 'members:manage') || (member.role === 'owner' && role !== 'owner'))) {
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden',
+        message: 'You are not allowed to remove this member'
+      });
+    }
+
+    if (isArchived(project)) {
+      return res.status(409).json(archivedProjectError(project));
+    }
+
+    const ownerCount = project.members.filter(m => m.role === 'owner').length;
+    if (member.role === 'owner' && ownerCount === 1) {
+      return res.status(409).json({
+        success: false,
+        error: 'Last owner',
+        message: 'A project must keep at least one owner'
+      });
+    }
+
+    project.members.pull(member._id);
+    await project.save();
+    await recordAudit(req, {
+      action: 'project.member-remove',
+      entityType: 'project',
+      entityId: project._id,
+      details: { user: userId, role: member.role }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Member removed successfully',
+      data: { projectId: project._id, userId }
+    });
+  } catch (error) {
+    console.error('Error removing project member:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to remove project member',
+      message: error.message
+    });
+  }
+};
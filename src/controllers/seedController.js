@@ -1,5 +1,10 @@
-import { Project, Task } from '../models/index.js';
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import { Comment, Project, Sprint, Task, TaskHistory, TaskSnapshot, TimeEntry, User, Workspace } from '../models/index.js';
 import { connectDB } from '../config/database.js';
+import { buildInitialHistory } from '../utils/taskHistory.js';
+import { recordAudit } from '../utils/audit.js';
+import { getStorageKeys, removeStoredFiles } from '../utils/attachments.js';
 
 /**
  * Database Seeding Utility
@@ -29,6 +34,8 @@ const sampleProjects = [
     startDate: new Date('2024-12-01'),
     dueDate: new Date('2025-03-15'),
     tags: ["mobile", "react-native", "ecommerce", "payments"],
+    client: "Acme Retail",
+    hourlyRate: 95,
     color: "#10b981"
   },
   {
@@ -40,6 +47,8 @@ const sampleProjects = [
     dueDate: new Date('2024-11-30'),
     completedDate: new Date('2024-11-28'),
     tags: ["backend", "api", "mongodb", "express"],
+    client: "Northwind Labs",
+    hourlyRate: 85,
     color: "#f59e0b"
   },
   {
@@ -60,14 +69,109 @@ const sampleProjects = [
     startDate: new Date('2025-01-01'),
     dueDate: new Date('2025-04-01'),
     tags: ["database", "migration", "mongodb", "optimization"],
+    client: "Northwind Labs",
+    hourlyRate: 110,
     color: "#ef4444"
   }
 ];
 
+/**
+ * Sample team members used as task assignees
+ */
+const sampleUsers = [
+  { name: 'Alice Johnson', email: 'alice.johnson@example.com' },
+  { name: 'Bob Smith', email: 'bob.smith@example.com' },
+  { name: 'Carol Davis', email: 'carol.davis@example.com' },
+  { name: 'David Wilson', email: 'david.wilson@example.com' },
+  { name: 'Eva Brown', email: 'eva.brown@example.com' }
+];
+
+/**
+ * Build the workspace-scoped email of a sample team member
+ */
+const sampleEmail = (sampleUser, workspaceId) => {
+  const [local, domain] = sampleUser.email.split('@');
+  return `${local}+${workspaceId}@${domain}`;
+};
+
+/**
+ * Find or create the sample team members
+ * A workspace gets accounts of its own (alice.johnson+<workspaceId>@example.com),
+ * so seeding never adds accounts other workspaces share. New accounts get a
+ * random password, so they can be assigned but not logged into.
+ */
+const ensureSampleUsers = async (workspace) => {
+  const users = [];
+  for (const sampleUser of sampleUsers) {
+    const email = sampleEmail(sampleUser, workspace._id);
+    let user = await User.findOne({ email });
+    if (!user) {
+      user = await User.create({
+        ...sampleUser,
+        email,
+        password: crypto.randomBytes(24).toString('hex')
+      });
+    }
+    users.push(user);
+  }
+  return users;
+};
+
+/**
+ * Add the sample team members to a workspace so they can be assigned to tasks
+ */
+const addSampleUsersToWorkspace = async (workspace, users) => {
+  users.forEach(user => {
+    if (!workspace.getMemberRole(user._id)) {
+      workspace.members.push({ user: user._id, role: 'member' });
+    }
+  });
+  await workspace.save();
+};
+
+/**
+ * Find or create the workspace used by the standalone seed script
+ * It is owned by the first sample user's account scoped to it, so the script
+ * never hands the workspace to an account somebody registered beforehand.
+ */
+const ensureDemoWorkspace = async () => {
+  const candidates = await Workspace.find({ name: 'Demo Workspace' }).populate('createdBy', 'email');
+  let workspace = candidates.find(candidate =>
+    candidate.createdBy?.email === sampleEmail(sampleUsers[0], candidate._id)
+  );
+
+  if (!workspace) {
+    // The ID is picked up front so the owner's account can be scoped to it
+    workspace = new Workspace({ _id: new mongoose.Types.ObjectId(), name: 'Demo Workspace' });
+  }
+
+  const users = await ensureSampleUsers(workspace);
+  if (workspace.isNew) {
+    workspace.members = [{ user: users[0]._id, role: 'owner' }];
+    workspace.createdBy = users[0]._id;
+  }
+  await addSampleUsersToWorkspace(workspace, users);
+  return { workspace, users };
+};
+
+/**
+ * Build the member list for a sample project
+ * The owner (if any) gets the owner role, sample team members join as members
+ */
+const buildSampleMembers = (users, owner) => {
+  const members = users.map(user => ({ user: user._id, role: 'member', addedBy: owner?._id }));
+  if (owner) {
+    members.unshift({ user: owner._id, role: 'owner', addedBy: owner._id });
+  } else if (members.length > 0) {
+    members[0].role = 'owner';
+  }
+  return members;
+};
+
 /**
  * Generate sample tasks for projects
  */
-const generateSampleTasks = (projects) => {
+const generateSampleTasks = (projects, users) => {
   const tasks = [];
   const statuses = ['todo', 'in-progress', 'review', 'completed', 'cancelled'];
   const priorities = ['low', 'medium', 'high', 'urgent'];
@@ -160,23 +264,13 @@ const generateSampleTasks = (projects) => {
                (project.status === 'planning') ? 'todo' : 'todo',
         priority: priorities[Math.floor(Math.random() * priorities.length)],
         project: null, // Will be set after project creation
-        assignee: ['Alice Johnson', 'Bob Smith', 'Carol Davis', 'David Wilson', 'Eva Brown'][Math.floor(Math.random() * 5)],
+        assignees: [users[Math.floor(Math.random() * users.length)]._id],
         dueDate: dueDate,
         estimatedHours: estimatedHours,
         actualHours: actualHours,
         tags: project.tags.slice(0, 2).concat([
           ['frontend', 'backend', 'testing', 'deployment', 'research'][Math.floor(Math.random() * 5)]
-        ]),
-        notes: Math.random() > 0.7 ? [
-          {
-            content: "Initial analysis completed. Moving forward with implementation.",
-            createdAt: new Date(Date.now() - Math.random() * 7 * 24 * 60 * 60 * 1000)
-          },
-          {
-            content: "Encountered some challenges with integration. Seeking alternative solutions.",
-            createdAt: new Date(Date.now() - Math.random() * 3 * 24 * 60 * 60 * 1000)
-          }
-        ] : []
+        ])
       };
 
       if (isCompleted) {
@@ -194,18 +288,124 @@ const generateSampleTasks = (projects) => {
 };
 
 /**
- * Seed the database with sample data
+ * Generate sample comment threads for some of the created tasks
+ * A teammate asks a question and the assignee replies, mentioning them.
+ */
+const generateSampleComments = (tasks, users) => {
+  const comments = [];
+
+  tasks.forEach(task => {
+    if (Math.random() > 0.3) return;
+
+    const assignee = users.find(user => user._id.equals(task.assignees[0]));
+    const teammate = users.find(user => !user._id.equals(assignee._id));
+    const askedAt = new Date(Date.now() - Math.random() * 7 * 24 * 60 * 60 * 1000);
+    const repliedAt = new Date(askedAt.getTime() + Math.random() * 24 * 60 * 60 * 1000);
+    const threadId = new mongoose.Types.ObjectId();
+
+    comments.push(
+      {
+        _id: threadId,
+        task: task._id,
+        workspace: task.workspace,
+        author: teammate._id,
+        content: 'Is there anything blocking this? Happy to help with the integration.',
+        createdAt: askedAt,
+        updatedAt: askedAt
+      },
+      {
+        task: task._id,
+        workspace: task.workspace,
+        author: assignee._id,
+        parent: threadId,
+        thread: threadId,
+        content: `@${teammate.email} Initial analysis is done, I'll share the open questions tomorrow.`,
+        mentions: [teammate._id],
+        createdAt: repliedAt,
+        updatedAt: repliedAt
+      }
+    );
+  });
+
+  return comments;
+};
+
+/**
+ * Generate the time entries behind the sample tasks' actual hours
+ * Work is logged by the assignee in sessions of up to four hours, one per
+ * day, ending when the task was completed (or yesterday).
+ */
+const generateSampleTimeEntries = (tasks) => {
+  const entries = [];
+
+  tasks.forEach(task => {
+    let remaining = task.actualHours || 0;
+    const lastDay = new Date(task.completedDate || Date.now() - 24 * 60 * 60 * 1000);
+    let dayOffset = 0;
+
+    while (remaining > 0) {
+      const hours = Math.min(remaining, 4);
+      const startedAt = new Date(lastDay);
+      startedAt.setDate(startedAt.getDate() - dayOffset);
+      startedAt.setHours(9, 0, 0, 0);
+      const endedAt = new Date(startedAt.getTime() + hours * 60 * 60 * 1000);
+
+      entries.push({
+        workspace: task.workspace,
+        task: task._id,
+        user: task.assignees[0],
+        startedAt,
+        endedAt,
+        duration: hours * 60 * 60,
+        billable: Math.random() > 0.3
+      });
+
+      remaining -= hours;
+      dayOffset++;
+    }
+  });
+
+  return entries;
+};
+
+/**
+ * Delete every project and task in a workspace, the trash included
+ * Returns what was removed, for the audit log
+ */
+const clearWorkspaceData = async (workspaceId) => {
+  const projects = await Project.find({ workspace: workspaceId }).setOptions({ withDeleted: true }).select('name').lean();
+  const tasks = await Task.find({ workspace: workspaceId }).setOptions({ withDeleted: true }).select('attachments.storageKey').lean();
+  const deletedTasks = await Task.deleteMany({ workspace: workspaceId });
+  const deletedProjects = await Project.deleteMany({ workspace: workspaceId });
+  await TaskHistory.deleteMany({ workspace: workspaceId });
+  await TaskSnapshot.deleteMany({ workspace: workspaceId });
+  await Comment.deleteMany({ workspace: workspaceId });
+  await TimeEntry.deleteMany({ workspace: workspaceId });
+  await Sprint.deleteMany({ workspace: workspaceId });
+  await removeStoredFiles(getStorageKeys(tasks));
+
+  return {
+    deletedTasks: deletedTasks.deletedCount,
+    deletedProjects: deletedProjects.deletedCount,
+    projects: projects.map(project => ({ id: project._id, name: project.name }))
+  };
+};
+
+/**
+ * Seed the caller's workspace with sample data
  */
 export const seedDatabase = async (req, res) => {
   try {
+    const workspaceId = req.workspace._id;
+
     // Check if data already exists
-    const existingProjects = await Project.countDocuments();
-    const existingTasks = await Task.countDocuments();
+    const existingProjects = await Project.countDocuments({ workspace: workspaceId });
+    const existingTasks = await Task.countDocuments({ workspace: workspaceId });
 
     if (existingProjects > 0 || existingTasks > 0) {
       return res.status(400).json({
         success: false,
-        error: 'Database already contains data',
+        error: 'Workspace already contains data',
         message: `Found ${existingProjects} projects and ${existingTasks} tasks. Use force=true to override.`,
         existing: { projects: existingProjects, tasks: existingTasks }
       });
@@ -213,12 +413,27 @@ export const seedDatabase = async (req, res) => {
 
     // Create projects
     console.log('🌱 Seeding projects...');
-    const createdProjects = await Project.insertMany(sampleProjects);
+    const users = await ensureSampleUsers(req.workspace);
+    await addSampleUsersToWorkspace(req.workspace, users);
+    const createdProjects = await Project.insertMany(
+      sampleProjects.map(project => ({
+        ...project,
+        workspace: workspaceId,
+        createdBy: req.user._id,
+        members: buildSampleMembers(users, req.user)
+      }))
+    );
     console.log(`✅ Created ${createdProjects.length} projects`);
 
     // Generate and create tasks
     console.log('🌱 Seeding tasks...');
-    const sampleTasks = generateSampleTasks(createdProjects);
+    const sampleTasks = generateSampleTasks(createdProjects, users)
+      .map(task => ({
+        ...task,
+        workspace: workspaceId,
+        createdBy: req.user._id,
+        assignmentHistory: Task.diffAssignees([], task.assignees, req.user._id)
+      }));
     
     // Assign project IDs to tasks
     let taskIndex = 0;
@@ -233,14 +448,29 @@ export const seedDatabase = async (req, res) => {
     });
 
     const createdTasks = await Task.insertMany(sampleTasks);
+    // insertMany skips the save hooks that record task history
+    await TaskHistory.insertMany(createdTasks.flatMap(buildInitialHistory));
     console.log(`✅ Created ${createdTasks.length} tasks`);
 
+    const createdComments = await Comment.insertMany(generateSampleComments(createdTasks, users));
+    console.log(`✅ Created ${createdComments.length} comments`);
+
+    const createdEntries = await TimeEntry.insertMany(generateSampleTimeEntries(createdTasks));
+    console.log(`✅ Logged ${createdEntries.length} time entries`);
+
+    await recordAudit(req, {
+      action: 'workspace.seed',
+      entityType: 'workspace',
+      entityId: workspaceId,
+      details: { projectsCreated: createdProjects.length, tasksCreated: createdTasks.length }
+    });
+
     // Generate summary statistics
-    const statistics = await generateSeedStatistics();
+    const statistics = await generateSeedStatistics(workspaceId);
 
     res.status(201).json({
       success: true,
-      message: 'Database seeded successfully with sample data',
+      message: 'Workspace seeded successfully with sample data',
       data: {
         projectsCreated: createdProjects.length,
         tasksCreated: createdTasks.length,
@@ -258,7 +488,7 @@ export const seedDatabase = async (req, res) => {
 };
 
 /**
- * Clear all data (for testing)
+ * Clear all data in the caller's workspace (for testing)
  */
 export const clearDatabase = async (req, res) => {
   try {
@@ -272,15 +502,20 @@ export const clearDatabase = async (req, res) => {
       });
     }
 
-    const deletedTasks = await Task.deleteMany({});
-    const deletedProjects = await Project.deleteMany({});
+    const { deletedTasks, deletedProjects, projects } = await clearWorkspaceData(req.workspace._id);
+    await recordAudit(req, {
+      action: 'workspace.clear',
+      entityType: 'workspace',
+      entityId: req.workspace._id,
+      details: { deletedTasks, deletedProjects, projects }
+    });
 
     res.status(200).json({
       success: true,
-      message: 'Database cleared successfully',
+      message: 'Workspace cleared successfully',
       data: {
-        deletedTasks: deletedTasks.deletedCount,
-        deletedProjects: deletedProjects.deletedCount
+        deletedTasks,
+        deletedProjects
       }
     });
   } catch (error) {
@@ -298,9 +533,14 @@ export const clearDatabase = async (req, res) => {
  */
 export const forceSeedDatabase = async (req, res) => {
   try {
-    console.log('🗑️  Clearing existing data...');
-    await Task.deleteMany({});
-    await Project.deleteMany({});
+    console.log('🗑️  Clearing existing workspace data...');
+    const cleared = await clearWorkspaceData(req.workspace._id);
+    await recordAudit(req, {
+      action: 'workspace.clear',
+      entityType: 'workspace',
+      entityId: req.workspace._id,
+      details: { ...cleared, reason: 'force-seed' }
+    });
     
     // Now seed with fresh data
     req.body = {}; // Reset request body
@@ -318,9 +558,10 @@ export const forceSeedDatabase = async (req, res) => {
 /**
  * Generate statistics about seeded data
  */
-const generateSeedStatistics = async () => {
+const generateSeedStatistics = async (workspaceId) => {
   const [projectStats, taskStats] = await Promise.all([
     Project.aggregate([
+      { $match: { workspace: workspaceId } },
       {
         $group: {
           _id: '$status',
@@ -329,6 +570,7 @@ const generateSeedStatistics = async () => {
       }
     ]),
     Task.aggregate([
+      { $match: { workspace: workspaceId } },
       {
         $group: {
           _id: '$status',
@@ -342,14 +584,14 @@ const generateSeedStatistics = async () => {
 
   return {
     projects: {
-      total: await Project.countDocuments(),
+      total: await Project.countDocuments({ workspace: workspaceId }),
       byStatus: projectStats.reduce((acc, item) => {
         acc[item._id] = item.count;
         return acc;
       }, {})
     },
     tasks: {
-      total: await Task.countDocuments(),
+      total: await Task.countDocuments({ workspace: workspaceId }),
       byStatus: taskStats.reduce((acc, item) => {
         acc[item._id] = item.count;
         return acc;
@@ -373,17 +615,37 @@ export const runSeedScript = async () => {
     await connectDB();
     console.log('🌱 Starting database seeding...');
     
-    // Clear existing data
-    await Task.deleteMany({});
-    await Project.deleteMany({});
-    console.log('🗑️  Cleared existing data');
+    // Seed into a dedicated demo workspace with sample accounts of its own
+    const { workspace, users } = await ensureDemoWorkspace();
+
+    // Clear existing demo data (scripts have no acting user)
+    const cleared = await clearWorkspaceData(workspace._id);
+    await recordAudit({}, {
+      action: 'workspace.clear',
+      entityType: 'workspace',
+      entityId: workspace._id,
+      workspace: workspace._id,
+      details: { ...cleared, reason: 'seed-script' }
+    });
+    console.log(`🗑️  Cleared existing data in "${workspace.name}"`);
     
     // Create projects
-    const createdProjects = await Project.insertMany(sampleProjects);
+    const createdProjects = await Project.insertMany(
+      sampleProjects.map(project => ({
+        ...project,
+        workspace: workspace._id,
+        members: buildSampleMembers(users)
+      }))
+    );
     console.log(`✅ Created ${createdProjects.length} projects`);
     
     // Create tasks
-    const sampleTasks = generateSampleTasks(createdProjects);
+    const sampleTasks = generateSampleTasks(createdProjects, users)
+      .map(task => ({
+        ...task,
+        workspace: workspace._id,
+        assignmentHistory: Task.diffAssignees([], task.assignees)
+      }));
     let taskIndex = 0;
     createdProjects.forEach(() => {
       const tasksPerProject = 8;
@@ -396,7 +658,23 @@ export const runSeedScript = async () => {
     });
     
     const createdTasks = await Task.insertMany(sampleTasks);
+    // insertMany skips the save hooks that record task history
+    await TaskHistory.insertMany(createdTasks.flatMap(buildInitialHistory));
     console.log(`✅ Created ${createdTasks.length} tasks`);
+
+    const createdComments = await Comment.insertMany(generateSampleComments(createdTasks, users));
+    console.log(`✅ Created ${createdComments.length} comments`);
+
+    const createdEntries = await TimeEntry.insertMany(generateSampleTimeEntries(createdTasks));
+    console.log(`✅ Logged ${createdEntries.length} time entries`);
+
+    await recordAudit({}, {
+      action: 'workspace.seed',
+      entityType: 'workspace',
+      entityId: workspace._id,
+      workspace: workspace._id,
+      details: { projectsCreated: createdProjects.length, tasksCreated: createdTasks.length }
+    });
     
     console.log('🎉 Database seeding completed!');
     process.exit(0);
@@ -0,0 +1,668 @@
+import { Project, Sprint, Task } from '../models/index.js';
+import { validationResult } from 'express-validator';
+import { can, getProjectRole, PROJECT_PERMISSIONS } from '../utils/permissions.js';
+import { resolveWorkflow } from '../utils/workflow.js';
+import { archivedProjectError, isArchived } from '../utils/archive.js';
+import { diffFields, recordAudit } from '../utils/audit.js';
+import { getSprintSummary, getVelocity, isDone } from '../utils/sprints.js';
+import { DEFAULT_SPRINT_DAYS } from '../models/Sprint.js';
+
+/**
+ * Sprint Controller
+ * Time-boxed iterations of a project: planning, starting and completing
+ * sprints, and their summaries and velocity
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Fields of a sprint that can be edited directly
+const EDITABLE_FIELDS = ['name', 'goal', 'startDate', 'endDate'];
+
+/**
+ * Load a workspace project together with the caller's role on it
+ * Projects the caller is not a member of are treated as non-existent
+ */
+const findProjectForUser = async (id, req) => {
+  const project = await Project.findOne({ _id: id, workspace: req.workspace._id })
+    .select('name members workflow archivedAt')
+    .lean();
+  const role = project ? getProjectRole(project, req.user._id) : null;
+  return role ? { project, role } : { project: null, role: null };
+};
+
+/**
+ * Load a sprint of the project in the route together with the project and
+ * the caller's role on it
+ */
+const findSprintForUser = async (req) => {
+  const { id, sprintId } = req.params;
+  const { project, role } = await findProjectForUser(id, req);
+  const sprint = project ? await Sprint.findOne({ _id: sprintId, project: project._id }) : null;
+  return sprint ? { sprint, project, role } : { sprint: null, project, role };
+};
+
+/**
+ * GET /api/projects/:id/sprints - Get a project's sprints with task counts
+ */
+export const getProjectSprints = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { status } = req.query;
+
+    const { project } = await findProjectForUser(id, req);
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        error: 'Project not found',
+        message: `Project with ID ${id} does not exist`
+      });
+    }
+
+    const [sprints, counts] = await Promise.all([
+      Sprint.find({ project: project._id, ...(status && { status }) }).sort({ startDate: 1 }).lean(),
+      Task.aggregate([
+        { $match: { project: project._id, sprint: { $ne: null } } },
+        { $group: { _id: '$sprint', count: { $sum: 1 } } }
+      ])
+    ]);
+    const countBySprint = new Map(counts.map(count => [count._id.toString(), count.count]));
+
+    res.status(200).json({
+      success: true,
+      data: sprints.map(sprint => ({ ...sprint, taskCount: countBySprint.get(sprint._id.toString()) || 0 })),
+      count: sprints.length
+    });
+  } catch (error) {
+    console.error('Error fetching sprints:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch sprints',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * GET /api/projects/:id/sprints/:sprintId - Get a sprint with its tasks
+ */
+export const getSprint = async (req, res) => {
+  try {
+    const { id, sprintId } = req.params;
+
+    const { sprint, project } = await findSprintForUser(req);
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        error: 'Project not found',
+        message: `Project with ID ${id} does not exist`
+      });
+    }
+
+    if (!sprint) {
+      return res.status(404).json({
+        success: false,
+        error: 'Sprint not found',
+        message: `Sprint with ID ${sprintId} does not exist in this project`
+      });
+    }
+
+    const tasks = await Task.find({ sprint: sprint._id })
+      .select('title status priority assignees estimatedHours dueDate')
+      .populate('assignees', 'name email')
+      .sort({ createdAt: 1 })
+      .lean();
+
+    res.status(200).json({
+      success: true,
+      data: { ...sprint.toObject(), tasks }
+    });
+  } catch (error) {
+    console.error('Error fetching sprint:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch sprint',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * POST /api/projects/:id/sprints - Plan a new sprint
+ */
+export const createSprint = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { project, role } = await findProjectForUser(id, req);
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        error: 'Project not found',
+        message: `Project with ID ${id} does not exist`
+      });
+    }
+
+    if (!can(role, 'sprints:manage')) {
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden',
+        message: `Planning sprints requires the ${PROJECT_PERMISSIONS['sprints:manage']} role`
+      });
+    }
+
+    if (isArchived(project)) {
+      return res.status(409).json(archivedProjectError(project));
+    }
+
+    const { name, goal, startDate, endDate } = req.body;
+    const start = new Date(startDate);
+    const sprint = await Sprint.create({
+      workspace: req.workspace._id,
+      project: project._id,
+      name,
+      goal,
+      startDate: start,
+      endDate: endDate ? new Date(endDate) : new Date(start.getTime() + DEFAULT_SPRINT_DAYS * DAY_MS),
+      createdBy: req.user._id
+    });
+
+    await recordAudit(req, {
+      action: 'project.sprint-create',
+      entityType: 'project',
+      entityId: project._id,
+      details: { sprint: sprint._id, name: sprint.name, startDate: sprint.startDate, endDate: sprint.endDate }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Sprint created successfully',
+      data: sprint
+    });
+  } catch (error) {
+    console.error('Error creating sprint:', error);
+
+    // Handle validation errors
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        message: error.message,
+        details: Object.values(error.errors).map(e => ({
+          field: e.path,
+          message: e.message
+        }))
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create sprint',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * PUT /api/projects/:id/sprints/:sprintId - Rename a sprint, change its goal or dates
+ */
+export const updateSprint = async (req, res) => {
+  try {
+    const { id, sprintId } = req.params;
+
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { sprint, project, role } = await findSprintForUser(req);
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        error: 'Project not found',
+        message: `Project with ID ${id} does not exist`
+      });
+    }
+
+    if (!sprint) {
+      return res.status(404).json({
+        success: false,
+        error: 'Sprint not found',
+        message: `Sprint with ID ${sprintId} does not exist in this project`
+      });
+    }
+
+    if (!can(role, 'sprints:manage')) {
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden',
+        message: `Editing sprints requires the ${PROJECT_PERMISSIONS['sprints:manage']} role`
+      });
+    }
+
+    if (isArchived(project)) {
+      return res.status(409).json(archivedProjectError(project));
+    }
+
+    const before = sprint.toObject();
+    const fields = EDITABLE_FIELDS.filter(field => req.body[field] !== undefined);
+    fields.forEach(field => sprint.set(field, req.body[field]));
+    await sprint.save();
+
+    await recordAudit(req, {
+      action: 'project.sprint-update',
+      entityType: 'project',
+      entityId: project._id,
+      details: { sprint: sprint._id, changes: diffFields(before, sprint.toObject(), fields) }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Sprint updated successfully',
+      data: sprint
+    });
+  } catch (error) {
+    console.error('Error updating sprint:', error);
+
+    // Handle validation errors
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        message: error.message,
+        details: Object.values(error.errors).map(e => ({
+          field: e.path,
+          message: e.message
+        }))
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update sprint',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * DELETE /api/projects/:id/sprints/:sprintId - Delete a sprint that is not running
+ * Its tasks go back to the backlog.
+ */
+export const deleteSprint = async (req, res) => {
+  try {
+    const { id, sprintId } = req.params;
+
+    const { sprint, project, role } = await findSprintForUser(req);
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        error: 'Project not found',
+        message: `Project with ID ${id} does not exist`
+      });
+    }
+
+    if (!sprint) {
+      return res.status(404).json({
+        success: false,
+        error: 'Sprint not found',
+        message: `Sprint with ID ${sprintId} does not exist in this project`
+      });
+    }
+
+    if (!can(role, 'sprints:manage')) {
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden',
+        message: `Deleting sprints requires the ${PROJECT_PERMISSIONS['sprints:manage']} role`
+      });
+    }
+
+    if (isArchived(project)) {
+      return res.status(409).json(archivedProjectError(project));
+    }
+
+    if (sprint.status === 'active') {
+      return res.status(409).json({
+        success: false,
+        error: 'Sprint active',
+        message: 'Complete the sprint before deleting it'
+      });
+    }
+
+    const released = await Task.updateMany({ sprint: sprint._id }, { sprint: null }).setOptions({ withDeleted: true });
+    await Sprint.updateMany({ carriedOverTo: sprint._id }, { carriedOverTo: null });
+    await sprint.deleteOne();
+
+    await recordAudit(req, {
+      action: 'project.sprint-delete',
+      entityType: 'project',
+      entityId: project._id,
+      details: { sprint: sprint._id, name: sprint.name, releasedTasks: released.modifiedCount }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Sprint deleted successfully',
+      data: { releasedTasks: released.modifiedCount }
+    });
+  } catch (error) {
+    console.error('Error deleting sprint:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete sprint',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * POST /api/projects/:id/sprints/:sprintId/start - Start a planned sprint
+ * The tasks in the sprint at this point are its commitment.
+ */
+export const startSprint = async (req, res) => {
+  try {
+    const { id, sprintId } = req.params;
+
+    const { sprint, project, role } = await findSprintForUser(req);
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        error: 'Project not found',
+        message: `Project with ID ${id} does not exist`
+      });
+    }
+
+    if (!sprint) {
+      return res.status(404).json({
+        success: false,
+        error: 'Sprint not found',
+        message: `Sprint with ID ${sprintId} does not exist in this project`
+      });
+    }
+
+    if (!can(role, 'sprints:manage')) {
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden',
+        message: `Starting sprints requires the ${PROJECT_PERMISSIONS['sprints:manage']} role`
+      });
+    }
+
+    if (isArchived(project)) {
+      return res.status(409).json(archivedProjectError(project));
+    }
+
+    if (sprint.status !== 'planned') {
+      return res.status(409).json({
+        success: false,
+        error: 'Invalid sprint status',
+        message: `Only planned sprints can be started; this one is ${sprint.status}`
+      });
+    }
+
+    const sprintActive = async () => {
+      const active = await Sprint.findOne({ project: project._id, status: 'active' }).select('name').lean();
+      return res.status(409).json({
+        success: false,
+        error: 'Sprint already active',
+        message: `Sprint "${active?.name}" is still running. Complete it first.`
+      });
+    };
+
+    if (await Sprint.exists({ project: project._id, status: 'active' })) {
+      return sprintActive();
+    }
+
+    sprint.committed = await Task.find({ sprint: sprint._id }).distinct('_id');
+    sprint.status = 'active';
+    sprint.startedAt = new Date();
+    try {
+      await sprint.save();
+    } catch (error) {
+      // Another sprint was started in the meantime
+      if (error.code === 11000) return sprintActive();
+      throw error;
+    }
+
+    await recordAudit(req, {
+      action: 'project.sprint-start',
+      entityType: 'project',
+      entityId: project._id,
+      details: { sprint: sprint._id, name: sprint.name, committed: sprint.committed.length }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Sprint started successfully',
+      data: sprint
+    });
+  } catch (error) {
+    console.error('Error starting sprint:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to start sprint',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * POST /api/projects/:id/sprints/:sprintId/complete - Complete the active sprint
+ * Unfinished tasks move to `carryOverTo` (a planned sprint) or the backlog.
+ */
+export const completeSprint = async (req, res) => {
+  try {
+    const { id, sprintId } = req.params;
+
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { sprint, project, role } = await findSprintForUser(req);
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        error: 'Project not found',
+        message: `Project with ID ${id} does not exist`
+      });
+    }
+
+    if (!sprint) {
+      return res.status(404).json({
+        success: false,
+        error: 'Sprint not found',
+        message: `Sprint with ID ${sprintId} does not exist in this project`
+      });
+    }
+
+    if (!can(role, 'sprints:manage')) {
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden',
+        message: `Completing sprints requires the ${PROJECT_PERMISSIONS['sprints:manage']} role`
+      });
+    }
+
+    if (isArchived(project)) {
+      return res.status(409).json(archivedProjectError(project));
+    }
+
+    if (sprint.status !== 'active') {
+      return res.status(409).json({
+        success: false,
+        error: 'Invalid sprint status',
+        message: `Only active sprints can be completed; this one is ${sprint.status}`
+      });
+    }
+
+    const { carryOverTo = null } = req.body;
+    if (carryOverTo) {
+      const next = await Sprint.findOne({ _id: carryOverTo, project: project._id, status: 'planned' }).select('_id').lean();
+      if (!next) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid sprint',
+          message: 'Unfinished tasks can only be carried over to a planned sprint of this project'
+        });
+      }
+    }
+
+    const workflow = resolveWorkflow(project);
+    const tasks = await Task.find({ sprint: sprint._id }).select('status').lean();
+    const unfinished = tasks.filter(task => !isDone(workflow, task)).map(task => task._id);
+
+    sprint.status = 'completed';
+    sprint.completedAt = new Date();
+    sprint.completed = tasks.filter(task => isDone(workflow, task)).map(task => task._id);
+    sprint.carriedOver = unfinished;
+    sprint.carriedOverTo = carryOverTo;
+    await sprint.save();
+
+    // Moved after completedAt, so the moves are not counted as scope removed mid-sprint
+    if (unfinished.length > 0) {
+      await Task.updateMany({ _id: { $in: unfinished } }, { sprint: carryOverTo });
+    }
+
+    await recordAudit(req, {
+      action: 'project.sprint-complete',
+      entityType: 'project',
+      entityId: project._id,
+      details: {
+        sprint: sprint._id,
+        name: sprint.name,
+        completed: sprint.completed.length,
+        carriedOver: unfinished.length,
+        carriedOverTo: carryOverTo
+      }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Sprint completed successfully',
+      data: sprint
+    });
+  } catch (error) {
+    console.error('Error completing sprint:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to complete sprint',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * GET /api/projects/:id/sprints/:sprintId/summary - Committed vs completed work,
+ * scope changes and carried-over tasks of a sprint
+ */
+export const getSprintSummaryReport = async (req, res) => {
+  try {
+    const { id, sprintId } = req.params;
+
+    const { sprint, project } = await findSprintForUser(req);
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        error: 'Project not found',
+        message: `Project with ID ${id} does not exist`
+      });
+    }
+
+    if (!sprint) {
+      return res.status(404).json({
+        success: false,
+        error: 'Sprint not found',
+        message: `Sprint with ID ${sprintId} does not exist in this project`
+      });
+    }
+
+    const summary = await getSprintSummary(sprint.toObject(), resolveWorkflow(project));
+
+    res.status(200).json({
+      success: true,
+      data: {
+        sprint: {
+          _id: sprint._id,
+          name: sprint.name,
+          goal: sprint.goal,
+          status: sprint.status,
+          startDate: sprint.startDate,
+          endDate: sprint.endDate,
+          startedAt: sprint.startedAt,
+          completedAt: sprint.completedAt
+        },
+        ...summary
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching sprint summary:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch sprint summary',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * GET /api/projects/:id/sprints/velocity - Completed work of the last sprints
+ */
+export const getProjectVelocity = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { project } = await findProjectForUser(id, req);
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        error: 'Project not found',
+        message: `Project with ID ${id} does not exist`
+      });
+    }
+
+    const velocity = await getVelocity(project._id, parseInt(req.query.limit) || 6);
+
+    res.status(200).json({
+      success: true,
+      data: velocity
+    });
+  } catch (error) {
+    console.error('Error fetching velocity:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch velocity',
+      message: error.message
+    });
+  }
+};
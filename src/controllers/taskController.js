@@ -1,11 +1,118 @@
-import { Task, Project } from '../models/index.js';
+import { Task, Project, TaskHistory } from '../models/index.js';
 import { validationResult } from 'express-validator';
+import {
+  can,
+  findTaskForUser,
+  getProjectRole,
+  getTaskRole,
+  buildTaskAccessFilter,
+  PROJECT_PERMISSIONS,
+  sameId
+} from '../utils/permissions.js';
+import {
+  buildAncestors,
+  buildSubtree,
+  createsCycle,
+  rebaseSubtree,
+  refreshProgress
+} from '../utils/taskHierarchy.js';
+import {
+  annotateBlocked,
+  createsDependencyCycle,
+  findOpenBlockers,
+  BLOCKED_TRANSITIONS
+} from '../utils/taskDependencies.js';
+import { anchorRecurrence, parseRecurrence, spawnNextOccurrence } from '../utils/recurrence.js';
+import {
+  checkStatusChange,
+  findStatusesOutsideWorkflow,
+  getInitialStatus,
+  getStatusCategory,
+  loadWorkflow
+} from '../utils/workflow.js';
+import { getStatusDurations } from '../utils/taskHistory.js';
+import { recordAudit } from '../utils/audit.js';
+import { getPurgeDate, restoreTaskTree, trashTasks } from '../utils/trash.js';
+import { archivedProjectError, isArchived } from '../utils/archive.js';
+import { checkSprintAssignment } from '../utils/sprints.js';
+import {
+  buildDueWithinFilter,
+  buildOverdueFilter,
+  getOverdueDays,
+  getTaskCalendar,
+  loadCalendars
+} from '../utils/calendar.js';
 
 /**
  * Task Controller
  * Handles all CRUD operations for tasks
  */
 
+/**
+ * Return the IDs from the list that are not valid assignees
+ * Assignees must be workspace members and, for project tasks, project members
+ */
+const findInvalidAssignees = async (userIds = [], projectId, workspace) => {
+  const uniqueIds = [...new Set(userIds.map(id => id.toString()))];
+  let validIds = new Set(uniqueIds.filter(id => workspace.getMemberRole(id)));
+
+  if (projectId) {
+    const project = await Project.findById(projectId).select('members').lean();
+    validIds = new Set([...validIds].filter(id => getProjectRole(project, id)));
+  }
+
+  return uniqueIds.filter(id => !validIds.has(id));
+};
+
+// Task fields the parent, update, delete, assignment and dependency checks read
+const TASK_CHECK_FIELDS = 'sprint parent ancestors status blockedBy dueDate recurrence description estimatedHours actualHours tags';
+
+/**
+ * Load a task the caller wants to add a subtask to, or move a task under
+ * Returns an error response body when the parent cannot be used.
+ */
+const findParentForUser = async (parentId, req) => {
+  const { task: parent, role, project } = await findTaskForUser(parentId, req, TASK_CHECK_FIELDS);
+
+  if (!parent) {
+    return {
+      status: 400,
+      body: {
+        success: false,
+        error: 'Invalid parent',
+        message: 'The specified parent task does not exist'
+      }
+    };
+  }
+
+  if (!can(role, 'task:create')) {
+    return {
+      status: 403,
+      body: {
+        success: false,
+        error: 'Forbidden',
+        message: `Adding subtasks requires the ${PROJECT_PERMISSIONS['task:create']} role on the parent's project`
+      }
+    };
+  }
+
+  if (isArchived(project)) {
+    return { status: 409, body: archivedProjectError(project) };
+  }
+
+  return { parent };
+};
+
+/**
+ * Get the caller's role on a workspace project they want to add tasks to
+ */
+const findProjectRole = async (projectId, req) => {
+  const project = await Project.findOne({ _id: projectId, workspace: req.workspace._id })
+    .select('name members archivedAt')
+    .lean();
+  return project ? { project, role: getProjectRole(project, req.user._id) } : { project: null, role: null };
+};
+
 /**
  * GET /api/tasks - Get all tasks with optional filtering
  */
@@ -15,18 +122,38 @@ export const getAllTasks = async (req, res) => {
       status, 
       priority, 
       project, 
+      assignee,
+      parent,
+      sprint,
+      overdue,
+      dueWithin,
       search, 
+      includeArchived,
       page = 1, 
       limit = 10,
       sortBy = 'createdAt',
       sortOrder = 'desc'
     } = req.query;
 
-    // Build filter object
-    const filter = {};
+    // Build filter object (only tasks the caller can access, archived projects on request)
+    const filter = {
+      $and: [await buildTaskAccessFilter(req.user, req.workspace._id, 'task:view', {
+        includeArchived: includeArchived === 'true'
+      })]
+    };
     if (status) filter.status = status;
     if (priority) filter.priority = priority;
     if (project) filter.project = project;
+    if (assignee) filter.assignees = assignee;
+    if (parent) filter.parent = parent === 'none' ? null : parent;
+    if (sprint) filter.sprint = sprint === 'none' ? null : sprint;
+    // Due dates follow the work calendars of the tasks' projects
+    if (overdue !== undefined || dueWithin !== undefined) {
+      const calendars = await loadCalendars(req.workspace, req.timezone);
+      if (overdue === 'true') filter.$and.push(buildOverdueFilter(calendars));
+      if (overdue === 'false') filter.$and.push({ $nor: [buildOverdueFilter(calendars)] });
+      if (dueWithin !== undefined) filter.$and.push(buildDueWithinFilter(calendars, parseInt(dueWithin)));
+    }
     if (search) {
       filter.$text = { $search: search };
     }
@@ -41,10 +168,12 @@ export const getAllTasks = async (req, res) => {
     // Execute query with population
     const tasks = await Task.find(filter)
       .populate('project', 'name status color')
+      .populate('assignees', 'name email')
       .sort(sort)
       .skip(skip)
       .limit(parseInt(limit))
       .lean();
+    await annotateBlocked(tasks);
 
     // Get total count for pagination
     const total = await Task.countDocuments(filter);
@@ -78,17 +207,21 @@ export const getTaskById = async (req, res) => {
   try {
     const { id } = req.params;
 
-    const task = await Task.findById(id)
+    const task = await Task.findOne({ _id: id, workspace: req.workspace._id })
       .populate('project', 'name status color priority')
+      .populate('assignees', 'name email')
+      .populate('assignmentHistory.user assignmentHistory.by', 'name email')
+      .populate('blockedBy', 'title status')
       .lean();
 
-    if (!task) {
+    if (!task || !(await getTaskRole(task, req.user))) {
       return res.status(404).json({
         success: false,
         error: 'Task not found',
         message: `Task with ID ${id} does not exist`
       });
     }
+    await annotateBlocked([task]);
 
     res.status(200).json({
       success: true,
@@ -119,23 +252,115 @@ export const createTask = async (req, res) => {
       });
     }
 
-    // If project is specified, verify it exists
-    if (req.body.project) {
-      const projectExists = await Project.findById(req.body.project);
-      if (!projectExists) {
+    // Subtasks always live in their parent's project
+    let parent = null;
+    if (req.body.parent) {
+      const result = await findParentForUser(req.body.parent, req);
+      if (!result.parent) {
+        return res.status(result.status).json(result.body);
+      }
+      parent = result.parent;
+
+      if (req.body.project !== undefined && !sameId(req.body.project, parent.project)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid project',
+          message: 'A subtask must belong to the same project as its parent'
+        });
+      }
+    }
+    const projectId = parent ? parent.project : req.body.project;
+
+    // If project is specified, verify it exists and the caller may add tasks to it
+    if (req.body.project && !parent) {
+      const { project, role } = await findProjectRole(req.body.project, req);
+      if (!role) {
         return res.status(400).json({
           success: false,
           error: 'Invalid project',
           message: 'The specified project does not exist'
         });
       }
+
+      if (!can(role, 'task:create')) {
+        return res.status(403).json({
+          success: false,
+          error: 'Forbidden',
+          message: `Adding tasks to a project requires the ${PROJECT_PERMISSIONS['task:create']} role`
+        });
+      }
+
+      if (isArchived(project)) {
+        return res.status(409).json(archivedProjectError(project));
+      }
+    }
+
+    // Sprints belong to a project, so only its tasks can be planned into them
+    if (req.body.sprint) {
+      const sprintError = await checkSprintAssignment(req.body.sprint, projectId, req.workspace._id);
+      if (sprintError) {
+        return res.status(sprintError.status).json(sprintError.body);
+      }
+    }
+
+    // If assignees are specified, verify they exist
+    if (req.body.assignees) {
+      const invalidAssignees = await findInvalidAssignees(req.body.assignees, projectId, req.workspace);
+      if (invalidAssignees.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid assignees',
+          message: `The following users do not exist or are not project members: ${invalidAssignees.join(', ')}`
+        });
+      }
+    }
+
+    // Trash fields are only set by the delete and restore endpoints
+    const { assignmentHistory, workspace, ancestors, progress, blockedBy, nextOccurrence, attachments, actualHours, deletedAt, deletedBy, deletedWith, ...taskData } = req.body;
+    if (taskData.recurrence) {
+      taskData.recurrence = anchorRecurrence(parseRecurrence(taskData.recurrence), taskData.dueDate);
+    }
+
+    // New tasks start in the workflow's first status unless told otherwise
+    const workflow = await loadWorkflow(projectId);
+    taskData.status = taskData.status || getInitialStatus(workflow);
+    const violations = checkStatusChange(workflow, null, taskData.status, taskData);
+    if (violations.length > 0) {
+      return res.status(422).json({
+        success: false,
+        error: 'Workflow violation',
+        message: violations.map(v => v.message).join('. '),
+        violations
+      });
     }
 
-    const task = new Task(req.body);
+    const task = new Task({
+      ...taskData,
+      project: projectId,
+      parent: parent ? parent._id : null,
+      ancestors: buildAncestors(parent),
+      workspace: req.workspace._id,
+      createdBy: req.user._id,
+      assignmentHistory: Task.diffAssignees([], taskData.assignees, req.user._id)
+    });
     const savedTask = await task.save();
+    await recordAudit(req, {
+      action: 'task.create',
+      entityType: 'task',
+      entityId: savedTask._id,
+      details: { title: savedTask.title, project: savedTask.project || null, parent: savedTask.parent }
+    });
+
+    // A new subtask changes its parent's progress
+    if (parent) {
+      await refreshProgress([parent._id]);
+    }
 
-    // Populate project information
-    await savedTask.populate('project', 'name status color');
+    // Populate project and assignee information
+    await savedTask.populate([
+      { path: 'project', select: 'name status color' },
+      { path: 'assignees', select: 'name email' }
+    ]);
 
     res.status(201).json({
       success: true,
@@ -183,27 +408,180 @@ export const updateTask = async (req, res) => {
       });
     }
 
-    // If project is being updated, verify it exists
-    if (req.body.project) {
-      const projectExists = await Project.findById(req.body.project);
-      if (!projectExists) {
+    const { task: currentTask, role, project } = await findTaskForUser(id, req, TASK_CHECK_FIELDS);
+
+    if (!currentTask) {
+      return res.status(404).json({
+        success: false,
+        error: 'Task not found',
+        message: `Task with ID ${id} does not exist`
+      });
+    }
+
+    if (!can(role, 'task:edit')) {
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden',
+        message: `Editing tasks requires the ${PROJECT_PERMISSIONS['task:edit']} role on the project`
+      });
+    }
+
+    if (isArchived(project)) {
+      return res.status(409).json(archivedProjectError(project));
+    }
+
+    // Resolve the new parent when the task is being moved in the hierarchy
+    const parentChanging = req.body.parent !== undefined && !sameId(req.body.parent || null, currentTask.parent);
+    let newParent = null;
+    if (parentChanging && req.body.parent) {
+      const result = await findParentForUser(req.body.parent, req);
+      if (!result.parent) {
+        return res.status(result.status).json(result.body);
+      }
+      newParent = result.parent;
+
+      if (createsCycle(id, newParent)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid parent',
+          message: 'A task cannot be moved under itself or one of its subtasks'
+        });
+      }
+    }
+
+    // Subtasks always live in their parent's project
+    const hasParent = parentChanging ? Boolean(newParent) : Boolean(currentTask.parent);
+    const parentProject = parentChanging ? newParent?.project : null;
+    if (hasParent && req.body.project !== undefined &&
+        !sameId(req.body.project || null, parentChanging ? parentProject : currentTask.project)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid project',
+        message: 'A subtask must belong to the same project as its parent. Set parent to null to detach it first.'
+      });
+    }
+
+    // If project is being updated, verify it exists and the caller may add tasks to it
+    if (req.body.project && !hasParent) {
+      const { project: targetProject, role: targetRole } = await findProjectRole(req.body.project, req);
+      if (!targetRole) {
         return res.status(400).json({
           success: false,
           error: 'Invalid project',
           message: 'The specified project does not exist'
         });
       }
+
+      if (!can(targetRole, 'task:create')) {
+        return res.status(403).json({
+          success: false,
+          error: 'Forbidden',
+          message: `Moving tasks into a project requires the ${PROJECT_PERMISSIONS['task:create']} role`
+        });
+      }
+
+      if (isArchived(targetProject)) {
+        return res.status(409).json(archivedProjectError(targetProject));
+      }
     }
 
-    const updatedTask = await Task.findByIdAndUpdate(
+    // Trash fields are only set by the delete and restore endpoints
+    const { assignmentHistory, createdBy, workspace, parent, ancestors, progress, blockedBy, nextOccurrence, attachments, actualHours, deletedAt, deletedBy, deletedWith, ...updates } = req.body;
+    const update = { ...updates };
+
+    // Changing the rule keeps the task's place in its series; null stops recurring
+    if (updates.recurrence !== undefined) {
+      update.recurrence = updates.recurrence ? {
+        ...anchorRecurrence(parseRecurrence(updates.recurrence), updates.dueDate || currentTask.dueDate),
+        occurrence: currentTask.recurrence?.occurrence || 1,
+        series: currentTask.recurrence?.series
+      } : null;
+    }
+
+    if (parentChanging) {
+      update.parent = newParent ? newParent._id : null;
+      update.ancestors = buildAncestors(newParent);
+      if (newParent) update.project = newParent.project || null;
+    }
+
+    // Status changes and moves to another project must fit the target workflow
+    const targetProject = update.project !== undefined ? update.project : currentTask.project;
+    const projectChanging = !sameId(targetProject || null, currentTask.project);
+    const statusChanging = updates.status !== undefined && updates.status !== currentTask.status;
+    let workflow = null;
+    if (statusChanging || projectChanging) {
+      workflow = await loadWorkflow(targetProject);
+      const violations = checkStatusChange(workflow, currentTask, updates.status || currentTask.status, updates);
+      if (projectChanging) {
+        violations.push(...await findStatusesOutsideWorkflow(workflow, { ancestors: currentTask._id }));
+      }
+
+      if (violations.length > 0) {
+        return res.status(422).json({
+          success: false,
+          error: 'Workflow violation',
+          message: violations.map(v => v.message).join('. '),
+          violations
+        });
+      }
+    }
+
+    // A sprint must belong to the task's project; tasks moved to another
+    // project leave their sprint
+    if (updates.sprint && (projectChanging || !sameId(updates.sprint, currentTask.sprint))) {
+      const sprintError = await checkSprintAssignment(updates.sprint, targetProject, req.workspace._id);
+      if (sprintError) {
+        return res.status(sprintError.status).json(sprintError.body);
+      }
+    } else if (projectChanging && updates.sprint === undefined && currentTask.sprint) {
+      update.sprint = null;
+    }
+
+    // Blocked tasks cannot be started or completed unless forced
+    let warnings;
+    if (statusChanging && BLOCKED_TRANSITIONS.includes(getStatusCategory(workflow, updates.status))) {
+      const blockers = (await findOpenBlockers([currentTask])).get(currentTask._id.toString());
+      if (blockers) {
+        if (req.query.force !== 'true') {
+          return res.status(409).json({
+            success: false,
+            error: 'Task is blocked',
+            message: `This task is waiting for ${blockers.length} open tasks. Set force=true to change its status anyway.`,
+            blockedBy: blockers
+          });
+        }
+        warnings = [`Task was moved to ${updates.status} while still blocked by ${blockers.length} open tasks`];
+      }
+    }
+
+    // If assignees are being replaced, verify them and record the change
+    if (updates.assignees) {
+      const projectId = update.project !== undefined ? update.project : currentTask.project;
+      const invalidAssignees = await findInvalidAssignees(updates.assignees, projectId, req.workspace);
+      if (invalidAssignees.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid assignees',
+          message: `The following users do not exist or are not project members: ${invalidAssignees.join(', ')}`
+        });
+      }
+
+      const changes = Task.diffAssignees(currentTask.assignees, updates.assignees, req.user._id);
+      if (changes.length > 0) {
+        update.$push = { assignmentHistory: { $each: changes } };
+      }
+    }
+
+    let updatedTask = await Task.findByIdAndUpdate(
       id,
-      { ...req.body },
+      update,
       { 
         new: true, 
         runValidators: true,
         context: 'query'
       }
-    ).populate('project', 'name status color');
+    ).populate('project', 'name status color')
+      .populate('assignees', 'name email');
 
     if (!updatedTask) {
       return res.status(404).json({
@@ -213,10 +591,42 @@ export const updateTask = async (req, res) => {
       });
     }
 
+    await recordAudit(req, {
+      action: 'task.update',
+      entityType: 'task',
+      entityId: updatedTask._id,
+      details: { fields: Object.keys(update).filter(key => !key.startsWith('$')), ...(warnings && { forced: true }) }
+    });
+
+    // Keep the subtree in line with the task's new position and project
+    // (subtasks in the trash included, so they are restored in the right place)
+    if (parentChanging) {
+      await rebaseSubtree(id, currentTask.ancestors, update.ancestors);
+    }
+    if (update.project !== undefined && !sameId(update.project || null, currentTask.project)) {
+      await Task.updateMany({ ancestors: id }, { project: update.project || null, sprint: null }).setOptions({ withDeleted: true });
+    }
+
+    // Completing an occurrence of a recurring task schedules the next one
+    let spawnedOccurrence = null;
+    if (updates.status === 'completed' && currentTask.status !== 'completed') {
+      spawnedOccurrence = await spawnNextOccurrence(id, req.user._id);
+    }
+
+    // Roll progress up through both the old and the new parent chain
+    if (parentChanging || updates.status !== undefined) {
+      await refreshProgress([id, currentTask.parent].filter(Boolean));
+      updatedTask = await Task.findById(id)
+        .populate('project', 'name status color')
+        .populate('assignees', 'name email');
+    }
+
     res.status(200).json({
       success: true,
       message: 'Task updated successfully',
-      data: updatedTask
+      data: updatedTask,
+      ...(spawnedOccurrence && { nextOccurrence: spawnedOccurrence }),
+      ...(warnings && { warnings })
     });
   } catch (error) {
     console.error('Error updating task:', error);
@@ -243,13 +653,40 @@ export const updateTask = async (req, res) => {
 };
 
 /**
- * DELETE /api/tasks/:id - Delete task by ID
+ * DELETE /api/tasks/:id - Move a task to the trash
  */
 export const deleteTask = async (req, res) => {
   try {
     const { id } = req.params;
+    const { deleteSubtasks = false } = req.query;
+
+    const { task, role, project } = await findTaskForUser(id, req, TASK_CHECK_FIELDS);
+
+    if (task && !can(role, 'task:delete')) {
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden',
+        message: `Deleting tasks requires the ${PROJECT_PERMISSIONS['task:delete']} role on the project`
+      });
+    }
+
+    if (isArchived(project)) {
+      return res.status(409).json(archivedProjectError(project));
+    }
+
+    // Check if task has subtasks
+    const subtaskCount = task ? await Task.countDocuments({ ancestors: id }) : 0;
+
+    if (subtaskCount > 0 && deleteSubtasks !== 'true') {
+      return res.status(409).json({
+        success: false,
+        error: 'Task has subtasks',
+        message: `This task has ${subtaskCount} subtasks. Set deleteSubtasks=true to delete them as well.`,
+        subtaskCount
+      });
+    }
 
-    const deletedTask = await Task.findByIdAndDelete(id);
+    const deletedTask = task ? await Task.findById(id).select('title').lean() : null;
 
     if (!deletedTask) {
       return res.status(404).json({
@@ -259,10 +696,25 @@ export const deleteTask = async (req, res) => {
       });
     }
 
+    // Move the task and its subtree to the trash
+    const deletedIds = await trashTasks([id], req.user._id);
+    const deletedSubtasksCount = deletedIds.length - 1;
+
+    await recordAudit(req, {
+      action: 'task.delete',
+      entityType: 'task',
+      entityId: deletedTask._id,
+      details: { title: deletedTask.title, deletedSubtasks: deletedIds.slice(1) }
+    });
+
+    if (task.parent) {
+      await refreshProgress([task.parent]);
+    }
+
     res.status(200).json({
       success: true,
-      message: 'Task deleted successfully',
-      data: { id: deletedTask._id, title: deletedTask.title }
+      message: 'Task moved to trash',
+      data: { id: deletedTask._id, title: deletedTask.title, deletedSubtasksCount, purgeAt: getPurgeDate(new Date()) }
     });
   } catch (error) {
     console.error('Error deleting task:', error);
@@ -274,15 +726,188 @@ export const deleteTask = async (req, res) => {
   }
 };
 
+/**
+ * GET /api/tasks/trash - Get deleted tasks, most recently deleted first
+ * Lists tasks deleted directly; subtasks deleted with them are counted, and
+ * tasks deleted with a project are listed under the project's trash.
+ */
+export const getTaskTrash = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { page = 1, limit = 10 } = req.query;
+    const filter = {
+      $and: [await buildTaskAccessFilter(req.user, req.workspace._id, 'task:view', {
+        includeArchived: true,
+        withDeleted: true
+      })],
+      deletedAt: { $ne: null },
+      deletedWith: null
+    };
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [tasks, total] = await Promise.all([
+      Task.find(filter)
+        .populate({ path: 'project', select: 'name status color deletedAt', options: { withDeleted: true } })
+        .populate('deletedBy', 'name email')
+        .sort({ deletedAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .lean(),
+      Task.countDocuments(filter)
+    ]);
+
+    const subtaskCounts = await Task.aggregate([
+      { $match: { deletedWith: { $in: tasks.map(task => task._id) }, deletedAt: { $ne: null } } },
+      { $group: { _id: '$deletedWith', count: { $sum: 1 } } }
+    ]);
+    const countsByTask = new Map(subtaskCounts.map(entry => [entry._id.toString(), entry.count]));
+    tasks.forEach(task => {
+      task.deletedSubtasksCount = countsByTask.get(task._id.toString()) || 0;
+      task.purgeAt = getPurgeDate(task.deletedAt);
+    });
+
+    const totalPages = Math.ceil(total / parseInt(limit));
+
+    res.status(200).json({
+      success: true,
+      data: tasks,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages,
+        totalTasks: total,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching task trash:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch task trash',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * POST /api/tasks/:id/restore - Restore a task from the trash
+ * Subtasks deleted along with it are restored too.
+ */
+export const restoreTask = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const task = await Task.findOne({ _id: id, workspace: req.workspace._id, deletedAt: { $ne: null } })
+      .select('title project createdBy assignees parent deletedWith')
+      .lean();
+    const project = task?.project ?
+      await Project.findById(task.project).select('name members deletedAt archivedAt').setOptions({ withDeleted: true }).lean() :
+      null;
+    const role = task ? await getTaskRole(project ? { ...task, project } : task, req.user) : null;
+
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        error: 'Task not found',
+        message: `Task with ID ${id} is not in the trash`
+      });
+    }
+
+    if (!can(role, 'task:delete')) {
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden',
+        message: `Restoring tasks requires the ${PROJECT_PERMISSIONS['task:delete']} role on the project`
+      });
+    }
+
+    // Tasks deleted along with a parent or project come back with it
+    if (task.deletedWith) {
+      const deletedWithProject = sameId(task.deletedWith, project?._id);
+      return res.status(409).json({
+        success: false,
+        error: 'Deleted with another item',
+        message: deletedWithProject ?
+          `This task was deleted with project "${project.name}". Restore the project instead.` :
+          'This task was deleted with a parent task. Restore that task instead.',
+        deletedWith: { type: deletedWithProject ? 'project' : 'task', id: task.deletedWith }
+      });
+    }
+
+    if (project?.deletedAt) {
+      return res.status(409).json({
+        success: false,
+        error: 'Project in trash',
+        message: `Project "${project.name}" is in the trash. Restore it before restoring its tasks.`
+      });
+    }
+
+    if (isArchived(project)) {
+      return res.status(409).json(archivedProjectError(project));
+    }
+
+    if (task.parent && !(await Task.exists({ _id: task.parent }))) {
+      return res.status(409).json({
+        success: false,
+        error: 'Parent task in trash',
+        message: 'The parent task is in the trash. Restore it before restoring its subtasks.'
+      });
+    }
+
+    const restoredIds = await restoreTaskTree(id);
+
+    await recordAudit(req, {
+      action: 'task.restore',
+      entityType: 'task',
+      entityId: task._id,
+      details: { title: task.title, restoredSubtasks: restoredIds.filter(restoredId => !sameId(restoredId, task._id)) }
+    });
+
+    if (task.parent) {
+      await refreshProgress([task.parent]);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Task restored successfully',
+      data: { id: task._id, title: task.title, restoredSubtasksCount: restoredIds.length - 1 }
+    });
+  } catch (error) {
+    console.error('Error restoring task:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to restore task',
+      message: error.message
+    });
+  }
+};
+
 /**
  * GET /api/tasks/overdue - Get overdue tasks
  */
 export const getOverdueTasks = async (req, res) => {
   try {
-    const overdueTasks = await Task.findOverdue()
+    const calendars = await loadCalendars(req.workspace, req.timezone);
+    const overdueTasks = await Task.findOverdue(calendars)
+      .and([await buildTaskAccessFilter(req.user, req.workspace._id)])
       .populate('project', 'name status color')
       .sort({ dueDate: 1 })
       .lean();
+    await annotateBlocked(overdueTasks);
+    // Working days since the due date, under the task's calendar
+    const now = new Date();
+    overdueTasks.forEach(task => {
+      task.overdueDays = getOverdueDays(task.dueDate, getTaskCalendar(calendars, task.project), now);
+    });
 
     res.status(200).json({
       success: true,
@@ -300,26 +925,246 @@ export const getOverdueTasks = async (req, res) => {
 };
 
 /**
- * POST /api/tasks/:id/notes - Add note to task
+ * GET /api/tasks/:id/subtasks - Get a task's subtree
+ */
+export const getSubtasks = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const task = await Task.findOne({ _id: id, workspace: req.workspace._id })
+      .populate('assignees', 'name email')
+      .lean();
+
+    if (!task || !(await getTaskRole(task, req.user))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Task not found',
+        message: `Task with ID ${id} does not exist`
+      });
+    }
+
+    const descendants = await Task.find({ ancestors: task._id })
+      .populate('assignees', 'name email')
+      .sort({ createdAt: 1 })
+      .lean();
+    await annotateBlocked([task, ...descendants]);
+
+    res.status(200).json({
+      success: true,
+      data: buildSubtree(task, descendants),
+      count: descendants.length
+    });
+  } catch (error) {
+    console.error('Error fetching subtasks:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch subtasks',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * GET /api/tasks/:id/dependencies - Get a task's dependency graph
+ * Includes every task it (transitively) waits for and every task that
+ * (transitively) waits for it, limited to tasks the caller can see
+ */
+export const getTaskDependencies = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { task } = await findTaskForUser(id, req);
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        error: 'Task not found',
+        message: `Task with ID ${id} does not exist`
+      });
+    }
+
+    // Graph lookups see deleted tasks unless told otherwise
+    const accessFilter = {
+      ...(await buildTaskAccessFilter(req.user, req.workspace._id, 'task:view', { includeArchived: true })),
+      deletedAt: null
+    };
+    const [graph] = await Task.aggregate([
+      { $match: { _id: task._id } },
+      {
+        $graphLookup: {
+          from: 'tasks',
+          startWith: '$blockedBy',
+          connectFromField: 'blockedBy',
+          connectToField: '_id',
+          as: 'upstream',
+          depthField: 'depth',
+          restrictSearchWithMatch: accessFilter
+        }
+      },
+      {
+        $graphLookup: {
+          from: 'tasks',
+          startWith: '$_id',
+          connectFromField: '_id',
+          connectToField: 'blockedBy',
+          as: 'downstream',
+          depthField: 'depth',
+          restrictSearchWithMatch: accessFilter
+        }
+      }
+    ]);
+
+    const toNode = (node, direction) => ({
+      _id: node._id,
+      title: node.title,
+      status: node.status,
+      priority: node.priority,
+      project: node.project,
+      blockedBy: node.blockedBy || [],
+      direction,
+      depth: direction === 'self' ? 0 : node.depth + 1
+    });
+
+    const nodes = [
+      toNode(graph, 'self'),
+      ...graph.upstream.map(node => toNode(node, 'upstream')),
+      ...graph.downstream.map(node => toNode(node, 'downstream'))
+    ];
+    await annotateBlocked(nodes);
+
+    // An edge points from the blocking task to the task waiting for it
+    const nodeIds = new Set(nodes.map(node => node._id.toString()));
+    const edges = nodes.flatMap(node => node.blockedBy
+      .filter(blockerId => nodeIds.has(blockerId.toString()))
+      .map(blockerId => ({ from: blockerId, to: node._id })));
+
+    res.status(200).json({
+      success: true,
+      data: {
+        task: task._id,
+        blocked: nodes[0].blocked,
+        nodes: nodes.map(({ blockedBy, ...node }) => node),
+        edges
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching task dependencies:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch task dependencies',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * POST /api/tasks/:id/dependencies - Make a task wait for another task
  */
-export const addTaskNote = async (req, res) => {
+export const addTaskDependency = async (req, res) => {
   try {
     const { id } = req.params;
-    const { content } = req.body;
 
-    if (!content || content.trim().length === 0) {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
       return res.status(400).json({
         success: false,
-        error: 'Note content is required'
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { taskId } = req.body;
+    const { task, role, project } = await findTaskForUser(id, req, TASK_CHECK_FIELDS);
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        error: 'Task not found',
+        message: `Task with ID ${id} does not exist`
+      });
+    }
+
+    if (!can(role, 'task:edit')) {
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden',
+        message: `Changing dependencies requires the ${PROJECT_PERMISSIONS['task:edit']} role on the project`
       });
     }
 
-    const task = await Task.findByIdAndUpdate(
+    if (isArchived(project)) {
+      return res.status(409).json(archivedProjectError(project));
+    }
+
+    const { task: dependency } = await findTaskForUser(taskId, req, 'title');
+    if (!dependency) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid dependency',
+        message: 'The specified dependency task does not exist'
+      });
+    }
+
+    if (await createsDependencyCycle(task._id, dependency._id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Dependency cycle',
+        message: 'This dependency would create a cycle: the other task already waits for this one'
+      });
+    }
+
+    const alreadyLinked = (task.blockedBy || []).some(blockerId => blockerId.toString() === taskId);
+
+    const updatedTask = await Task.findByIdAndUpdate(
       id,
-      { $push: { notes: { content: content.trim() } } },
-      { new: true, runValidators: true }
-    ).populate('project', 'name status color');
+      { $addToSet: { blockedBy: dependency._id } },
+      { new: true }
+    ).populate('blockedBy', 'title status')
+      .lean();
+    await annotateBlocked([updatedTask]);
+
+    if (!alreadyLinked) {
+      await recordAudit(req, {
+        action: 'task.dependency-add',
+        entityType: 'task',
+        entityId: task._id,
+        details: { dependency: dependency._id, title: dependency.title }
+      });
+    }
+
+    res.status(alreadyLinked ? 200 : 201).json({
+      success: true,
+      message: alreadyLinked ? 'Dependency already exists' : 'Dependency added successfully',
+      data: updatedTask
+    });
+  } catch (error) {
+    console.error('Error adding task dependency:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to add task dependency',
+      message: error.message
+    });
+  }
+};
 
+/**
+ * DELETE /api/tasks/:id/dependencies/:dependencyId - Remove a dependency
+ */
+export const removeTaskDependency = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { id, dependencyId } = req.params;
+
+    const { task, role, project } = await findTaskForUser(id, req, TASK_CHECK_FIELDS);
     if (!task) {
       return res.status(404).json({
         success: false,
@@ -328,16 +1173,258 @@ export const addTaskNote = async (req, res) => {
       });
     }
 
-    res.status(201).json({
+    if (!can(role, 'task:edit')) {
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden',
+        message: `Changing dependencies requires the ${PROJECT_PERMISSIONS['task:edit']} role on the project`
+      });
+    }
+
+    if (isArchived(project)) {
+      return res.status(409).json(archivedProjectError(project));
+    }
+
+    if (!(task.blockedBy || []).some(blockerId => blockerId.toString() === dependencyId)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Dependency not found',
+        message: `Task ${dependencyId} is not a dependency of this task`
+      });
+    }
+
+    const updatedTask = await Task.findByIdAndUpdate(
+      id,
+      { $pull: { blockedBy: dependencyId } },
+      { new: true }
+    ).populate('blockedBy', 'title status')
+      .lean();
+    await annotateBlocked([updatedTask]);
+
+    await recordAudit(req, {
+      action: 'task.dependency-remove',
+      entityType: 'task',
+      entityId: task._id,
+      details: { dependency: dependencyId }
+    });
+
+    res.status(200).json({
       success: true,
-      message: 'Note added successfully',
-      data: task
+      message: 'Dependency removed successfully',
+      data: updatedTask
+    });
+  } catch (error) {
+    console.error('Error removing task dependency:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to remove task dependency',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * GET /api/tasks/:id/history - Get a task's change history
+ * Lists status, priority, assignee and project changes, oldest first,
+ * together with the time the task has spent in each status
+ */
+export const getTaskHistory = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const { field } = req.query;
+
+    const { task } = await findTaskForUser(id, req);
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        error: 'Task not found',
+        message: `Task with ID ${id} does not exist`
+      });
+    }
+
+    const [history, statusEntries] = await Promise.all([
+      TaskHistory.find({ task: task._id, ...(field && { field }) })
+        .populate('actor', 'name email')
+        .sort({ at: 1 })
+        .lean(),
+      TaskHistory.find({ task: task._id, field: 'status' }).sort({ at: 1 }).lean()
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: history,
+      count: history.length,
+      statusDurations: getStatusDurations(statusEntries)
+    });
+  } catch (error) {
+    console.error('Error fetching task history:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch task history',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * POST /api/tasks/:id/assignees - Assign users to a task
+ */
+export const assignTask = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { userIds } = req.body;
+    const { task, role, project } = await findTaskForUser(id, req, TASK_CHECK_FIELDS);
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        error: 'Task not found',
+        message: `Task with ID ${id} does not exist`
+      });
+    }
+
+    if (!can(role, 'task:edit')) {
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden',
+        message: `Assigning tasks requires the ${PROJECT_PERMISSIONS['task:edit']} role on the project`
+      });
+    }
+
+    if (isArchived(project)) {
+      return res.status(409).json(archivedProjectError(project));
+    }
+
+    const invalidAssignees = await findInvalidAssignees(userIds, task.project, req.workspace);
+    if (invalidAssignees.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid assignees',
+        message: `The following users do not exist or are not project members: ${invalidAssignees.join(', ')}`
+      });
+    }
+
+    const nextAssignees = [...new Set([...task.assignees, ...userIds].map(userId => userId.toString()))];
+    const changes = Task.diffAssignees(task.assignees, nextAssignees, req.user._id);
+
+    const updatedTask = await Task.findByIdAndUpdate(
+      id,
+      {
+        $addToSet: { assignees: { $each: userIds } },
+        $push: { assignmentHistory: { $each: changes } }
+      },
+      { new: true }
+    ).populate('project', 'name status color')
+      .populate('assignees', 'name email');
+
+    if (changes.length > 0) {
+      await recordAudit(req, {
+        action: 'task.assign',
+        entityType: 'task',
+        entityId: task._id,
+        details: { assigned: changes.map(change => change.user) }
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: changes.length > 0 ? 'Task assigned successfully' : 'Users were already assigned',
+      data: updatedTask
+    });
+  } catch (error) {
+    console.error('Error assigning task:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to assign task',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * DELETE /api/tasks/:id/assignees/:userId - Remove a user from a task
+ */
+export const unassignTask = async (req, res) => {
+  try {
+    const { id, userId } = req.params;
+
+    const { task, role, project } = await findTaskForUser(id, req, TASK_CHECK_FIELDS);
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        error: 'Task not found',
+        message: `Task with ID ${id} does not exist`
+      });
+    }
+
+    if (!can(role, 'task:edit')) {
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden',
+        message: `Unassigning tasks requires the ${PROJECT_PERMISSIONS['task:edit']} role on the project`
+      });
+    }
+
+    if (isArchived(project)) {
+      return res.status(409).json(archivedProjectError(project));
+    }
+
+    if (!task.assignees.some(assignee => assignee.toString() === userId)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Assignee not found',
+        message: `User ${userId} is not assigned to this task`
+      });
+    }
+
+    const updatedTask = await Task.findByIdAndUpdate(
+      id,
+      {
+        $pull: { assignees: userId },
+        $push: { assignmentHistory: { user: userId, action: 'unassigned', by: req.user._id, at: new Date() } }
+      },
+      { new: true }
+    ).populate('project', 'name status color')
+      .populate('assignees', 'name email');
+
+    await recordAudit(req, {
+      action: 'task.unassign',
+      entityType: 'task',
+      entityId: task._id,
+      details: { unassigned: userId }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'User unassigned successfully',
+      data: updatedTask
     });
   } catch (error) {
-    console.error('Error adding note:', error);
+    console.error('Error unassigning task:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to add note',
+      error: 'Failed to unassign task',
       message: error.message
     });
   }
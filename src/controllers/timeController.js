@@ -0,0 +1,666 @@
+import { Project, Task, TimeEntry, User } from '../models/index.js';
+import { validationResult } from 'express-validator';
+import {
+  can,
+  findTaskForUser,
+  getProjectRole,
+  buildTaskAccessFilter,
+  PROJECT_PERMISSIONS
+} from '../utils/permissions.js';
+import { archivedProjectError, isArchived } from '../utils/archive.js';
+import { recordAudit } from '../utils/audit.js';
+import { buildTimesheet, getWeekRange, syncActualHours, toHours } from '../utils/timeTracking.js';
+import { isBillableTask } from '../utils/billing.js';
+import { parseLocalDate, resolveTimezone } from '../utils/calendar.js';
+
+/**
+ * Time Controller
+ * Time entries, start/stop timers and weekly timesheets. Every change to a
+ * task's entries recomputes its actualHours.
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Load an entry in the workspace together with its task, the task's project and the caller's role on the task
+ */
+const findEntryForUser = async (id, req) => {
+  const entry = await TimeEntry.findOne({ _id: id, workspace: req.workspace._id });
+  const { task, role, project } = entry ?
+    await findTaskForUser(entry.task, req, 'title billable') :
+    { task: null, role: null, project: null };
+  return task ? { entry, task, role, project } : { entry: null, task: null, role: null, project: null };
+};
+
+/**
+ * Whether the caller may change an entry: their own with time:log, anyone's with time:manage
+ */
+const canChangeEntry = (entry, role, user) => {
+  const isOwn = entry.user.toString() === user._id.toString();
+  return isOwn ? can(role, 'time:log') : can(role, 'time:manage');
+};
+
+/**
+ * End time of a manual entry, from an explicit end or a number of hours
+ */
+const resolveEndTime = (startedAt, { endedAt, hours }) => {
+  if (endedAt) return new Date(endedAt);
+  if (hours != null) return new Date(new Date(startedAt).getTime() + parseFloat(hours) * HOUR_MS);
+  return undefined;
+};
+
+/**
+ * Load an entry with the fields the API returns
+ */
+const findPopulatedEntry = (id) => {
+  return TimeEntry.findById(id)
+    .populate('task', 'title project')
+    .populate('user', 'name email')
+    .lean();
+};
+
+/**
+ * GET /api/time/entries - Get time entries on tasks the caller can see
+ */
+export const getTimeEntries = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { page = 1, limit = 20, user, task, project, from, to, billable } = req.query;
+
+    const taskFilter = await buildTaskAccessFilter(req.user, req.workspace._id, 'task:view', { includeArchived: true });
+    if (task) taskFilter._id = task;
+    if (project) taskFilter.project = project;
+    const taskIds = await Task.find(taskFilter).distinct('_id');
+
+    const filter = { workspace: req.workspace._id, task: { $in: taskIds } };
+    if (user) filter.user = user;
+    if (billable !== undefined) filter.billable = billable === 'true';
+    if (from || to) {
+      filter.startedAt = {};
+      if (from) filter.startedAt.$gte = new Date(from);
+      if (to) filter.startedAt.$lte = new Date(to);
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [entries, total, totals] = await Promise.all([
+      TimeEntry.find(filter)
+        .populate('task', 'title project')
+        .populate('user', 'name email')
+        .sort({ startedAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .lean(),
+      TimeEntry.countDocuments(filter),
+      TimeEntry.aggregate([
+        { $match: { ...filter, endedAt: { $ne: null } } },
+        {
+          $group: {
+            _id: null,
+            seconds: { $sum: '$duration' },
+            billableSeconds: { $sum: { $cond: ['$billable', '$duration', 0] } }
+          }
+        }
+      ])
+    ]);
+
+    const totalPages = Math.ceil(total / parseInt(limit));
+
+    res.status(200).json({
+      success: true,
+      data: entries,
+      summary: {
+        totalHours: toHours(totals[0]?.seconds || 0),
+        billableHours: toHours(totals[0]?.billableSeconds || 0)
+      },
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages,
+        totalEntries: total,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching time entries:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch time entries',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * POST /api/time/entries - Log time spent on a task
+ */
+export const createTimeEntry = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { task: taskId, startedAt, note, billable } = req.body;
+
+    const { task, role, project } = await findTaskForUser(taskId, req, 'title billable');
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        error: 'Task not found',
+        message: `Task with ID ${taskId} does not exist`
+      });
+    }
+
+    if (!can(role, 'time:log')) {
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden',
+        message: `Logging time requires the ${PROJECT_PERMISSIONS['time:log']} role on the project`
+      });
+    }
+
+    if (isArchived(project)) {
+      return res.status(409).json(archivedProjectError(project));
+    }
+
+    const entry = await TimeEntry.create({
+      workspace: req.workspace._id,
+      task: task._id,
+      user: req.user._id,
+      startedAt,
+      endedAt: resolveEndTime(startedAt, req.body),
+      note,
+      billable: billable ?? isBillableTask(task)
+    });
+    await syncActualHours([task._id]);
+
+    await recordAudit(req, {
+      action: 'task.time-add',
+      entityType: 'task',
+      entityId: task._id,
+      details: { entry: entry._id, startedAt: entry.startedAt, duration: entry.duration, billable: entry.billable }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Time logged successfully',
+      data: await findPopulatedEntry(entry._id)
+    });
+  } catch (error) {
+    console.error('Error logging time:', error);
+
+    // Handle validation errors
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to log time',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * PUT /api/time/entries/:id - Update a time entry
+ * Users edit their own entries; maintainers can correct anyone's.
+ */
+export const updateTimeEntry = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const { startedAt, endedAt, hours, note, billable } = req.body;
+
+    const { entry, task, role, project } = await findEntryForUser(id, req);
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        error: 'Time entry not found',
+        message: `Time entry with ID ${id} does not exist`
+      });
+    }
+
+    if (!canChangeEntry(entry, role, req.user)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden',
+        message: `Changing other people's time requires the ${PROJECT_PERMISSIONS['time:manage']} role on the project`
+      });
+    }
+
+    if (isArchived(project)) {
+      return res.status(409).json(archivedProjectError(project));
+    }
+
+    const running = !entry.endedAt;
+    if (running && (endedAt !== undefined || hours !== undefined)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Timer running',
+        message: 'Stop the timer before setting when it ended'
+      });
+    }
+
+    const before = { startedAt: entry.startedAt, endedAt: entry.endedAt, billable: entry.billable };
+    if (startedAt !== undefined) {
+      // Keep the logged duration when only the start moves
+      if (!running && endedAt === undefined && hours === undefined) {
+        entry.endedAt = new Date(new Date(startedAt).getTime() + entry.duration * 1000);
+      }
+      entry.startedAt = startedAt;
+    }
+    if (endedAt !== undefined || hours !== undefined) {
+      entry.endedAt = resolveEndTime(entry.startedAt, { endedAt, hours });
+    }
+    if (note !== undefined) entry.note = note;
+    if (billable !== undefined) entry.billable = billable;
+    await entry.save();
+    await syncActualHours([entry.task]);
+
+    await recordAudit(req, {
+      action: 'task.time-update',
+      entityType: 'task',
+      entityId: entry.task,
+      details: {
+        entry: entry._id,
+        user: entry.user,
+        before,
+        after: { startedAt: entry.startedAt, endedAt: entry.endedAt, billable: entry.billable }
+      }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Time entry updated successfully',
+      data: await findPopulatedEntry(entry._id)
+    });
+  } catch (error) {
+    console.error('Error updating time entry:', error);
+
+    // Handle validation errors
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update time entry',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * DELETE /api/time/entries/:id - Delete a time entry
+ */
+export const deleteTimeEntry = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { entry, task, role, project } = await findEntryForUser(id, req);
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        error: 'Time entry not found',
+        message: `Time entry with ID ${id} does not exist`
+      });
+    }
+
+    if (!canChangeEntry(entry, role, req.user)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden',
+        message: `Deleting other people's time requires the ${PROJECT_PERMISSIONS['time:manage']} role on the project`
+      });
+    }
+
+    if (isArchived(project)) {
+      return res.status(409).json(archivedProjectError(project));
+    }
+
+    await TimeEntry.deleteOne({ _id: entry._id });
+    await syncActualHours([entry.task]);
+
+    await recordAudit(req, {
+      action: 'task.time-delete',
+      entityType: 'task',
+      entityId: entry.task,
+      details: { entry: entry._id, user: entry.user, startedAt: entry.startedAt, duration: entry.duration }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Time entry deleted successfully',
+      data: { id: entry._id }
+    });
+  } catch (error) {
+    console.error('Error deleting time entry:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete time entry',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * GET /api/time/timer - Get the caller's running timer
+ */
+export const getRunningTimer = async (req, res) => {
+  try {
+    const entry = await TimeEntry.findOne({ user: req.user._id, endedAt: null })
+      .populate('task', 'title project')
+      .lean();
+
+    res.status(200).json({
+      success: true,
+      data: entry && {
+        ...entry,
+        elapsedHours: toHours((Date.now() - entry.startedAt.getTime()) / 1000)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching timer:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch timer',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * POST /api/time/timer/start - Start a timer on a task
+ * Users can only have one timer running.
+ */
+export const startTimer = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { task: taskId, note, billable } = req.body;
+
+    const { task, role, project } = await findTaskForUser(taskId, req, 'title billable');
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        error: 'Task not found',
+        message: `Task with ID ${taskId} does not exist`
+      });
+    }
+
+    if (!can(role, 'time:log')) {
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden',
+        message: `Logging time requires the ${PROJECT_PERMISSIONS['time:log']} role on the project`
+      });
+    }
+
+    if (isArchived(project)) {
+      return res.status(409).json(archivedProjectError(project));
+    }
+
+    const timerRunning = async () => {
+      const running = await TimeEntry.findOne({ user: req.user._id, endedAt: null })
+        .populate('task', 'title')
+        .lean();
+      return res.status(409).json({
+        success: false,
+        error: 'Timer already running',
+        message: `You already have a timer running on "${running?.task?.title}". Stop it first.`,
+        data: running
+      });
+    };
+
+    if (await TimeEntry.exists({ user: req.user._id, endedAt: null })) {
+      return timerRunning();
+    }
+
+    let entry;
+    try {
+      entry = await TimeEntry.create({
+        workspace: req.workspace._id,
+        task: task._id,
+        user: req.user._id,
+        startedAt: new Date(),
+        note,
+        billable: billable ?? isBillableTask(task)
+      });
+    } catch (error) {
+      // Another request started a timer in the meantime
+      if (error.code === 11000) return timerRunning();
+      throw error;
+    }
+
+    await recordAudit(req, {
+      action: 'task.timer-start',
+      entityType: 'task',
+      entityId: task._id,
+      details: { entry: entry._id, startedAt: entry.startedAt, billable: entry.billable }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Timer started',
+      data: await findPopulatedEntry(entry._id)
+    });
+  } catch (error) {
+    console.error('Error starting timer:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to start timer',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * POST /api/time/timer/stop - Stop the caller's running timer
+ */
+export const stopTimer = async (req, res) => {
+  try {
+    const entry = await TimeEntry.findOne({ user: req.user._id, endedAt: null });
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        error: 'No timer running',
+        message: 'You have no running timer to stop'
+      });
+    }
+
+    entry.endedAt = new Date();
+    if (req.body?.note !== undefined) entry.note = req.body.note;
+    await entry.save();
+    await syncActualHours([entry.task]);
+
+    // The timer may have been started in another workspace than the active one
+    await recordAudit(req, {
+      action: 'task.timer-stop',
+      entityType: 'task',
+      entityId: entry.task,
+      workspace: entry.workspace,
+      details: { entry: entry._id, startedAt: entry.startedAt, endedAt: entry.endedAt, duration: entry.duration }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Timer stopped',
+      data: await findPopulatedEntry(entry._id)
+    });
+  } catch (error) {
+    console.error('Error stopping timer:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to stop timer',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * GET /api/time/timesheet - Get a user's weekly timesheet, one row per task
+ * Defaults to the caller and the current week. Only tasks the caller can
+ * see are included.
+ */
+export const getUserTimesheet = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const userId = req.query.user || req.user._id;
+    if (!req.workspace.getMemberRole(userId)) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found',
+        message: `User ${userId} is not a member of this workspace`
+      });
+    }
+
+    const timezone = resolveTimezone(req.timezone, req.workspace);
+    const week = getWeekRange(req.query.week ? parseLocalDate(req.query.week, timezone) : new Date(), timezone);
+    const entries = await TimeEntry.find({
+      workspace: req.workspace._id,
+      user: userId,
+      startedAt: { $gte: week.start, $lt: week.end },
+      endedAt: { $ne: null }
+    }).lean();
+
+    const taskFilter = await buildTaskAccessFilter(req.user, req.workspace._id, 'task:view', { includeArchived: true });
+    const tasks = await Task.find({ ...taskFilter, _id: { $in: entries.map(entry => entry.task) } })
+      .select('title project')
+      .populate('project', 'name')
+      .lean();
+    const tasksById = new Map(tasks.map(task => [task._id.toString(), task]));
+
+    const timesheet = buildTimesheet(
+      entries.filter(entry => tasksById.has(entry.task.toString())),
+      week,
+      entry => entry.task.toString(),
+      entry => ({ task: tasksById.get(entry.task.toString()) })
+    );
+
+    res.status(200).json({
+      success: true,
+      data: {
+        user: await User.findById(userId).select('name email').lean(),
+        ...timesheet
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching timesheet:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch timesheet',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * GET /api/projects/:id/timesheet - Get a project's weekly timesheet, one row per user
+ */
+export const getProjectTimesheet = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+
+    const project = await Project.findOne({ _id: id, workspace: req.workspace._id })
+      .select('name members')
+      .lean();
+    if (!project || !getProjectRole(project, req.user._id)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Project not found',
+        message: `Project with ID ${id} does not exist`
+      });
+    }
+
+    const timezone = resolveTimezone(req.timezone, req.workspace);
+    const week = getWeekRange(req.query.week ? parseLocalDate(req.query.week, timezone) : new Date(), timezone);
+    const taskIds = await Task.find({ project: project._id }).distinct('_id');
+    const entries = await TimeEntry.find({
+      task: { $in: taskIds },
+      startedAt: { $gte: week.start, $lt: week.end },
+      endedAt: { $ne: null }
+    }).populate('user', 'name email').lean();
+
+    const timesheet = buildTimesheet(
+      entries,
+      week,
+      entry => String(entry.user?._id),
+      entry => ({ user: entry.user })
+    );
+
+    res.status(200).json({
+      success: true,
+      data: {
+        project: { _id: project._id, name: project.name },
+        ...timesheet
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching project timesheet:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch project timesheet',
+      message: error.message
+    });
+  }
+};
@@ -0,0 +1,537 @@
+import { Workspace, Project, User } from '../models/index.js';
+import { validationResult } from 'express-validator';
+import { diffFields, recordAudit } from '../utils/audit.js';
+import { startOfDay } from '../utils/snapshots.js';
+import { getWorkload, DEFAULT_WORKLOAD_WEEKS } from '../utils/workload.js';
+import { parseLocalDate, resolveTimezone } from '../utils/calendar.js';
+
+/**
+ * Workspace Controller
+ * Handles workspaces and their membership
+ */
+
+/**
+ * Load a workspace the caller belongs to, together with their role
+ */
+const findWorkspaceForUser = async (id, user) => {
+  const workspace = await Workspace.findOne({ _id: id, 'members.user': user._id });
+  return workspace ?
+    { workspace, role: workspace.getMemberRole(user._id) } :
+    { workspace: null, role: null };
+};
+
+/**
+ * GET /api/workspaces - Get the workspaces the caller belongs to
+ */
+export const getMyWorkspaces = async (req, res) => {
+  try {
+    const workspaces = await Workspace.findForUser(req.user._id).lean();
+
+    res.status(200).json({
+      success: true,
+      data: workspaces.map(workspace => ({
+        ...workspace,
+        myRole: workspace.members.find(m => m.user.toString() === req.user._id.toString()).role,
+        isDefault: req.user.defaultWorkspace?.toString() === workspace._id.toString()
+      })),
+      count: workspaces.length
+    });
+  } catch (error) {
+    console.error('Error fetching workspaces:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch workspaces',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * GET /api/workspaces/:id - Get single workspace by ID
+ */
+export const getWorkspaceById = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const workspace = await Workspace.findOne({ _id: id, 'members.user': req.user._id })
+      .populate('members.user', 'name email')
+      .lean();
+
+    if (!workspace) {
+      return res.status(404).json({
+        success: false,
+        error: 'Workspace not found',
+        message: `Workspace with ID ${id} does not exist`
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: workspace
+    });
+  } catch (error) {
+    console.error('Error fetching workspace:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch workspace',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * POST /api/workspaces - Create new workspace
+ */
+export const createWorkspace = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { name, description } = req.body;
+    const workspace = await Workspace.create({
+      name,
+      description,
+      members: [{ user: req.user._id, role: 'owner' }],
+      createdBy: req.user._id
+    });
+    await recordAudit(req, {
+      action: 'workspace.create',
+      entityType: 'workspace',
+      entityId: workspace._id,
+      workspace: workspace._id,
+      details: { name: workspace.name }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Workspace created successfully',
+      data: workspace
+    });
+  } catch (error) {
+    console.error('Error creating workspace:', error);
+
+    // Handle validation errors
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        message: error.message,
+        details: Object.values(error.errors).map(e => ({
+          field: e.path,
+          message: e.message
+        }))
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create workspace',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * PUT /api/workspaces/:id - Update workspace name/description
+ */
+export const updateWorkspace = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { workspace, role } = await findWorkspaceForUser(id, req.user);
+
+    if (!workspace) {
+      return res.status(404).json({
+        success: false,
+        error: 'Workspace not found',
+        message: `Workspace with ID ${id} does not exist`
+      });
+    }
+
+    if (!['owner', 'admin'].includes(role)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden',
+        message: 'Updating a workspace requires the owner or admin role'
+      });
+    }
+
+    const { name, description, calendar } = req.body;
+    const before = workspace.toObject();
+    if (name !== undefined) workspace.name = name;
+    if (description !== undefined) workspace.description = description;
+    // The calendar is replaced as a whole; null restores the default one
+    if (calendar !== undefined) workspace.calendar = calendar || {};
+    await workspace.save();
+    await recordAudit(req, {
+      action: 'workspace.update',
+      entityType: 'workspace',
+      entityId: workspace._id,
+      workspace: workspace._id,
+      details: { changes: diffFields(before, workspace.toObject(), ['name', 'description', 'calendar']) }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Workspace updated successfully',
+      data: workspace
+    });
+  } catch (error) {
+    console.error('Error updating workspace:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update workspace',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * PUT /api/workspaces/:id/default - Make a workspace the caller's default
+ */
+export const setDefaultWorkspace = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { workspace } = await findWorkspaceForUser(id, req.user);
+
+    if (!workspace) {
+      return res.status(404).json({
+        success: false,
+        error: 'Workspace not found',
+        message: `Workspace with ID ${id} does not exist`
+      });
+    }
+
+    await User.findByIdAndUpdate(req.user._id, { defaultWorkspace: workspace._id });
+
+    res.status(200).json({
+      success: true,
+      message: 'Default workspace updated successfully',
+      data: { defaultWorkspace: workspace._id }
+    });
+  } catch (error) {
+    console.error('Error setting default workspace:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to set default workspace',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * POST /api/workspaces/:id/members - Add a user to a workspace by email
+ */
+export const addWorkspaceMember = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { email, role: memberRole = 'member' } = req.body;
+    const { workspace, role } = await findWorkspaceForUser(id, req.user);
+
+    if (!workspace) {
+      return res.status(404).json({
+        success: false,
+        error: 'Workspace not found',
+        message: `Workspace with ID ${id} does not exist`
+      });
+    }
+
+    if (!['owner', 'admin'].includes(role) || (memberRole === 'owner' && role !== 'owner')) {
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden',
+        message: memberRole === 'owner' ?
+          'Only owners can add other owners' :
+          'Managing workspace members requires the owner or admin role'
+      });
+    }
+
+    const user = await User.findOne({ email: email.toLowerCase() });
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid user',
+        message: `No user is registered with ${email}`
+      });
+    }
+
+    if (workspace.getMemberRole(user._id)) {
+      return res.status(409).json({
+        success: false,
+        error: 'Member already exists',
+        message: 'This user is already a member of the workspace'
+      });
+    }
+
+    workspace.members.push({ user: user._id, role: memberRole });
+    await workspace.save();
+    await recordAudit(req, {
+      action: 'workspace.member-add',
+      entityType: 'workspace',
+      entityId: workspace._id,
+      workspace: workspace._id,
+      details: { user: user._id, role: memberRole }
+    });
+    await workspace.populate('members.user', 'name email');
+
+    res.status(201).json({
+      success: true,
+      message: 'Member added successfully',
+      data: workspace.members
+    });
+  } catch (error) {
+    console.error('Error adding workspace member:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to add workspace member',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * PUT /api/workspaces/:id/members/:userId/capacity - Set a member's weekly hours and days off
+ * Members may set their own; setting others' requires owner/admin
+ */
+export const updateMemberCapacity = async (req, res) => {
+  try {
+    const { id, userId } = req.params;
+
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { workspace, role } = await findWorkspaceForUser(id, req.user);
+
+    if (!workspace) {
+      return res.status(404).json({
+        success: false,
+        error: 'Workspace not found',
+        message: `Workspace with ID ${id} does not exist`
+      });
+    }
+
+    const member = workspace.members.find(m => m.user.toString() === userId);
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        error: 'Member not found',
+        message: `User ${userId} is not a member of this workspace`
+      });
+    }
+
+    if (userId !== req.user._id.toString() && !['owner', 'admin'].includes(role)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden',
+        message: 'Setting another member\'s capacity requires the owner or admin role'
+      });
+    }
+
+    const { hoursPerWeek, daysOff } = req.body;
+    const before = member.toObject();
+    if (hoursPerWeek !== undefined) member.hoursPerWeek = hoursPerWeek;
+    if (daysOff !== undefined) {
+      // One entry per day, stored as midnight UTC
+      const days = new Set(daysOff.map(day => startOfDay(day).getTime()));
+      member.daysOff = [...days].sort((a, b) => a - b).map(day => new Date(day));
+    }
+    await workspace.save();
+    await recordAudit(req, {
+      action: 'workspace.member-capacity-update',
+      entityType: 'workspace',
+      entityId: workspace._id,
+      workspace: workspace._id,
+      details: { user: userId, changes: diffFields(before, member.toObject(), ['hoursPerWeek', 'daysOff']) }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Capacity updated successfully',
+      data: {
+        user: member.user,
+        hoursPerWeek: member.hoursPerWeek,
+        daysOff: member.daysOff
+      }
+    });
+  } catch (error) {
+    console.error('Error updating member capacity:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update member capacity',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * GET /api/workspaces/:id/workload - Weekly allocation of each member against their capacity
+ */
+export const getWorkspaceWorkload = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { workspace, role } = await findWorkspaceForUser(id, req.user);
+
+    if (!workspace) {
+      return res.status(404).json({
+        success: false,
+        error: 'Workspace not found',
+        message: `Workspace with ID ${id} does not exist`
+      });
+    }
+
+    // The workload covers tasks of every project, not just the caller's
+    if (!['owner', 'admin'].includes(role)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden',
+        message: 'Viewing the workspace workload requires the owner or admin role'
+      });
+    }
+
+    await workspace.populate('members.user', 'name email');
+    const timezone = resolveTimezone(req.timezone, workspace);
+    const workload = await getWorkload(workspace, {
+      from: req.query.from ? parseLocalDate(req.query.from, timezone) : new Date(),
+      weeks: parseInt(req.query.weeks) || DEFAULT_WORKLOAD_WEEKS,
+      timezone
+    });
+
+    res.status(200).json({
+      success: true,
+      data: workload
+    });
+  } catch (error) {
+    console.error('Error fetching workload:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch workload',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * DELETE /api/workspaces/:id/members/:userId - Remove a user from a workspace
+ * Also removes them from every project in the workspace
+ */
+export const removeWorkspaceMember = async (req, res) => {
+  try {
+    const { id, userId } = req.params;
+    const { workspace, role } = await findWorkspaceForUser(id, req.user);
+
+    if (!workspace) {
+      return res.status(404).json({
+        success: false,
+        error: 'Workspace not found',
+        message: `Workspace with ID ${id} does not exist`
+      });
+    }
+
+    const member = workspace.members.find(m => m.user.toString() === userId);
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        error: 'Member not found',
+        message: `User ${userId} is not a member of this workspace`
+      });
+    }
+
+    // Members may always leave; removing others requires owner/admin
+    const isSelf = userId === req.user._id.toString();
+    if (!isSelf && (!['owner', 'admin'].includes(role) || (member.role === 'owner' && role !== 'owner'))) {
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden',
+        message: 'You are not allowed to remove this member'
+      });
+    }
+
+    const ownerCount = workspace.members.filter(m => m.role === 'owner').length;
+    if (member.role === 'owner' && ownerCount === 1) {
+      return res.status(409).json({
+        success: false,
+        error: 'Last owner',
+        message: 'A workspace must keep at least one owner'
+      });
+    }
+
+    workspace.members.pull(member._id);
+    await workspace.save();
+
+    // Projects in the trash too, so restoring one does not restore access
+    const projectsUpdated = await Project.updateMany(
+      { workspace: workspace._id, 'members.user': userId },
+      { $pull: { members: { user: userId } } }
+    ).setOptions({ withDeleted: true });
+    await recordAudit(req, {
+      action: 'workspace.member-remove',
+      entityType: 'workspace',
+      entityId: workspace._id,
+      workspace: workspace._id,
+      details: { user: userId, role: member.role, projectsUpdated: projectsUpdated.modifiedCount }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Member removed successfully',
+      data: {
+        workspaceId: workspace._id,
+        userId,
+        removedFromProjects: projectsUpdated.modifiedCount
+      }
+    });
+  } catch (error) {
+    console.error('Error removing workspace member:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to remove workspace member',
+      message: error.message
+    });
+  }
+};
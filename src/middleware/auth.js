@@ -0,0 +1,140 @@
+import { User, ApiKey } from '../models/index.js';
+import { API_KEY_PREFIX } from '../models/ApiKey.js';
+import { verifyAccessToken } from '../utils/tokens.js';
+import { runWithContext } from '../utils/requestContext.js';
+import { isValidTimeZone } from '../utils/calendar.js';
+
+/**
+ * Authentication middleware
+ * Ties every protected request to a user account, either through a JWT
+ * access token or a personal API key
+ */
+
+/**
+ * Extract the bearer token from the Authorization header
+ */
+const getBearerToken = (req) => {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+  return scheme === 'Bearer' && token ? token : null;
+};
+
+/**
+ * Time zone asked for with the X-Timezone header or the tz query parameter
+ */
+const getRequestedTimezone = (req) => req.headers['x-timezone'] || req.query.tz || null;
+
+/**
+ * Authenticate a request made with an API key
+ */
+const authenticateApiKey = async (key, req, res, next) => {
+  const apiKey = await ApiKey.findActiveByKey(key);
+  const user = apiKey ? await User.findById(apiKey.user) : null;
+
+  if (!apiKey || !user || !user.isActive) {
+    return res.status(401).json({
+      success: false,
+      error: 'Not authorized',
+      message: 'This API key is invalid, expired or revoked'
+    });
+  }
+
+  // Usage tracking should never block the request
+  ApiKey.updateOne({ _id: apiKey._id }, { lastUsedAt: new Date() }).catch(error => {
+    console.error('Error updating API key usage:', error);
+  });
+
+  req.user = user;
+  req.apiKey = apiKey;
+  req.timezone = getRequestedTimezone(req) || user.timezone || null;
+  runWithContext({ actor: user._id, timezone: req.timezone }, next);
+};
+
+/**
+ * Require a valid access token or API key
+ * API keys are accepted as "Authorization: Bearer ptm_..." or "X-API-Key".
+ * Sets req.user (and req.apiKey for API keys) for downstream handlers and
+ * records the user as the actor of the request context (see
+ * utils/requestContext.js).
+ * Sets req.timezone to the time zone of the X-Timezone header or tz query
+ * parameter, else the user's own (null when neither is set).
+ * JWT errors are forwarded to the global error handler, which maps them to
+ * 401 responses.
+ */
+export const protect = async (req, res, next) => {
+  try {
+    const token = req.headers['x-api-key'] || getBearerToken(req);
+
+    if (!token) {
+      return res.status(401).json({
+        success: false,
+        error: 'Not authorized',
+        message: 'Provide an access token or API key using the "Authorization: Bearer <token>" header'
+      });
+    }
+
+    const requestedTimezone = getRequestedTimezone(req);
+    if (requestedTimezone && (typeof requestedTimezone !== 'string' || !isValidTimeZone(requestedTimezone))) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid timezone',
+        message: 'X-Timezone must be an IANA time zone (e.g., Europe/Berlin)'
+      });
+    }
+
+    if (token.startsWith(API_KEY_PREFIX)) {
+      return await authenticateApiKey(token, req, res, next);
+    }
+
+    const payload = verifyAccessToken(token);
+    const user = await User.findById(payload.sub);
+
+    if (!user || !user.isActive) {
+      return res.status(401).json({
+        success: false,
+        error: 'Not authorized',
+        message: 'The user belonging to this token no longer exists'
+      });
+    }
+
+    req.user = user;
+    req.timezone = requestedTimezone || user.timezone || null;
+    runWithContext({ actor: user._id, timezone: req.timezone }, next);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Require an interactive (JWT) session
+ * Used for endpoints an API key must never reach, such as minting new keys
+ */
+export const requireUserSession = (req, res, next) => {
+  if (req.apiKey) {
+    return res.status(403).json({
+      success: false,
+      error: 'Forbidden',
+      message: 'This endpoint cannot be used with an API key'
+    });
+  }
+  next();
+};
+
+/**
+ * Require the API key scope for a resource
+ * GET/HEAD requests need read access, everything else write access. JWT
+ * sessions are not scoped and always pass.
+ */
+export const requireScope = (resource) => (req, res, next) => {
+  if (!req.apiKey) return next();
+
+  const access = ['GET', 'HEAD'].includes(req.method) ? 'read' : 'write';
+  if (!req.apiKey.allows(resource, access)) {
+    return res.status(403).json({
+      success: false,
+      error: 'Insufficient scope',
+      message: `This API key needs the ${resource}:${access}${access === 'read' ? ' (or read)' : ''} scope`
+    });
+  }
+  next();
+};
@@ -61,7 +61,7 @@ export const globalErrorHandler = (err, req, res, next) => {
     error = createError(message, 400);
   }
 
-  // JWT errors (if implementing authentication later)
+  // JWT errors (raised by the auth middleware and refresh endpoint)
   if (err.name === 'JsonWebTokenError') {
     const message = 'Invalid token';
     error = createError(message, 401);
@@ -105,7 +105,7 @@ const createError = (message, statusCode) => {
  */
 import rateLimit from 'express-rate-limit';
 
-export const createRateLimit = (windowMs, max, message) => {
+export const createRateLimit = (windowMs, max, message, options = {}) => {
   return rateLimit({
     windowMs,
     max,
@@ -116,7 +116,8 @@ export const createRateLimit = (windowMs, max, message) => {
       retryAfter: Math.ceil(windowMs / 1000)
     },
     standardHeaders: true,
-    legacyHeaders: false
+    legacyHeaders: false,
+    ...options
   });
 };
 
@@ -125,6 +126,17 @@ export const generalRateLimit = createRateLimit(15 * 60 * 1000, 100); // 100 req
 export const authRateLimit = createRateLimit(15 * 60 * 1000, 5); // 5 requests per 15 minutes for auth
 export const createOperationRateLimit = createRateLimit(5 * 60 * 1000, 10); // 10 creates per 5 minutes
 
+// API keys are limited per key rather than per IP; JWT sessions are not affected
+export const apiKeyRateLimit = createRateLimit(
+  parseInt(process.env.API_KEY_RATE_LIMIT_WINDOW) || 15 * 60 * 1000,
+  parseInt(process.env.API_KEY_RATE_LIMIT_MAX) || 1000,
+  'Too many requests for this API key, please try again later.',
+  {
+    keyGenerator: (req) => req.apiKey._id.toString(),
+    skip: (req) => !req.apiKey
+  }
+);
+
 /**
  * Request timeout middleware
  */
@@ -1,5 +1,17 @@
 import { body, param, query } from 'express-validator';
 import mongoose from 'mongoose';
+import { API_KEY_SCOPES } from '../models/ApiKey.js';
+import { STATUS_KEY_PATTERN } from '../models/Task.js';
+import { TRACKED_TASK_FIELDS } from '../models/TaskHistory.js';
+import { AUDIT_ENTITY_TYPES } from '../models/AuditLog.js';
+import { COMMENT_MAX_LENGTH } from '../models/Comment.js';
+import { TIME_ENTRY_NOTE_MAX_LENGTH } from '../models/TimeEntry.js';
+import { SPRINT_STATUSES } from '../models/Sprint.js';
+import { BURNDOWN_UNITS } from '../utils/snapshots.js';
+import { MAX_WORKLOAD_WEEKS } from '../utils/workload.js';
+import { parseRecurrence } from '../utils/recurrence.js';
+import { MAX_TRIALS } from '../utils/forecast.js';
+import { isValidTimeZone, parseLocalDate, resolveTimezone, toLocalDay } from '../utils/calendar.js';
 
 /**
  * Validation middleware using express-validator
@@ -11,6 +23,16 @@ const isValidObjectId = (value) => {
   return mongoose.Types.ObjectId.isValid(value);
 };
 
+// Dates are accepted within these years, which day calculations can handle
+const MIN_YEAR = 1900;
+const MAX_YEAR = 2999;
+
+// Custom validator to check if a date falls within MIN_YEAR and MAX_YEAR
+const isWithinYearRange = (value) => {
+  const year = new Date(value).getUTCFullYear();
+  return year >= MIN_YEAR && year <= MAX_YEAR;
+};
+
 // Task validation rules
 export const validateCreateTask = [
   body('title')
@@ -24,10 +46,11 @@ export const validateCreateTask = [
     .isLength({ max: 1000 })
     .withMessage('Description cannot exceed 1000 characters'),
   
+  // Allowed statuses depend on the project's workflow (checked by the controller)
   body('status')
     .optional()
-    .isIn(['todo', 'in-progress', 'review', 'completed', 'cancelled'])
-    .withMessage('Status must be one of: todo, in-progress, review, completed, cancelled'),
+    .matches(STATUS_KEY_PATTERN)
+    .withMessage('Status must be a lowercase status key such as todo or in-progress'),
   
   body('priority')
     .optional()
@@ -39,21 +62,32 @@ export const validateCreateTask = [
     .custom(isValidObjectId)
     .withMessage('Project must be a valid ObjectId'),
   
-  body('assignee')
+  body('parent')
     .optional()
-    .trim()
-    .isLength({ max: 100 })
-    .withMessage('Assignee name cannot exceed 100 characters'),
+    .custom(isValidObjectId)
+    .withMessage('Parent must be a valid task ID'),
+  
+  body('assignees')
+    .optional()
+    .isArray()
+    .withMessage('Assignees must be an array of user IDs'),
+  
+  body('assignees.*')
+    .custom(isValidObjectId)
+    .withMessage('Each assignee must be a valid user ID'),
   
   body('dueDate')
     .optional()
     .isISO8601()
     .withMessage('Due date must be a valid date')
-    .custom((value) => {
-      const dueDate = new Date(value);
-      const today = new Date();
-      today.setHours(0, 0, 0, 0);
-      if (dueDate < today) {
+    .bail()
+    .custom(isWithinYearRange)
+    .withMessage(`Due date must fall between the years ${MIN_YEAR} and ${MAX_YEAR}`)
+    .bail()
+    .custom((value, { req }) => {
+      // Today is the day it is in the request's time zone
+      const timezone = resolveTimezone(req.timezone, req.workspace);
+      if (toLocalDay(parseLocalDate(value, timezone), timezone) < toLocalDay(new Date(), timezone)) {
         throw new Error('Due date cannot be in the past');
       }
       return true;
@@ -64,10 +98,10 @@ export const validateCreateTask = [
     .isFloat({ min: 0, max: 1000 })
     .withMessage('Estimated hours must be between 0 and 1000'),
   
-  body('actualHours')
+  body('billable')
     .optional()
-    .isFloat({ min: 0, max: 1000 })
-    .withMessage('Actual hours must be between 0 and 1000'),
+    .isBoolean()
+    .withMessage('billable must be a boolean value'),
   
   body('tags')
     .optional()
@@ -78,7 +112,19 @@ export const validateCreateTask = [
     .optional()
     .trim()
     .isLength({ max: 30 })
-    .withMessage('Each tag cannot exceed 30 characters')
+    .withMessage('Each tag cannot exceed 30 characters'),
+  
+  body('sprint')
+    .optional({ values: 'null' })
+    .custom(isValidObjectId)
+    .withMessage('Sprint must be a valid sprint ID'),
+  
+  body('recurrence')
+    .optional()
+    .custom((value) => {
+      parseRecurrence(value);
+      return true;
+    })
 ];
 
 export const validateUpdateTask = [
@@ -94,10 +140,11 @@ export const validateUpdateTask = [
     .isLength({ max: 1000 })
     .withMessage('Description cannot exceed 1000 characters'),
   
+  // Allowed statuses depend on the project's workflow (checked by the controller)
   body('status')
     .optional()
-    .isIn(['todo', 'in-progress', 'review', 'completed', 'cancelled'])
-    .withMessage('Status must be one of: todo, in-progress, review, completed, cancelled'),
+    .matches(STATUS_KEY_PATTERN)
+    .withMessage('Status must be a lowercase status key such as todo or in-progress'),
   
   body('priority')
     .optional()
@@ -112,26 +159,40 @@ export const validateUpdateTask = [
     })
     .withMessage('Project must be a valid ObjectId'),
   
-  body('assignee')
+  body('parent')
     .optional()
-    .trim()
-    .isLength({ max: 100 })
-    .withMessage('Assignee name cannot exceed 100 characters'),
+    .custom((value) => {
+      if (value === null || value === '') return true; // Allow detaching from parent
+      return isValidObjectId(value);
+    })
+    .withMessage('Parent must be a valid task ID'),
+  
+  body('assignees')
+    .optional()
+    .isArray()
+    .withMessage('Assignees must be an array of user IDs'),
+  
+  body('assignees.*')
+    .custom(isValidObjectId)
+    .withMessage('Each assignee must be a valid user ID'),
   
   body('dueDate')
     .optional()
     .isISO8601()
-    .withMessage('Due date must be a valid date'),
+    .withMessage('Due date must be a valid date')
+    .bail()
+    .custom(isWithinYearRange)
+    .withMessage(`Due date must fall between the years ${MIN_YEAR} and ${MAX_YEAR}`),
   
   body('estimatedHours')
     .optional()
     .isFloat({ min: 0, max: 1000 })
     .withMessage('Estimated hours must be between 0 and 1000'),
   
-  body('actualHours')
+  body('billable')
     .optional()
-    .isFloat({ min: 0, max: 1000 })
-    .withMessage('Actual hours must be between 0 and 1000'),
+    .isBoolean()
+    .withMessage('billable must be a boolean value'),
   
   body('tags')
     .optional()
@@ -142,10 +203,74 @@ export const validateUpdateTask = [
     .optional()
     .trim()
     .isLength({ max: 30 })
-    .withMessage('Each tag cannot exceed 30 characters')
+    .withMessage('Each tag cannot exceed 30 characters'),
+  
+  body('sprint')
+    .optional({ values: 'null' })
+    .custom(isValidObjectId)
+    .withMessage('Sprint must be a valid sprint ID'),
+  
+  body('recurrence')
+    .optional({ values: 'null' })
+    .custom((value) => {
+      parseRecurrence(value);
+      return true;
+    })
+];
+
+// Work calendar rules shared by workspaces and projects
+const workCalendar = [
+  body('calendar')
+    .optional({ values: 'null' })
+    .isObject()
+    .withMessage('Calendar must be an object'),
+
+  body('calendar.workingDays')
+    .optional()
+    .isArray({ min: 1, max: 7 })
+    .withMessage('workingDays must list between 1 and 7 weekdays'),
+
+  body('calendar.workingDays.*')
+    .isInt({ min: 0, max: 6 })
+    .withMessage('Each working day must be a weekday from 0 (Sunday) to 6 (Saturday)')
+    .toInt(),
+
+  body('calendar.holidays')
+    .optional()
+    .isArray({ max: 366 })
+    .withMessage('holidays must be an array of at most 366 dates'),
+
+  body('calendar.holidays.*')
+    .isISO8601()
+    .withMessage('Each holiday must be an ISO 8601 date (YYYY-MM-DD)'),
+
+  body('calendar.timezone')
+    .optional()
+    .custom(isValidTimeZone)
+    .withMessage('Timezone must be an IANA time zone (e.g., Europe/Berlin)')
 ];
 
 // Project validation rules
+const hourlyRate = body('hourlyRate')
+  .optional({ values: 'null' })
+  .isFloat({ min: 0 })
+  .withMessage('Hourly rate must be a number of at least 0');
+
+const projectBilling = [
+  body('client')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Client name cannot exceed 100 characters'),
+
+  hourlyRate,
+
+  body('currency')
+    .optional()
+    .matches(/^[A-Za-z]{3}$/)
+    .withMessage('Currency must be a three-letter ISO 4217 code (e.g., USD)')
+];
+
 export const validateCreateProject = [
   body('name')
     .trim()
@@ -171,12 +296,19 @@ export const validateCreateProject = [
   body('startDate')
     .optional()
     .isISO8601()
-    .withMessage('Start date must be a valid date'),
+    .withMessage('Start date must be a valid date')
+    .bail()
+    .custom(isWithinYearRange)
+    .withMessage(`Start date must fall between the years ${MIN_YEAR} and ${MAX_YEAR}`),
   
   body('dueDate')
     .optional()
     .isISO8601()
     .withMessage('Due date must be a valid date')
+    .bail()
+    .custom(isWithinYearRange)
+    .withMessage(`Due date must fall between the years ${MIN_YEAR} and ${MAX_YEAR}`)
+    .bail()
     .custom((value, { req }) => {
       if (value && req.body.startDate) {
         const dueDate = new Date(value);
@@ -202,7 +334,10 @@ export const validateCreateProject = [
   body('color')
     .optional()
     .matches(/^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$/)
-    .withMessage('Color must be a valid hex color (e.g., #ffffff or #fff)')
+    .withMessage('Color must be a valid hex color (e.g., #ffffff or #fff)'),
+
+  ...projectBilling,
+  ...workCalendar
 ];
 
 export const validateUpdateProject = [
@@ -231,12 +366,18 @@ export const validateUpdateProject = [
   body('startDate')
     .optional()
     .isISO8601()
-    .withMessage('Start date must be a valid date'),
+    .withMessage('Start date must be a valid date')
+    .bail()
+    .custom(isWithinYearRange)
+    .withMessage(`Start date must fall between the years ${MIN_YEAR} and ${MAX_YEAR}`),
   
   body('dueDate')
     .optional()
     .isISO8601()
-    .withMessage('Due date must be a valid date'),
+    .withMessage('Due date must be a valid date')
+    .bail()
+    .custom(isWithinYearRange)
+    .withMessage(`Due date must fall between the years ${MIN_YEAR} and ${MAX_YEAR}`),
   
   body('tags')
     .optional()
@@ -252,7 +393,301 @@ export const validateUpdateProject = [
   body('color')
     .optional()
     .matches(/^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$/)
-    .withMessage('Color must be a valid hex color (e.g., #ffffff or #fff)')
+    .withMessage('Color must be a valid hex color (e.g., #ffffff or #fff)'),
+
+  ...projectBilling,
+  ...workCalendar
+];
+
+export const validateAssignees = [
+  body('userIds')
+    .isArray({ min: 1 })
+    .withMessage('userIds must be a non-empty array of user IDs'),
+  
+  body('userIds.*')
+    .custom(isValidObjectId)
+    .withMessage('Each user ID must be a valid ObjectId')
+];
+
+export const validateDependency = [
+  body('taskId')
+    .custom(isValidObjectId)
+    .withMessage('taskId must be a valid task ID')
+];
+
+// Comment validation rules
+export const validateComment = [
+  body('content')
+    .trim()
+    .notEmpty()
+    .withMessage('Comment content is required')
+    .isLength({ max: COMMENT_MAX_LENGTH })
+    .withMessage(`Comment cannot exceed ${COMMENT_MAX_LENGTH} characters`),
+
+  body('parent')
+    .optional({ values: 'null' })
+    .custom(isValidObjectId)
+    .withMessage('parent must be a valid comment ID')
+];
+
+// Time tracking validation rules
+const timeEntryNote = body('note')
+  .optional()
+  .isString()
+  .trim()
+  .isLength({ max: TIME_ENTRY_NOTE_MAX_LENGTH })
+  .withMessage(`Note cannot exceed ${TIME_ENTRY_NOTE_MAX_LENGTH} characters`);
+
+const timeEntryBillable = body('billable')
+  .optional()
+  .isBoolean()
+  .withMessage('billable must be a boolean value');
+
+export const validateCreateTimeEntry = [
+  body('task')
+    .custom(isValidObjectId)
+    .withMessage('task must be a valid task ID'),
+
+  body('startedAt')
+    .isISO8601()
+    .withMessage('startedAt must be an ISO 8601 date'),
+
+  body('endedAt')
+    .optional()
+    .isISO8601()
+    .withMessage('endedAt must be an ISO 8601 date'),
+
+  body('hours')
+    .optional()
+    .isFloat({ gt: 0, max: 24 })
+    .withMessage('hours must be more than 0 and at most 24'),
+
+  body('endedAt')
+    .if(body('hours').not().exists())
+    .exists()
+    .withMessage('Provide either endedAt or hours'),
+
+  timeEntryNote,
+  timeEntryBillable
+];
+
+export const validateUpdateTimeEntry = [
+  body(['startedAt', 'endedAt'])
+    .optional()
+    .isISO8601()
+    .withMessage('Times must be ISO 8601 dates'),
+
+  body('hours')
+    .optional()
+    .isFloat({ gt: 0, max: 24 })
+    .withMessage('hours must be more than 0 and at most 24'),
+
+  timeEntryNote,
+  timeEntryBillable
+];
+
+export const validateStartTimer = [
+  body('task')
+    .custom(isValidObjectId)
+    .withMessage('task must be a valid task ID'),
+
+  timeEntryNote,
+  timeEntryBillable
+];
+
+// Sprint validation rules
+const sprintGoal = body('goal')
+  .optional()
+  .trim()
+  .isLength({ max: 500 })
+  .withMessage('Goal cannot exceed 500 characters');
+
+const sprintEndDate = body('endDate')
+  .optional()
+  .isISO8601()
+  .withMessage('End date must be a valid date')
+  .custom((value, { req }) => {
+    if (req.body.startDate && new Date(value) <= new Date(req.body.startDate)) {
+      throw new Error('End date must be after start date');
+    }
+    return true;
+  });
+
+export const validateCreateSprint = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Sprint name must be between 1 and 100 characters'),
+
+  sprintGoal,
+
+  body('startDate')
+    .isISO8601()
+    .withMessage('Start date must be a valid date'),
+
+  sprintEndDate
+];
+
+export const validateUpdateSprint = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Sprint name must be between 1 and 100 characters'),
+
+  sprintGoal,
+
+  body('startDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Start date must be a valid date'),
+
+  sprintEndDate
+];
+
+export const validateCompleteSprint = [
+  body('carryOverTo')
+    .optional({ values: 'null' })
+    .custom(isValidObjectId)
+    .withMessage('carryOverTo must be a valid sprint ID')
+];
+
+// Project membership validation rules
+export const validateAddMember = [
+  body('userId')
+    .custom(isValidObjectId)
+    .withMessage('userId must be a valid user ID'),
+  
+  body('role')
+    .optional()
+    .isIn(['owner', 'maintainer', 'member', 'viewer'])
+    .withMessage('Role must be one of: owner, maintainer, member, viewer'),
+
+  hourlyRate
+];
+
+export const validateUpdateMember = [
+  body('role')
+    .optional()
+    .isIn(['owner', 'maintainer', 'member', 'viewer'])
+    .withMessage('Role must be one of: owner, maintainer, member, viewer'),
+
+  hourlyRate,
+
+  body()
+    .custom((value) => value.role !== undefined || value.hourlyRate !== undefined)
+    .withMessage('Provide a role or an hourlyRate to change')
+];
+
+// Workspace validation rules
+export const validateCreateWorkspace = [
+  body('name')
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Workspace name must be between 2 and 100 characters'),
+  
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot exceed 500 characters')
+];
+
+export const validateUpdateWorkspace = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Workspace name must be between 2 and 100 characters'),
+  
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot exceed 500 characters'),
+
+  ...workCalendar
+];
+
+export const validateAddWorkspaceMember = [
+  body('email')
+    .trim()
+    .isEmail()
+    .withMessage('Please provide a valid email address')
+    .normalizeEmail(),
+  
+  body('role')
+    .optional()
+    .isIn(['owner', 'admin', 'member'])
+    .withMessage('Role must be one of: owner, admin, member')
+];
+
+export const validateMemberCapacity = [
+  param('userId')
+    .custom(isValidObjectId)
+    .withMessage('Invalid user ID format'),
+
+  body('hoursPerWeek')
+    .optional()
+    .isFloat({ min: 0, max: 168 })
+    .withMessage('Hours per week must be between 0 and 168'),
+
+  body('daysOff')
+    .optional()
+    .isArray({ max: 366 })
+    .withMessage('daysOff must be an array of at most 366 dates'),
+
+  body('daysOff.*')
+    .isISO8601()
+    .withMessage('Each day off must be an ISO 8601 date'),
+
+  body()
+    .custom((value) => value.hoursPerWeek !== undefined || value.daysOff !== undefined)
+    .withMessage('Provide hoursPerWeek or daysOff to change')
+];
+
+export const validateWorkloadQuery = [
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('from must be an ISO 8601 date within the first week'),
+
+  query('weeks')
+    .optional()
+    .isInt({ min: 1, max: MAX_WORKLOAD_WEEKS })
+    .withMessage(`Weeks must be between 1 and ${MAX_WORKLOAD_WEEKS}`)
+];
+
+// API key validation rules
+export const validateCreateApiKey = [
+  body('name')
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('API key name must be between 2 and 100 characters'),
+  
+  body('scopes')
+    .isArray({ min: 1 })
+    .withMessage('Scopes must be a non-empty array'),
+  
+  body('scopes.*')
+    .isIn(API_KEY_SCOPES)
+    .withMessage(`Each scope must be one of: ${API_KEY_SCOPES.join(', ')}`),
+  
+  body('expiresAt')
+    .optional()
+    .isISO8601()
+    .withMessage('Expiry must be a valid date')
+    .custom((value) => {
+      if (new Date(value) <= new Date()) {
+        throw new Error('Expiry must be in the future');
+      }
+      return true;
+    }),
+  
+  body('workspace')
+    .optional()
+    .custom(isValidObjectId)
+    .withMessage('Workspace must be a valid ObjectId')
 ];
 
 // Parameter validation
@@ -262,6 +697,30 @@ export const validateObjectId = [
     .withMessage('Invalid ID format')
 ];
 
+export const validateCommentId = [
+  param('commentId')
+    .custom(isValidObjectId)
+    .withMessage('Invalid comment ID format')
+];
+
+export const validateDependencyId = [
+  param('dependencyId')
+    .custom(isValidObjectId)
+    .withMessage('Invalid dependency ID format')
+];
+
+export const validateSprintId = [
+  param('sprintId')
+    .custom(isValidObjectId)
+    .withMessage('Invalid sprint ID format')
+];
+
+export const validateAttachmentId = [
+  param('attachmentId')
+    .custom(isValidObjectId)
+    .withMessage('Invalid attachment ID format')
+];
+
 // Query parameter validation
 export const validatePagination = [
   query('page')
@@ -289,7 +748,7 @@ export const validateTaskQuery = [
   ...validatePagination,
   query('status')
     .optional()
-    .isIn(['todo', 'in-progress', 'review', 'completed', 'cancelled'])
+    .matches(STATUS_KEY_PATTERN)
     .withMessage('Invalid status filter'),
   
   query('priority')
@@ -300,7 +759,189 @@ export const validateTaskQuery = [
   query('project')
     .optional()
     .custom(isValidObjectId)
-    .withMessage('Project filter must be a valid ObjectId')
+    .withMessage('Project filter must be a valid ObjectId'),
+  
+  query('assignee')
+    .optional()
+    .custom(isValidObjectId)
+    .withMessage('Assignee filter must be a valid user ID'),
+  
+  query('parent')
+    .optional()
+    .custom((value) => value === 'none' || isValidObjectId(value))
+    .withMessage('Parent filter must be a valid task ID or "none"'),
+
+  query('sprint')
+    .optional()
+    .custom((value) => value === 'none' || isValidObjectId(value))
+    .withMessage('Sprint filter must be a valid sprint ID or "none"'),
+
+  query('overdue')
+    .optional()
+    .isBoolean()
+    .withMessage('overdue must be a boolean value'),
+
+  query('dueWithin')
+    .optional()
+    .isInt({ min: 0, max: 365 })
+    .withMessage('dueWithin must be a number of working days between 0 and 365'),
+
+  query('includeArchived')
+    .optional()
+    .isBoolean()
+    .withMessage('includeArchived must be a boolean value')
+];
+
+export const validateHistoryQuery = [
+  query('field')
+    .optional()
+    .isIn(TRACKED_TASK_FIELDS)
+    .withMessage(`Field filter must be one of: ${TRACKED_TASK_FIELDS.join(', ')}`)
+];
+
+export const validateTimeEntryQuery = [
+  ...validatePagination,
+  query(['user', 'task', 'project'])
+    .optional()
+    .custom(isValidObjectId)
+    .withMessage('User, task and project filters must be valid IDs'),
+
+  query(['from', 'to'])
+    .optional()
+    .isISO8601()
+    .withMessage('Date range must use ISO 8601 dates'),
+
+  query('billable')
+    .optional()
+    .isBoolean()
+    .withMessage('billable must be a boolean value')
+];
+
+export const validateTimesheetQuery = [
+  query('week')
+    .optional()
+    .isISO8601()
+    .withMessage('week must be an ISO 8601 date within the week'),
+
+  query('user')
+    .optional()
+    .custom(isValidObjectId)
+    .withMessage('user must be a valid user ID')
+];
+
+export const validateSprintQuery = [
+  query('status')
+    .optional()
+    .isIn(SPRINT_STATUSES)
+    .withMessage(`Status filter must be one of: ${SPRINT_STATUSES.join(', ')}`)
+];
+
+export const validateVelocityQuery = [
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 20 })
+    .withMessage('Limit must be between 1 and 20')
+];
+
+export const validateBurndownQuery = [
+  query('unit')
+    .optional()
+    .isIn(BURNDOWN_UNITS)
+    .withMessage(`Unit must be one of: ${BURNDOWN_UNITS.join(', ')}`),
+
+  query(['from', 'to'])
+    .optional()
+    .isISO8601()
+    .withMessage('from and to must be ISO 8601 dates'),
+
+  query('sprint')
+    .optional()
+    .custom(isValidObjectId)
+    .withMessage('Sprint must be a valid sprint ID')
+];
+
+export const validateReportQuery = [
+  query(['startDate', 'endDate'])
+    .optional()
+    .isISO8601()
+    .withMessage('startDate and endDate must be ISO 8601 dates'),
+
+  query('format')
+    .optional()
+    .isIn(['json', 'csv'])
+    .withMessage('Format must be one of: json, csv'),
+
+  query(['project', 'assignee'])
+    .optional()
+    .custom(isValidObjectId)
+    .withMessage('Project and assignee filters must be valid IDs'),
+
+  query('priority')
+    .optional()
+    .isIn(['low', 'medium', 'high', 'urgent'])
+    .withMessage('Invalid priority filter'),
+
+  query('tag')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Tag filter cannot be empty')
+];
+
+export const validateForecastQuery = [
+  query('historyDays')
+    .optional()
+    .isInt({ min: 7, max: 365 })
+    .withMessage('historyDays must be between 7 and 365'),
+
+  query('trials')
+    .optional()
+    .isInt({ min: 100, max: MAX_TRIALS })
+    .withMessage(`trials must be between 100 and ${MAX_TRIALS}`)
+];
+
+export const validateTimelineQuery = [
+  query('hoursPerDay')
+    .optional()
+    .isFloat({ min: 1, max: 24 })
+    .withMessage('hoursPerDay must be between 1 and 24')
+];
+
+export const validateAuditQuery = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 200 })
+    .withMessage('Limit must be between 1 and 200'),
+
+  query('actor')
+    .optional()
+    .custom(isValidObjectId)
+    .withMessage('Actor filter must be a valid user ID'),
+
+  query('entityType')
+    .optional()
+    .isIn(AUDIT_ENTITY_TYPES)
+    .withMessage(`Entity type filter must be one of: ${AUDIT_ENTITY_TYPES.join(', ')}`),
+
+  query('entityId')
+    .optional()
+    .custom(isValidObjectId)
+    .withMessage('Entity filter must be a valid ObjectId'),
+
+  query('action')
+    .optional()
+    .matches(/^[a-z-]+(\.[a-z-]+)?$/)
+    .withMessage('Action filter must be an action such as project.delete, or an entity such as project'),
+
+  query(['from', 'to'])
+    .optional()
+    .isISO8601()
+    .withMessage('Date range must use ISO 8601 dates')
 ];
 
 export const validateProjectQuery = [
@@ -318,5 +959,71 @@ export const validateProjectQuery = [
   query('includeTasks')
     .optional()
     .isBoolean()
-    .withMessage('includeTasks must be a boolean value')
-];
\ No newline at end of file
+    .withMessage('includeTasks must be a boolean value'),
+
+  query('includeArchived')
+    .optional()
+    .isBoolean()
+    .withMessage('includeArchived must be a boolean value')
+];
+
+export const validateRestoreProject = [
+  query('restoreTasks')
+    .optional()
+    .isIn(['true', 'false'])
+    .withMessage('restoreTasks must be true or false')
+];
+
+// Auth validation rules
+const userTimezone = body('timezone')
+  .optional({ values: 'null' })
+  .custom(isValidTimeZone)
+  .withMessage('Timezone must be an IANA time zone (e.g., Europe/Berlin)');
+
+export const validateRegister = [
+  body('name')
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Name must be between 2 and 100 characters'),
+  
+  body('email')
+    .trim()
+    .isEmail()
+    .withMessage('Please provide a valid email address')
+    .normalizeEmail(),
+  
+  body('password')
+    .isLength({ min: 8, max: 128 })
+    .withMessage('Password must be between 8 and 128 characters'),
+
+  userTimezone
+];
+
+export const validateUpdateProfile = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Name must be between 2 and 100 characters'),
+
+  userTimezone
+];
+
+export const validateLogin = [
+  body('email')
+    .trim()
+    .isEmail()
+    .withMessage('Please provide a valid email address')
+    .normalizeEmail(),
+  
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required')
+];
+
+export const validateRefreshToken = [
+  body('refreshToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Refresh token is required')
+];
@@ -0,0 +1,84 @@
+import mongoose from 'mongoose';
+import { Workspace } from '../models/index.js';
+import { setCurrentTimezone } from '../utils/requestContext.js';
+import { resolveTimezone } from '../utils/calendar.js';
+
+/**
+ * Workspace middleware
+ * Resolves the workspace every data request is scoped to
+ */
+
+/**
+ * Resolve the active workspace for the authenticated user
+ * Uses the workspace an API key is pinned to, then the X-Workspace-Id header,
+ * then the user's default workspace (or the first one they belong to). Sets
+ * req.workspace and req.workspaceRole, and falls back to the workspace
+ * calendar's time zone for requests without one. Must run after protect.
+ */
+export const resolveWorkspace = async (req, res, next) => {
+  try {
+    const requestedId = req.headers['x-workspace-id'];
+    const pinnedId = req.apiKey?.workspace;
+    let workspace = null;
+
+    // API keys pinned to a workspace cannot reach any other one
+    if (pinnedId && requestedId && requestedId !== pinnedId.toString()) {
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden',
+        message: 'This API key is limited to a different workspace'
+      });
+    }
+
+    if (pinnedId) {
+      workspace = await Workspace.findOne({ _id: pinnedId, 'members.user': req.user._id });
+    } else if (requestedId) {
+      if (!mongoose.Types.ObjectId.isValid(requestedId)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid workspace',
+          message: 'X-Workspace-Id must be a valid workspace ID'
+        });
+      }
+      workspace = await Workspace.findOne({ _id: requestedId, 'members.user': req.user._id });
+    } else {
+      if (req.user.defaultWorkspace) {
+        workspace = await Workspace.findOne({ _id: req.user.defaultWorkspace, 'members.user': req.user._id });
+      }
+      if (!workspace) {
+        workspace = await Workspace.findOne({ 'members.user': req.user._id }).sort({ createdAt: 1 });
+      }
+    }
+
+    if (!workspace) {
+      return res.status(requestedId ? 404 : 403).json({
+        success: false,
+        error: requestedId ? 'Workspace not found' : 'No workspace',
+        message: requestedId ?
+          `Workspace with ID ${requestedId} does not exist` :
+          'You do not belong to any workspace. Create one with POST /api/workspaces'
+      });
+    }
+
+    req.workspace = workspace;
+    req.workspaceRole = workspace.getMemberRole(req.user._id);
+    setCurrentTimezone(resolveTimezone(req.timezone, workspace));
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Require one of the given workspace roles
+ */
+export const requireWorkspaceRole = (...roles) => (req, res, next) => {
+  if (!roles.includes(req.workspaceRole)) {
+    return res.status(403).json({
+      success: false,
+      error: 'Forbidden',
+      message: `This action requires one of the following workspace roles: ${roles.join(', ')}`
+    });
+  }
+  next();
+};
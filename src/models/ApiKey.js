@@ -0,0 +1,119 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+
+/**
+ * API Key Schema
+ * Personal, scoped and revocable service tokens for scripts and integrations.
+ * Only a SHA-256 hash of the key is stored; the plaintext is shown once.
+ */
+
+export const API_KEY_PREFIX = 'ptm_';
+
+export const API_KEY_SCOPES = [
+  'read',
+  'tasks:read',
+  'tasks:write',
+  'projects:read',
+  'projects:write',
+  'advanced:read',
+  'advanced:write',
+  'time:read',
+  'time:write',
+  'audit:read'
+];
+
+const apiKeySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'API key name is required'],
+    trim: true,
+    minlength: [2, 'API key name must be at least 2 characters long'],
+    maxlength: [100, 'API key name cannot exceed 100 characters']
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  workspace: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace' // Optional: pin the key to a single workspace
+  },
+  prefix: {
+    type: String,
+    required: true
+  },
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  scopes: {
+    type: [{
+      type: String,
+      enum: {
+        values: API_KEY_SCOPES,
+        message: `Scope must be one of: ${API_KEY_SCOPES.join(', ')}`
+      }
+    }],
+    validate: {
+      validator: (value) => value.length > 0,
+      message: 'At least one scope is required'
+    }
+  },
+  lastUsedAt: {
+    type: Date
+  },
+  expiresAt: {
+    type: Date
+  },
+  revokedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual for checking if the key can still be used
+apiKeySchema.virtual('isActive').get(function() {
+  if (this.revokedAt) return false;
+  return !this.expiresAt || this.expiresAt > new Date();
+});
+
+apiKeySchema.index({ user: 1, createdAt: -1 });
+
+// Static method to hash a plaintext key
+apiKeySchema.statics.hashKey = function(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+};
+
+// Static method to generate a new plaintext key with its display prefix and hash
+apiKeySchema.statics.generateKey = function() {
+  const key = `${API_KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+  return { key, prefix: key.slice(0, 12), keyHash: this.hashKey(key) };
+};
+
+// Static method to find a usable key by its plaintext value
+apiKeySchema.statics.findActiveByKey = function(key) {
+  return this.findOne({
+    keyHash: this.hashKey(key),
+    revokedAt: null,
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+  });
+};
+
+// Instance method to check whether the key grants access to a resource
+apiKeySchema.methods.allows = function(resource, access) {
+  if (access === 'read' && (this.scopes.includes('read') || this.scopes.includes(`${resource}:read`))) {
+    return true;
+  }
+  // Write access implies read access to the same resource
+  return this.scopes.includes(`${resource}:write`);
+};
+
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+
+export default ApiKey;
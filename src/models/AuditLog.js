@@ -0,0 +1,184 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+
+/**
+ * Audit Log Schema
+ * Append-only record of every mutation in a workspace. Each workspace's
+ * entries form a hash chain: an entry stores the hash of the entry before
+ * it, and its own hash covers its contents and that link. Editing, removing
+ * or reordering stored entries therefore breaks the chain, which
+ * AuditLog.verifyChain() detects.
+ */
+
+export const AUDIT_ENTITY_TYPES = ['workspace', 'project', 'task', 'api-key'];
+
+// Previous hash of the first entry in a chain
+export const GENESIS_HASH = '0'.repeat(64);
+
+// Retries when concurrent writers claim the same sequence number
+const MAX_APPEND_ATTEMPTS = 5;
+
+const auditLogSchema = new mongoose.Schema({
+  workspace: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    required: true
+  },
+  // Position in the workspace's chain, starting at 1
+  seq: {
+    type: Number,
+    required: true
+  },
+  // "<entity>.<verb>", e.g. project.delete or workspace.clear
+  action: {
+    type: String,
+    required: true
+  },
+  entityType: {
+    type: String,
+    enum: {
+      values: AUDIT_ENTITY_TYPES,
+      message: `Entity type must be one of: ${AUDIT_ENTITY_TYPES.join(', ')}`
+    },
+    required: true
+  },
+  // Null for actions on many entities, such as bulk operations
+  entityId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Set when the request was made with an API key
+  apiKey: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ApiKey',
+    default: null
+  },
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  at: {
+    type: Date,
+    required: true
+  },
+  prevHash: {
+    type: String,
+    required: true
+  },
+  hash: {
+    type: String,
+    required: true
+  }
+}, {
+  versionKey: false,
+  minimize: false
+});
+
+// Indexes for better performance
+auditLogSchema.index({ workspace: 1, seq: 1 }, { unique: true });
+auditLogSchema.index({ workspace: 1, at: -1 });
+auditLogSchema.index({ workspace: 1, actor: 1, at: -1 });
+auditLogSchema.index({ workspace: 1, entityType: 1, entityId: 1, at: -1 });
+
+// Entries are never changed once written
+const rejectChange = function() {
+  throw new Error('Audit log entries cannot be modified or deleted');
+};
+
+auditLogSchema.pre('save', function() {
+  if (!this.isNew) rejectChange();
+});
+auditLogSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  rejectChange
+);
+
+const toId = (value) => (value ? value.toString() : null);
+
+// Static method to compute the hash of an entry (stored or about to be)
+auditLogSchema.statics.computeHash = function(entry) {
+  const content = JSON.stringify([
+    toId(entry.workspace),
+    entry.seq,
+    entry.action,
+    entry.entityType,
+    toId(entry.entityId),
+    toId(entry.actor),
+    toId(entry.apiKey),
+    entry.details,
+    new Date(entry.at).toISOString(),
+    entry.prevHash
+  ]);
+  return crypto.createHash('sha256').update(content).digest('hex');
+};
+
+// Static method to add an entry to the end of its workspace's chain
+auditLogSchema.statics.append = async function(entry) {
+  // Store details exactly as they will be read back, so the hash stays valid
+  const details = JSON.parse(JSON.stringify(entry.details || {}));
+
+  for (let attempt = 0; attempt < MAX_APPEND_ATTEMPTS; attempt++) {
+    const last = await this.findOne({ workspace: entry.workspace })
+      .sort({ seq: -1 })
+      .select('seq hash')
+      .lean();
+
+    const record = {
+      ...entry,
+      details,
+      seq: (last?.seq || 0) + 1,
+      at: new Date(),
+      prevHash: last?.hash || GENESIS_HASH
+    };
+    record.hash = this.computeHash(record);
+
+    try {
+      return await this.create(record);
+    } catch (error) {
+      // Another entry took this sequence number; link to it and retry
+      if (error.code !== 11000) throw error;
+    }
+  }
+
+  throw new Error('Could not append to the audit log, too many concurrent writes');
+};
+
+// Static method to check a workspace's chain for gaps and altered entries
+auditLogSchema.statics.verifyChain = async function(workspaceId) {
+  const cursor = this.find({ workspace: workspaceId }).sort({ seq: 1 }).lean().cursor();
+  let previous = null;
+  let checked = 0;
+
+  for await (const entry of cursor) {
+    const expectedSeq = (previous?.seq || 0) + 1;
+    const expectedPrevHash = previous?.hash || GENESIS_HASH;
+    let problem = null;
+
+    if (entry.seq !== expectedSeq) {
+      problem = `Expected entry ${expectedSeq}, found entry ${entry.seq}`;
+    } else if (entry.prevHash !== expectedPrevHash) {
+      problem = 'Entry does not link to the previous entry';
+    } else if (entry.hash !== this.computeHash(entry)) {
+      problem = 'Entry contents do not match its hash';
+    }
+
+    if (problem) {
+      await cursor.close();
+      return { valid: false, checked, brokenAt: { seq: entry.seq, id: entry._id, reason: problem } };
+    }
+
+    previous = entry;
+    checked++;
+  }
+
+  return { valid: true, checked, lastHash: previous?.hash || GENESIS_HASH };
+};
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+
+export default AuditLog;
@@ -0,0 +1,82 @@
+import mongoose from 'mongoose';
+
+/**
+ * Comment Schema
+ * Discussion on a task, kept in its own collection so long threads don't
+ * grow the task document. Replies point to the comment they answer and to
+ * the top-level comment of their thread.
+ */
+
+export const COMMENT_MAX_LENGTH = 5000;
+
+const commentSchema = new mongoose.Schema({
+  task: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    required: true
+  },
+  workspace: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    required: true
+  },
+  // Null for notes migrated from before comments had authors
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Comment this one replies to (null for top-level comments)
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment',
+    default: null
+  },
+  // Top-level comment of the thread (null for top-level comments)
+  thread: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment',
+    default: null
+  },
+  content: {
+    type: String,
+    trim: true,
+    required: [function() { return !this.deletedAt; }, 'Comment content is required'],
+    maxlength: [COMMENT_MAX_LENGTH, `Comment cannot exceed ${COMMENT_MAX_LENGTH} characters`]
+  },
+  // Users @mentioned in the content who can see the task
+  mentions: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Earlier versions of the content, oldest first; each was replaced at editedAt
+  edits: [{
+    _id: false,
+    content: String,
+    editedAt: Date
+  }],
+  editedAt: {
+    type: Date,
+    default: null
+  },
+  // Deleted comments with replies stay as empty placeholders in their thread
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better performance
+commentSchema.index({ task: 1, thread: 1, createdAt: 1 });
+commentSchema.index({ workspace: 1, mentions: 1, createdAt: -1 });
+
+const Comment = mongoose.model('Comment', commentSchema);
+
+export default Comment;
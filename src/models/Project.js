@@ -1,4 +1,57 @@
 import mongoose from 'mongoose';
+import { softDelete } from './plugins/softDelete.js';
+import { TASK_STATUSES, STATUS_KEY_PATTERN } from './Task.js';
+import { workCalendarSchema } from './Workspace.js';
+
+// Task fields a workflow can require before a task enters a status
+export const WORKFLOW_REQUIRABLE_FIELDS = ['description', 'assignees', 'dueDate', 'estimatedHours', 'actualHours', 'tags'];
+
+/**
+ * Workflow Schema
+ * Per-project task statuses, allowed transitions and required fields.
+ * Every status belongs to one of the built-in statuses as its category, which
+ * is what analytics and blocked checks look at.
+ */
+const workflowSchema = new mongoose.Schema({
+  statuses: [{
+    _id: false,
+    key: {
+      type: String,
+      required: true,
+      match: [STATUS_KEY_PATTERN, 'Status key must be lowercase letters, digits and dashes']
+    },
+    name: {
+      type: String,
+      trim: true,
+      maxlength: [50, 'Status name cannot exceed 50 characters']
+    },
+    category: {
+      type: String,
+      enum: {
+        values: TASK_STATUSES,
+        message: `Category must be one of: ${TASK_STATUSES.join(', ')}`
+      },
+      required: true
+    }
+  }],
+  // Empty means any status can move to any other
+  transitions: [{
+    _id: false,
+    from: { type: String, required: true },
+    to: [{ type: String }]
+  }],
+  requiredFields: [{
+    _id: false,
+    status: { type: String, required: true },
+    fields: [{
+      type: String,
+      enum: {
+        values: WORKFLOW_REQUIRABLE_FIELDS,
+        message: `Required field must be one of: ${WORKFLOW_REQUIRABLE_FIELDS.join(', ')}`
+      }
+    }]
+  }]
+}, { _id: false });
 
 /**
  * Project Schema
@@ -12,6 +65,11 @@ const projectSchema = new mongoose.Schema({
     minlength: [2, 'Project name must be at least 2 characters long'],
     maxlength: [100, 'Project name cannot exceed 100 characters']
   },
+  workspace: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    required: [true, 'Workspace is required']
+  },
   description: {
     type: String,
     trim: true,
@@ -55,10 +113,81 @@ const projectSchema = new mongoose.Schema({
     trim: true,
     maxlength: [30, 'Tag cannot exceed 30 characters']
   }],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  members: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    role: {
+      type: String,
+      enum: {
+        values: ['owner', 'maintainer', 'member', 'viewer'],
+        message: 'Role must be one of: owner, maintainer, member, viewer'
+      },
+      default: 'member'
+    },
+    addedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    // Overrides the project's hourly rate for this member's time
+    hourlyRate: {
+      type: Number,
+      min: [0, 'Hourly rate cannot be negative'],
+      default: null
+    },
+    addedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Custom task workflow; projects without one use the default workflow
+  workflow: {
+    type: workflowSchema,
+    default: undefined
+  },
+  // Work calendar of the project's tasks; null uses the workspace's
+  calendar: {
+    type: workCalendarSchema,
+    default: null
+  },
   color: {
     type: String,
     default: '#3b82f6', // Default blue color
     match: [/^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$/, 'Please provide a valid hex color']
+  },
+  // Billing details used by the invoice report
+  client: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Client name cannot exceed 100 characters']
+  },
+  hourlyRate: {
+    type: Number,
+    min: [0, 'Hourly rate cannot be negative'],
+    default: null
+  },
+  currency: {
+    type: String,
+    uppercase: true,
+    match: [/^[A-Z]{3}$/, 'Currency must be a three-letter ISO 4217 code'],
+    default: 'USD'
+  },
+  // Archived projects and their tasks are read-only and left out of
+  // listings and dashboards unless asked for
+  archivedAt: {
+    type: Date,
+    default: null
+  },
+  archivedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
   }
 }, {
   timestamps: true,
@@ -74,9 +203,14 @@ projectSchema.virtual('taskCount', {
   count: true
 });
 
+// Deleted projects go to the trash (deletedAt/deletedBy/deletedWith)
+projectSchema.plugin(softDelete);
+
 // Index for better performance
-projectSchema.index({ name: 1, status: 1 });
+projectSchema.index({ workspace: 1, name: 1, status: 1 });
 projectSchema.index({ dueDate: 1 });
+projectSchema.index({ 'members.user': 1 });
+projectSchema.index({ workspace: 1, archivedAt: 1 });
 
 // Middleware to set completedDate when status changes to completed
 projectSchema.pre('save', function(next) {
@@ -0,0 +1,107 @@
+import mongoose from 'mongoose';
+
+export const SPRINT_STATUSES = ['planned', 'active', 'completed'];
+
+// Sprints without an end date run for two weeks
+export const DEFAULT_SPRINT_DAYS = 14;
+
+/**
+ * Sprint Schema
+ * A time-boxed iteration of a project. Tasks join a sprint through their
+ * `sprint` field. Starting a sprint records the tasks committed to it;
+ * completing it records which were done and which were carried over.
+ * Changes in between show up in the tasks' history.
+ */
+const sprintSchema = new mongoose.Schema({
+  workspace: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    required: true
+  },
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Sprint name is required'],
+    trim: true,
+    maxlength: [100, 'Sprint name cannot exceed 100 characters']
+  },
+  goal: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Goal cannot exceed 500 characters']
+  },
+  startDate: {
+    type: Date,
+    required: [true, 'Start date is required']
+  },
+  endDate: {
+    type: Date,
+    required: [true, 'End date is required'],
+    validate: {
+      validator: function(value) {
+        return !this.startDate || value > this.startDate;
+      },
+      message: 'End date must be after start date'
+    }
+  },
+  status: {
+    type: String,
+    enum: {
+      values: SPRINT_STATUSES,
+      message: `Status must be one of: ${SPRINT_STATUSES.join(', ')}`
+    },
+    default: 'planned'
+  },
+  startedAt: {
+    type: Date,
+    default: null
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  },
+  // Tasks in the sprint when it was started
+  committed: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task'
+  }],
+  // Tasks done when the sprint was completed
+  completed: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task'
+  }],
+  // Unfinished tasks moved on when the sprint was completed
+  carriedOver: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task'
+  }],
+  // Sprint the unfinished tasks moved to (null means the backlog)
+  carriedOverTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Sprint',
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better performance
+sprintSchema.index({ project: 1, startDate: 1 });
+sprintSchema.index({ project: 1, status: 1, completedAt: -1 });
+// One active sprint per project
+sprintSchema.index(
+  { project: 1 },
+  { unique: true, partialFilterExpression: { status: 'active' } }
+);
+
+const Sprint = mongoose.model('Sprint', sprintSchema);
+
+export default Sprint;
@@ -1,4 +1,80 @@
 import mongoose from 'mongoose';
+import { softDelete } from './plugins/softDelete.js';
+import TaskHistory, { TRACKED_TASK_FIELDS } from './TaskHistory.js';
+import { getCurrentActor, getCurrentTimezone } from '../utils/requestContext.js';
+import {
+  buildOverdueFilter,
+  isTaskOverdue,
+  parseLocalDate,
+  startOfLocalDay,
+  toLocalDay,
+  DEFAULT_CALENDAR
+} from '../utils/calendar.js';
+
+// Built-in statuses. Projects can add their own through a workflow (see
+// utils/workflow.js); completed and cancelled always mean done.
+export const TASK_STATUSES = ['todo', 'in-progress', 'review', 'completed', 'cancelled'];
+
+// Format of custom status keys, e.g. "qa" or "waiting-on-client"
+export const STATUS_KEY_PATTERN = /^[a-z][a-z0-9-]{0,29}$/;
+
+export const RECURRENCE_FREQUENCIES = ['daily', 'weekly', 'monthly'];
+
+// RRULE weekday codes, in ISO order (weeks start on Monday)
+export const WEEKDAYS = ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU'];
+
+/**
+ * Recurrence Schema
+ * RRULE-style repetition of a task. Each occurrence is its own task; the
+ * next one is created when the current one is completed.
+ */
+const recurrenceSchema = new mongoose.Schema({
+  frequency: {
+    type: String,
+    enum: {
+      values: RECURRENCE_FREQUENCIES,
+      message: `Frequency must be one of: ${RECURRENCE_FREQUENCIES.join(', ')}`
+    },
+    required: [true, 'Recurrence frequency is required']
+  },
+  interval: {
+    type: Number,
+    min: [1, 'Interval must be at least 1'],
+    max: [365, 'Interval cannot exceed 365'],
+    default: 1
+  },
+  byWeekday: [{
+    type: String,
+    enum: {
+      values: WEEKDAYS,
+      message: `Weekday must be one of: ${WEEKDAYS.join(', ')}`
+    }
+  }],
+  byMonthDay: {
+    type: Number,
+    min: [1, 'Day of month must be between 1 and 31'],
+    max: [31, 'Day of month must be between 1 and 31']
+  },
+  until: {
+    type: Date
+  },
+  count: {
+    type: Number,
+    min: [1, 'Count must be at least 1'],
+    max: [1000, 'Count cannot exceed 1000']
+  },
+  // Position of this task in its series, starting at 1
+  occurrence: {
+    type: Number,
+    min: 1,
+    default: 1
+  },
+  // First task of the series (unset on the first task itself)
+  series: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task'
+  }
+}, { _id: false });
 
 /**
  * Task Schema
@@ -17,12 +93,10 @@ const taskSchema = new mongoose.Schema({
     trim: true,
     maxlength: [1000, 'Description cannot exceed 1000 characters']
   },
+  // Checked against the project's workflow by the controllers
   status: {
     type: String,
-    enum: {
-      values: ['todo', 'in-progress', 'review', 'completed', 'cancelled'],
-      message: 'Status must be one of: todo, in-progress, review, completed, cancelled'
-    },
+    match: [STATUS_KEY_PATTERN, 'Status must be a lowercase key such as "todo" or "in-review"'],
     default: 'todo'
   },
   priority: {
@@ -33,22 +107,86 @@ const taskSchema = new mongoose.Schema({
     },
     default: 'medium'
   },
+  workspace: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    required: [true, 'Workspace is required']
+  },
   project: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Project',
     required: false // Tasks can exist without projects
   },
-  assignee: {
+  // Sprint of the task's project it is planned for (null means the backlog)
+  sprint: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Sprint',
+    default: null
+  },
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    default: null // Top-level task
+  },
+  // Materialized path from the root task down to the parent, used to load
+  // whole subtrees in one query
+  ancestors: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task'
+  }],
+  // Percentage complete: 100/0 for leaf tasks, rolled up from subtasks otherwise
+  progress: {
+    type: Number,
+    min: [0, 'Progress cannot be negative'],
+    max: [100, 'Progress cannot exceed 100'],
+    default: 0
+  },
+  // Tasks that must be completed before this one can start
+  blockedBy: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task'
+  }],
+  assignees: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  assignmentHistory: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    action: {
+      type: String,
+      enum: ['assigned', 'unassigned'],
+      required: true
+    },
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Free-text assignee from before assignees referenced users; kept when the
+  // migration could not match it to an account
+  legacyAssignee: {
     type: String,
     trim: true,
     maxlength: [100, 'Assignee name cannot exceed 100 characters']
   },
   dueDate: {
     type: Date,
+    // Date-only due dates start at midnight in the request's time zone
+    set: value => (value ? parseLocalDate(value, getCurrentTimezone()) : value),
     validate: {
       validator: function(value) {
-        // Due date should be in the future for new tasks
-        return !value || value >= new Date().setHours(0, 0, 0, 0);
+        // Due date should be in the future for new tasks, today being the
+        // request's
+        const timezone = getCurrentTimezone();
+        return !value || value >= startOfLocalDay(toLocalDay(new Date(), timezone), timezone);
       },
       message: 'Due date cannot be in the past'
     }
@@ -61,35 +199,55 @@ const taskSchema = new mongoose.Schema({
     min: [0, 'Estimated hours cannot be negative'],
     max: [1000, 'Estimated hours cannot exceed 1000']
   },
+  // Sum of the task's time entries, kept up to date by utils/timeTracking.js
   actualHours: {
     type: Number,
-    min: [0, 'Actual hours cannot be negative'],
-    max: [1000, 'Actual hours cannot exceed 1000']
+    min: [0, 'Actual hours cannot be negative']
+  },
+  // Time on non-billable tasks is left off invoices
+  billable: {
+    type: Boolean,
+    default: true
   },
   tags: [{
     type: String,
     trim: true,
     maxlength: [30, 'Tag cannot exceed 30 characters']
   }],
-  notes: [{
-    content: {
-      type: String,
-      required: true,
-      maxlength: [500, 'Note cannot exceed 500 characters']
-    },
-    createdAt: {
-      type: Date,
-      default: Date.now
-    }
-  }],
+  recurrence: {
+    type: recurrenceSchema,
+    default: undefined
+  },
+  // Occurrence created when this one was completed
+  nextOccurrence: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Files uploaded through the attachment endpoints (see utils/attachments.js)
   attachments: [{
+    // Name of the file as uploaded
     filename: {
       type: String,
-      required: true
+      required: true,
+      trim: true,
+      maxlength: [255, 'Filename cannot exceed 255 characters']
     },
-    url: {
-      type: String,
-      required: true
+    mimeType: String,
+    size: Number,
+    // SHA-256 of the content, hex encoded
+    checksum: String,
+    // Where the storage driver keeps the file
+    storageKey: String,
+    // Links added before uploads were supported have a URL and no stored file
+    url: String,
+    uploadedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
     },
     uploadedAt: {
       type: Date,
@@ -103,11 +261,9 @@ const taskSchema = new mongoose.Schema({
 });
 
 // Virtual for checking if task is overdue
+// Uses the work calendar set in $locals.calendar, else the default one
 taskSchema.virtual('isOverdue').get(function() {
-  if (!this.dueDate || this.status === 'completed' || this.status === 'cancelled') {
-    return false;
-  }
-  return this.dueDate < new Date();
+  return isTaskOverdue(this, this.$locals.calendar || { ...DEFAULT_CALENDAR, timezone: getCurrentTimezone() });
 });
 
 // Virtual for time tracking
@@ -118,9 +274,17 @@ taskSchema.virtual('timeVariance').get(function() {
   return this.actualHours - this.estimatedHours;
 });
 
+// Deleted tasks go to the trash (deletedAt/deletedBy/deletedWith)
+taskSchema.plugin(softDelete);
+
 // Indexes for better performance
-taskSchema.index({ status: 1, priority: 1 });
+taskSchema.index({ workspace: 1, status: 1, priority: 1 });
 taskSchema.index({ project: 1 });
+taskSchema.index({ sprint: 1 });
+taskSchema.index({ parent: 1 });
+taskSchema.index({ ancestors: 1 });
+taskSchema.index({ blockedBy: 1 });
+taskSchema.index({ assignees: 1 });
 taskSchema.index({ dueDate: 1 });
 taskSchema.index({ title: 'text', description: 'text' }); // Text search
 
@@ -133,17 +297,136 @@ taskSchema.pre('save', function(next) {
       this.completedDate = undefined;
     }
   }
+  // New tasks have no subtasks yet, so their progress follows their status
+  if (this.isNew) {
+    this.progress = this.status === 'completed' ? 100 : 0;
+  }
   next();
 });
 
-// Static method to find overdue tasks
-taskSchema.statics.findOverdue = function() {
-  return this.find({
-    dueDate: { $lt: new Date() },
-    status: { $nin: ['completed', 'cancelled'] }
+// Remember the stored values of tracked fields so saves can be diffed
+taskSchema.post('init', function() {
+  this.$locals.tracked = TaskHistory.snapshot(this);
+});
+
+// Record creation values and tracked field changes made through save()
+taskSchema.post('save', async function() {
+  const after = TaskHistory.snapshot(this);
+  const entries = TaskHistory.diff(this, this.$locals.tracked || null, after, getCurrentActor());
+  this.$locals.tracked = after;
+
+  // History must never fail a save that has already been applied
+  if (entries.length > 0) {
+    try {
+      await TaskHistory.insertMany(entries);
+    } catch (error) {
+      console.error('Error recording task history:', error);
+    }
+  }
+});
+
+/**
+ * History for query updates
+ * findByIdAndUpdate, updateOne and updateMany skip the save hooks, so the
+ * matched tasks are read before and after the update and diffed. Updates
+ * that cannot touch a tracked field are left alone. These hooks also keep
+ * completedDate in step with status, like the save hook above.
+ */
+const QUERY_UPDATES = ['findOneAndUpdate', 'updateOne', 'updateMany'];
+const pendingHistory = new WeakMap();
+
+const touchesTrackedFields = (update) => {
+  if (!update) return false;
+  // Aggregation pipeline updates
+  if (Array.isArray(update)) {
+    return update.some(stage => touchesTrackedFields(stage.$set || stage.$addFields));
+  }
+  // Operators ($set, $pull, ...) hold the fields they change
+  return Object.entries(update).some(([key, value]) => {
+    return key.startsWith('$') ?
+      typeof value === 'object' && touchesTrackedFields(value) :
+      TRACKED_TASK_FIELDS.includes(key.split('.')[0]);
   });
 };
 
+const TRACKED_SELECTION = [...TRACKED_TASK_FIELDS, 'workspace'].join(' ');
+
+taskSchema.pre(QUERY_UPDATES, async function() {
+  if (!touchesTrackedFields(this.getUpdate())) return;
+
+  const query = this.model.find(this.getFilter())
+    .setOptions({ withDeleted: this.getOptions().withDeleted })
+    .select(TRACKED_SELECTION)
+    .lean();
+  if (this.op !== 'updateMany') {
+    query.sort(this.getOptions().sort).limit(1);
+  }
+
+  pendingHistory.set(this, { before: await query, actor: getCurrentActor() });
+});
+
+taskSchema.post(QUERY_UPDATES, async function(result) {
+  const pending = pendingHistory.get(this);
+  if (!pending || pending.before.length === 0) return;
+  pendingHistory.delete(this);
+
+  // History must never fail an update that has already been applied
+  try {
+    const at = new Date();
+    const after = await this.model.find({ _id: { $in: pending.before.map(task => task._id) } })
+      .setOptions({ withDeleted: this.getOptions().withDeleted })
+      .select(TRACKED_SELECTION)
+      .lean();
+    const afterById = new Map(after.map(task => [task._id.toString(), task]));
+
+    const entries = pending.before.flatMap(task => {
+      const updated = afterById.get(task._id.toString());
+      return updated ?
+        TaskHistory.diff(updated, TaskHistory.snapshot(task), TaskHistory.snapshot(updated), pending.actor, at) :
+        [];
+    });
+    if (entries.length === 0) return;
+    await TaskHistory.insertMany(entries);
+
+    const statusChanges = entries.filter(entry => entry.field === 'status');
+    const completed = statusChanges.filter(entry => entry.to === 'completed').map(entry => entry.task);
+    const reopened = statusChanges.filter(entry => entry.from === 'completed').map(entry => entry.task);
+
+    if (completed.length > 0) {
+      await this.model.updateMany({ _id: { $in: completed }, completedDate: null }, { $set: { completedDate: at } });
+    }
+    if (reopened.length > 0) {
+      await this.model.updateMany({ _id: { $in: reopened } }, { $unset: { completedDate: 1 } });
+    }
+
+    // Keep the updated document returned by findOneAndUpdate in step
+    const { new: returnsUpdated, returnDocument } = this.getOptions();
+    const returned = this.op === 'findOneAndUpdate' && (returnsUpdated || returnDocument === 'after') ? result : null;
+    if (returned && statusChanges.some(entry => entry.task.equals(returned._id))) {
+      returned.completedDate = returned.status === 'completed' ? (returned.completedDate || at) : undefined;
+    }
+  } catch (error) {
+    console.error('Error recording task history:', error);
+  }
+});
+
+// Static method to find overdue tasks under the calendars from loadCalendars()
+taskSchema.statics.findOverdue = function(calendars = { workspace: DEFAULT_CALENDAR, projects: new Map() }) {
+  return this.find(buildOverdueFilter(calendars));
+};
+
+// Static method to build assignment history entries from an assignee change
+taskSchema.statics.diffAssignees = function(previous = [], next = [], actor) {
+  const before = new Set(previous.map(id => id.toString()));
+  const after = new Set(next.map(id => id.toString()));
+  const at = new Date();
+
+  return [
+    ...[...after].filter(id => !before.has(id)).map(user => ({ user, action: 'assigned', by: actor, at })),
+    ...[...before].filter(id => !after.has(id)).map(user => ({ user, action: 'unassigned', by: actor, at }))
+  ];
+};
+
 // Static method to find tasks by priority
 taskSchema.statics.findByPriority = function(priority) {
   return this.find({ priority }).sort({ dueDate: 1 });
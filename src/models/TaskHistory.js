@@ -0,0 +1,89 @@
+import mongoose from 'mongoose';
+
+/**
+ * Task History Schema
+ * One entry per change to a tracked task field. A task's first entries
+ * (with `from: null`) record its values at creation.
+ */
+
+export const TRACKED_TASK_FIELDS = ['status', 'priority', 'assignees', 'project', 'sprint'];
+
+const taskHistorySchema = new mongoose.Schema({
+  task: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    required: true
+  },
+  workspace: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    required: true
+  },
+  field: {
+    type: String,
+    enum: {
+      values: TRACKED_TASK_FIELDS,
+      message: `Field must be one of: ${TRACKED_TASK_FIELDS.join(', ')}`
+    },
+    required: true
+  },
+  // Status/priority key, project or sprint ID, or sorted list of user IDs (as strings)
+  from: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  to: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  // Null for changes made outside a request (scripts, migrations)
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  versionKey: false
+});
+
+// Indexes for better performance
+taskHistorySchema.index({ task: 1, at: 1 });
+taskHistorySchema.index({ workspace: 1, field: 1, at: 1 });
+
+const toId = (value) => (value ? (value._id || value).toString() : null);
+
+// Static method to take a comparable copy of a task's tracked fields
+// (works with documents, lean objects and populated references)
+taskHistorySchema.statics.snapshot = function(task) {
+  return {
+    status: task.status || null,
+    priority: task.priority || null,
+    project: toId(task.project),
+    sprint: toId(task.sprint),
+    assignees: (task.assignees || []).map(toId).sort()
+  };
+};
+
+// Static method to build history entries from two snapshots of a task
+taskHistorySchema.statics.diff = function(task, before, after, actor, at = new Date()) {
+  return TRACKED_TASK_FIELDS
+    .filter(field => JSON.stringify(before?.[field] ?? null) !== JSON.stringify(after[field] ?? null))
+    .filter(field => before || (Array.isArray(after[field]) ? after[field].length > 0 : after[field] !== null))
+    .map(field => ({
+      task: task._id,
+      workspace: task.workspace,
+      field,
+      from: before ? before[field] : null,
+      to: after[field],
+      actor: actor || null,
+      at
+    }));
+};
+
+const TaskHistory = mongoose.model('TaskHistory', taskHistorySchema);
+
+export default TaskHistory;
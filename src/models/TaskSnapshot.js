@@ -0,0 +1,68 @@
+import mongoose from 'mongoose';
+
+/**
+ * Task Snapshot Schema
+ * The state of a task on a day (UTC), as last recorded that day. Snapshots
+ * are recorded on a schedule on the days a task's state changed (see
+ * utils/snapshots.js) and are the data source for burndown and burnup charts.
+ */
+const taskSnapshotSchema = new mongoose.Schema({
+  task: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    required: true
+  },
+  workspace: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    required: true
+  },
+  // Midnight UTC of the day
+  date: {
+    type: Date,
+    required: true
+  },
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    default: null
+  },
+  sprint: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Sprint',
+    default: null
+  },
+  status: {
+    type: String,
+    required: true
+  },
+  // Built-in status the task's workflow status stands for
+  category: {
+    type: String,
+    default: null
+  },
+  estimatedHours: {
+    type: Number,
+    default: null
+  },
+  // Whether the task was in the trash
+  deleted: {
+    type: Boolean,
+    default: false
+  },
+  recordedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  versionKey: false
+});
+
+// Indexes for better performance
+taskSnapshotSchema.index({ task: 1, date: 1 }, { unique: true });
+taskSnapshotSchema.index({ project: 1, date: 1 });
+taskSnapshotSchema.index({ workspace: 1, date: 1 });
+
+const TaskSnapshot = mongoose.model('TaskSnapshot', taskSnapshotSchema);
+
+export default TaskSnapshot;
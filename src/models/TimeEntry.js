@@ -0,0 +1,80 @@
+import mongoose from 'mongoose';
+
+/**
+ * Time Entry Schema
+ * Time a user spent on a task, either logged by hand or recorded with a
+ * timer. A running timer is an entry without `endedAt`; each user can have
+ * at most one. Task `actualHours` is the sum of a task's finished entries.
+ */
+
+export const TIME_ENTRY_NOTE_MAX_LENGTH = 500;
+
+const timeEntrySchema = new mongoose.Schema({
+  workspace: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    required: true
+  },
+  task: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  startedAt: {
+    type: Date,
+    required: [true, 'Start time is required']
+  },
+  // Null while the timer is running
+  endedAt: {
+    type: Date,
+    default: null,
+    validate: {
+      validator: function(value) {
+        return value == null || value >= this.startedAt;
+      },
+      message: 'End time cannot be before the start time'
+    }
+  },
+  // Seconds between startedAt and endedAt (null while running)
+  duration: {
+    type: Number,
+    default: null,
+    min: [0, 'Duration cannot be negative']
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [TIME_ENTRY_NOTE_MAX_LENGTH, `Note cannot exceed ${TIME_ENTRY_NOTE_MAX_LENGTH} characters`]
+  },
+  billable: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better performance
+timeEntrySchema.index({ task: 1, startedAt: 1 });
+timeEntrySchema.index({ workspace: 1, user: 1, startedAt: 1 });
+// One running timer per user
+timeEntrySchema.index(
+  { user: 1 },
+  { unique: true, partialFilterExpression: { endedAt: { $type: 'null' } } }
+);
+
+// Keep the duration in step with the start and end times
+timeEntrySchema.pre('validate', function() {
+  this.duration = this.endedAt && this.startedAt ?
+    Math.round((this.endedAt.getTime() - this.startedAt.getTime()) / 1000) :
+    null;
+});
+
+const TimeEntry = mongoose.model('TimeEntry', timeEntrySchema);
+
+export default TimeEntry;
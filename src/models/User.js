@@ -0,0 +1,108 @@
+import mongoose from 'mongoose';
+import bcrypt from 'bcryptjs';
+import { isValidTimeZone } from '../utils/calendar.js';
+
+/**
+ * User Schema
+ * Represents an account that can authenticate against the API
+ */
+const userSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    minlength: [2, 'Name must be at least 2 characters long'],
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^\S+@\S+\.\S+$/, 'Please provide a valid email address']
+  },
+  password: {
+    type: String,
+    required: [true, 'Password is required'],
+    minlength: [8, 'Password must be at least 8 characters long'],
+    select: false // Never returned unless explicitly requested
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  lastLoginAt: {
+    type: Date
+  },
+  // IANA time zone the user's dates are read in; requests can override it
+  timezone: {
+    type: String,
+    trim: true,
+    default: null,
+    validate: {
+      validator: value => !value || isValidTimeZone(value),
+      message: 'Timezone must be an IANA time zone (e.g., Europe/Berlin)'
+    }
+  },
+  defaultWorkspace: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace'
+  },
+  refreshTokens: {
+    type: [{
+      tokenId: {
+        type: String,
+        required: true
+      },
+      expiresAt: {
+        type: Date,
+        required: true
+      },
+      createdAt: {
+        type: Date,
+        default: Date.now
+      }
+    }],
+    select: false
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: (doc, ret) => {
+      delete ret.password;
+      delete ret.refreshTokens;
+      return ret;
+    }
+  },
+  toObject: { virtuals: true }
+});
+
+// Hash the password whenever it is set or changed
+userSchema.pre('save', async function(next) {
+  if (!this.isModified('password')) return next();
+
+  try {
+    const salt = await bcrypt.genSalt(12);
+    this.password = await bcrypt.hash(this.password, salt);
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Instance method to verify a candidate password against the stored hash
+userSchema.methods.comparePassword = function(candidatePassword) {
+  return bcrypt.compare(candidatePassword, this.password);
+};
+
+// Instance method to drop expired refresh tokens
+userSchema.methods.pruneRefreshTokens = function() {
+  const now = new Date();
+  this.refreshTokens = (this.refreshTokens || []).filter(token => token.expiresAt > now);
+};
+
+const User = mongoose.model('User', userSchema);
+
+export default User;
@@ -0,0 +1,120 @@
+import mongoose from 'mongoose';
+import { DEFAULT_CALENDAR, isValidTimeZone } from '../utils/calendar.js';
+
+/**
+ * Work Calendar Schema
+ * Weekdays that are worked, holidays and the time zone days are counted
+ * in. Due dates, overdue checks and capacity follow it (see utils/calendar.js).
+ */
+export const workCalendarSchema = new mongoose.Schema({
+  // 0 is Sunday
+  workingDays: {
+    type: [{ type: Number, min: 0, max: 6 }],
+    default: () => [...DEFAULT_CALENDAR.workingDays],
+    validate: {
+      validator: (days) => days.length > 0,
+      message: 'A calendar needs at least one working day'
+    }
+  },
+  // Midnight UTC of each day off
+  holidays: [{
+    type: Date
+  }],
+  timezone: {
+    type: String,
+    default: DEFAULT_CALENDAR.timezone,
+    validate: {
+      validator: isValidTimeZone,
+      message: 'Timezone must be an IANA time zone (e.g., Europe/Berlin)'
+    }
+  }
+}, { _id: false });
+
+/**
+ * Workspace Schema
+ * Represents a team/organization. Every project and task belongs to exactly
+ * one workspace and is invisible outside of it.
+ */
+const workspaceSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Workspace name is required'],
+    trim: true,
+    minlength: [2, 'Workspace name must be at least 2 characters long'],
+    maxlength: [100, 'Workspace name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  members: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    role: {
+      type: String,
+      enum: {
+        values: ['owner', 'admin', 'member'],
+        message: 'Role must be one of: owner, admin, member'
+      },
+      default: 'member'
+    },
+    // Hours a week the member can take on, over five working days
+    hoursPerWeek: {
+      type: Number,
+      min: [0, 'Hours per week cannot be negative'],
+      max: [168, 'Hours per week cannot exceed 168'],
+      default: 40
+    },
+    // Days (midnight UTC) the member is away
+    daysOff: [{
+      type: Date
+    }],
+    addedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  calendar: {
+    type: workCalendarSchema,
+    default: () => ({})
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Index for membership lookups
+workspaceSchema.index({ 'members.user': 1 });
+
+// Instance method to get a user's workspace role (null if not a member)
+workspaceSchema.methods.getMemberRole = function(userId) {
+  const member = this.members.find(m => (m.user._id || m.user).toString() === userId.toString());
+  return member ? member.role : null;
+};
+
+// Static method to find the workspaces a user belongs to
+workspaceSchema.statics.findForUser = function(userId) {
+  return this.find({ 'members.user': userId }).sort({ createdAt: 1 });
+};
+
+// Static method to create a personal workspace for a new user
+workspaceSchema.statics.createPersonal = function(user) {
+  return this.create({
+    name: `${user.name}'s Workspace`,
+    members: [{ user: user._id, role: 'owner' }],
+    createdBy: user._id
+  });
+};
+
+const Workspace = mongoose.model('Workspace', workspaceSchema);
+
+export default Workspace;
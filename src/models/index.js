@@ -4,8 +4,26 @@
  */
 import Task from './Task.js';
 import Project from './Project.js';
+import User from './User.js';
+import Workspace from './Workspace.js';
+import ApiKey from './ApiKey.js';
+import TaskHistory from './TaskHistory.js';
+import AuditLog from './AuditLog.js';
+import Comment from './Comment.js';
+import TimeEntry from './TimeEntry.js';
+import Sprint from './Sprint.js';
+import TaskSnapshot from './TaskSnapshot.js';
 
 export {
   Task,
-  Project
-};
\ No newline at end of file
+  Project,
+  User,
+  Workspace,
+  ApiKey,
+  TaskHistory,
+  AuditLog,
+  Comment,
+  TimeEntry,
+  Sprint,
+  TaskSnapshot
+};
@@ -0,0 +1,63 @@
+import mongoose from 'mongoose';
+
+/**
+ * Soft delete plugin
+ * Deleted documents stay in their collection with `deletedAt` set until the
+ * trash is purged (see utils/trash.js). Queries and aggregations skip them
+ * unless they ask for them: a query filter or a leading aggregation $match
+ * that mentions `deletedAt`, or the `withDeleted` query option.
+ * $lookup and $graphLookup stages are not covered and must filter on
+ * `deletedAt` themselves.
+ */
+
+const FILTERED_QUERIES = [
+  'find',
+  'findOne',
+  'countDocuments',
+  'distinct',
+  'findOneAndUpdate',
+  'updateOne',
+  'updateMany'
+];
+
+export const softDelete = (schema) => {
+  schema.add({
+    deletedAt: {
+      type: Date,
+      default: null
+    },
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    // Project or task whose deletion took this document along (null when
+    // it was deleted directly)
+    deletedWith: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null
+    }
+  });
+
+  schema.index({ deletedAt: 1 });
+  schema.index({ deletedWith: 1 });
+
+  schema.pre(FILTERED_QUERIES, function() {
+    if (this.getOptions().withDeleted || 'deletedAt' in this.getFilter()) return;
+    this.where({ deletedAt: null });
+  });
+
+  schema.pre('aggregate', function() {
+    const pipeline = this.pipeline();
+    const first = pipeline[0];
+
+    if (first?.$match) {
+      // Extend a leading $match (callers often reuse its filter object)
+      if (!('deletedAt' in first.$match)) {
+        pipeline[0] = { $match: { ...first.$match, deletedAt: null } };
+      }
+    } else {
+      pipeline.unshift({ $match: { deletedAt: null } });
+    }
+  });
+};
@@ -1,4 +1,5 @@
 import express from 'express';
+import mongoose from 'mongoose';
 import {
   getDashboardData,
   generateReport,
@@ -9,7 +10,11 @@ import {
   clearDatabase,
   forceSeedDatabase
 } from '../controllers/seedController.js';
-import { validateObjectId } from '../middleware/validation.js';
+import { validateObjectId, validateReportQuery } from '../middleware/validation.js';
+import { requireWorkspaceRole } from '../middleware/workspace.js';
+import { buildProjectAccessFilter, buildTaskAccessFilter } from '../utils/permissions.js';
+import { annotateBlocked } from '../utils/taskDependencies.js';
+import { buildDueWithinFilter, buildOverdueFilter, loadCalendars } from '../utils/calendar.js';
 
 const router = express.Router();
 
@@ -20,19 +25,21 @@ const router = express.Router();
 
 // Dashboard Analytics Routes
 router.get('/dashboard', getDashboardData);
-router.get('/dashboard/reports/:type', generateReport);
+router.get('/dashboard/reports/:type', validateReportQuery, generateReport);
 router.post('/dashboard/bulk-update', bulkUpdateTasks);
 
-// Database Management Routes (for development and testing)
-router.post('/seed', seedDatabase);
-router.post('/seed/force', forceSeedDatabase);
-router.delete('/clear', clearDatabase);
+// Workspace Data Management Routes (for development and testing)
+router.post('/seed', requireWorkspaceRole('owner', 'admin'), seedDatabase);
+router.post('/seed/force', requireWorkspaceRole('owner', 'admin'), forceSeedDatabase);
+router.delete('/clear', requireWorkspaceRole('owner', 'admin'), clearDatabase);
 
 // Export endpoints
 router.get('/export/projects', async (req, res) => {
   try {
     const { Project } = await import('../models/index.js');
-    const projects = await Project.find({}).lean();
+    const projects = await Project.find(buildProjectAccessFilter(req.user, req.workspace._id, {
+      includeArchived: req.query.includeArchived === 'true'
+    })).lean();
     
     res.setHeader('Content-Type', 'application/json');
     res.setHeader('Content-Disposition', 'attachment; filename="projects-export.json"');
@@ -53,7 +60,9 @@ router.get('/export/projects', async (req, res) => {
 router.get('/export/tasks', async (req, res) => {
   try {
     const { Task } = await import('../models/index.js');
-    const tasks = await Task.find({})
+    const tasks = await Task.find(await buildTaskAccessFilter(req.user, req.workspace._id, 'task:view', {
+      includeArchived: req.query.includeArchived === 'true'
+    }))
       .populate('project', 'name status')
       .lean();
     
@@ -76,7 +85,7 @@ router.get('/export/tasks', async (req, res) => {
 // Search endpoints
 router.get('/search', async (req, res) => {
   try {
-    const { q, type = 'all', limit = 20 } = req.query;
+    const { q, type = 'all', limit = 20, includeArchived } = req.query;
     
     if (!q) {
       return res.status(400).json({
@@ -87,10 +96,12 @@ router.get('/search', async (req, res) => {
     }
 
     const { Task, Project } = await import('../models/index.js');
+    const archiveOptions = { includeArchived: includeArchived === 'true' };
     const results = {};
 
     if (type === 'all' || type === 'tasks') {
       results.tasks = await Task.find({
+        $and: [await buildTaskAccessFilter(req.user, req.workspace._id, 'task:view', archiveOptions)],
         $or: [
           { title: { $regex: q, $options: 'i' } },
           { description: { $regex: q, $options: 'i' } },
@@ -100,10 +111,12 @@ router.get('/search', async (req, res) => {
       .populate('project', 'name color')
       .limit(parseInt(limit))
       .lean();
+      await annotateBlocked(results.tasks);
     }
 
     if (type === 'all' || type === 'projects') {
       results.projects = await Project.find({
+        ...buildProjectAccessFilter(req.user, req.workspace._id, archiveOptions),
         $or: [
           { name: { $regex: q, $options: 'i' } },
           { description: { $regex: q, $options: 'i' } },
@@ -143,12 +156,18 @@ router.get('/filter', async (req, res) => {
       assignee,
       projectId,
       overdue,
+      dueWithin,
       completed,
-      hasNotes
+      hasComments,
+      includeArchived
     } = req.query;
 
-    const { Task } = await import('../models/index.js');
-    let filter = {};
+    const { Task, Comment } = await import('../models/index.js');
+    let filter = {
+      $and: [await buildTaskAccessFilter(req.user, req.workspace._id, 'task:view', {
+        includeArchived: includeArchived === 'true'
+      })]
+    };
 
     // Date range filtering
     if (dateRange) {
@@ -161,7 +180,17 @@ router.get('/filter', async (req, res) => {
     // Status and priority filters
     if (status) filter.status = { $in: status.split(',') };
     if (priority) filter.priority = { $in: priority.split(',') };
-    if (assignee) filter.assignee = { $regex: assignee, $options: 'i' };
+    if (assignee) {
+      const assigneeIds = assignee.split(',');
+      if (!assigneeIds.every(id => mongoose.Types.ObjectId.isValid(id))) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid assignee filter',
+          message: 'assignee must be a comma-separated list of user IDs'
+        });
+      }
+      filter.assignees = { $in: assigneeIds };
+    }
     if (projectId) filter.project = projectId;
 
     // Tag filtering
@@ -170,25 +199,38 @@ router.get('/filter', async (req, res) => {
       filter.tags = { $in: tagList };
     }
 
-    // Special filters
-    if (overdue === 'true') {
-      filter.dueDate = { $lt: new Date() };
-      filter.status = { $nin: ['completed', 'cancelled'] };
+    // Special filters (due dates follow the projects' work calendars)
+    if (overdue === 'true' || dueWithin !== undefined) {
+      const calendars = await loadCalendars(req.workspace, req.timezone);
+      if (overdue === 'true') filter.$and.push(buildOverdueFilter(calendars));
+      if (dueWithin !== undefined) {
+        const days = parseInt(dueWithin);
+        if (!(days >= 0 && days <= 365)) {
+          return res.status(400).json({
+            success: false,
+            error: 'Invalid dueWithin filter',
+            message: 'dueWithin must be a number of working days between 0 and 365'
+          });
+        }
+        filter.$and.push(buildDueWithinFilter(calendars, days));
+      }
     }
 
     if (completed === 'true') {
       filter.status = 'completed';
     }
 
-    if (hasNotes === 'true') {
-      filter['notes.0'] = { $exists: true };
+    if (hasComments === 'true') {
+      filter._id = { $in: await Comment.distinct('task', { workspace: req.workspace._id, deletedAt: null }) };
     }
 
     const results = await Task.find(filter)
       .populate('project', 'name status color')
+      .populate('assignees', 'name email')
       .sort({ createdAt: -1 })
       .limit(100)
       .lean();
+    await annotateBlocked(results);
 
     res.status(200).json({
       success: true,
@@ -200,8 +242,9 @@ router.get('/filter', async (req, res) => {
         assignee,
         projectId,
         overdue,
+        dueWithin,
         completed,
-        hasNotes
+        hasComments
       },
       totalResults: results.length,
       data: results
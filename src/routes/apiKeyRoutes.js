@@ -0,0 +1,28 @@
+import express from 'express';
+import {
+  getMyApiKeys,
+  createApiKey,
+  revokeApiKey
+} from '../controllers/apiKeyController.js';
+import {
+  validateCreateApiKey,
+  validateObjectId
+} from '../middleware/validation.js';
+
+const router = express.Router();
+
+/**
+ * API Key Routes
+ * Personal API keys for scripts and integrations
+ */
+
+// GET /api/api-keys - Get the caller's API keys
+router.get('/', getMyApiKeys);
+
+// POST /api/api-keys - Create a new API key
+router.post('/', validateCreateApiKey, createApiKey);
+
+// DELETE /api/api-keys/:id - Revoke an API key
+router.delete('/:id', validateObjectId, revokeApiKey);
+
+export default router;
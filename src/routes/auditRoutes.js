@@ -0,0 +1,28 @@
+import express from 'express';
+import {
+  getAuditLog,
+  exportAuditLog,
+  verifyAuditLog
+} from '../controllers/auditController.js';
+import { validateAuditQuery } from '../middleware/validation.js';
+import { requireWorkspaceRole } from '../middleware/workspace.js';
+
+const router = express.Router();
+
+/**
+ * Audit Routes
+ * Workspace audit log, readable by workspace owners and admins
+ */
+
+router.use(requireWorkspaceRole('owner', 'admin'));
+
+// GET /api/audit - Get audit log entries with filtering and pagination
+router.get('/', validateAuditQuery, getAuditLog);
+
+// GET /api/audit/export - Export audit log entries as NDJSON
+router.get('/export', validateAuditQuery, exportAuditLog);
+
+// GET /api/audit/verify - Verify the audit log hash chain
+router.get('/verify', verifyAuditLog);
+
+export default router;
@@ -0,0 +1,44 @@
+import express from 'express';
+import {
+  register,
+  login,
+  refresh,
+  logout,
+  getCurrentUser,
+  updateCurrentUser
+} from '../controllers/authController.js';
+import {
+  validateRegister,
+  validateLogin,
+  validateRefreshToken,
+  validateUpdateProfile
+} from '../middleware/validation.js';
+import { protect, requireUserSession } from '../middleware/auth.js';
+import { authRateLimit } from '../middleware/errorHandler.js';
+
+const router = express.Router();
+
+/**
+ * Auth Routes
+ * Account registration and token lifecycle endpoints
+ */
+
+// POST /api/auth/register - Create a new account
+router.post('/register', authRateLimit, validateRegister, register);
+
+// POST /api/auth/login - Exchange credentials for a token pair
+router.post('/login', authRateLimit, validateLogin, login);
+
+// POST /api/auth/refresh - Rotate a refresh token
+router.post('/refresh', validateRefreshToken, refresh);
+
+// POST /api/auth/logout - Revoke a refresh token
+router.post('/logout', validateRefreshToken, logout);
+
+// GET /api/auth/me - Get the authenticated user's profile
+router.get('/me', protect, getCurrentUser);
+
+// PUT /api/auth/me - Update the authenticated user's profile
+router.put('/me', protect, requireUserSession, validateUpdateProfile, updateCurrentUser);
+
+export default router;
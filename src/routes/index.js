@@ -2,6 +2,14 @@ import express from 'express';
 import taskRoutes from './taskRoutes.js';
 import projectRoutes from './projectRoutes.js';
 import advancedRoutes from './advancedRoutes.js';
+import authRoutes from './authRoutes.js';
+import workspaceRoutes from './workspaceRoutes.js';
+import apiKeyRoutes from './apiKeyRoutes.js';
+import auditRoutes from './auditRoutes.js';
+import timeRoutes from './timeRoutes.js';
+import { protect, requireScope, requireUserSession } from '../middleware/auth.js';
+import { resolveWorkspace } from '../middleware/workspace.js';
+import { apiKeyRateLimit } from '../middleware/errorHandler.js';
 
 const router = express.Router();
 
@@ -10,12 +18,23 @@ const router = express.Router();
  * Combines all route modules including advanced features for maximum points
  */
 
-// Core API routes
-router.use('/tasks', taskRoutes);
-router.use('/projects', projectRoutes);
+// Authentication routes (public)
+router.use('/auth', authRoutes);
+
+// Account management (interactive sessions only, never API keys)
+router.use('/workspaces', protect, requireUserSession, workspaceRoutes);
+router.use('/api-keys', protect, requireUserSession, apiKeyRoutes);
+
+// Core API routes (scoped to the caller's active workspace)
+router.use('/tasks', protect, apiKeyRateLimit, requireScope('tasks'), resolveWorkspace, taskRoutes);
+router.use('/projects', protect, apiKeyRateLimit, requireScope('projects'), resolveWorkspace, projectRoutes);
+router.use('/time', protect, apiKeyRateLimit, requireScope('time'), resolveWorkspace, timeRoutes);
 
 // Advanced features routes
-router.use('/advanced', advancedRoutes);
+router.use('/advanced', protect, apiKeyRateLimit, requireScope('advanced'), resolveWorkspace, advancedRoutes);
+
+// Audit log (workspace owners and admins)
+router.use('/audit', protect, apiKeyRateLimit, requireScope('audit'), resolveWorkspace, auditRoutes);
 
 // API info endpoint with enhanced documentation
 router.get('/', (req, res) => {
@@ -32,39 +51,135 @@ router.get('/', (req, res) => {
       'Real-time Search',
       'Performance Metrics',
       'Sample Data Seeding',
-      'Comprehensive Error Handling'
+      'Comprehensive Error Handling',
+      'JWT Authentication'
     ],
+    authentication: {
+      type: 'Bearer JWT or API key',
+      header: 'Authorization: Bearer <accessToken | apiKey> (or X-API-Key: <apiKey>)',
+      note: 'All endpoints except /api/auth/* and this one require an access token or API key',
+      apiKeyScopes: ['read', 'tasks:read', 'tasks:write', 'projects:read', 'projects:write', 'advanced:read', 'advanced:write', 'time:read', 'time:write', 'audit:read']
+    },
+    workspaces: {
+      header: 'X-Workspace-Id: <workspaceId>',
+      note: 'Tasks, projects and advanced endpoints only see data in the active workspace. Without the header, your default workspace is used.'
+    },
+    timezones: {
+      header: 'X-Timezone: <IANA time zone> (or ?tz=)',
+      note: 'Due dates, overdue checks and report days use this time zone, else your own, else the workspace calendar\'s (UTC by default)'
+    },
     documentation: {
+      auth: {
+        'POST /api/auth/register': 'Create an account and receive a token pair',
+        'POST /api/auth/login': 'Exchange email and password for a token pair',
+        'POST /api/auth/refresh': 'Rotate a refresh token into a new token pair',
+        'POST /api/auth/logout': 'Revoke a refresh token (allDevices=true revokes all)',
+        'GET /api/auth/me': 'Get the authenticated user profile',
+        'PUT /api/auth/me': 'Update your name or time zone'
+      },
+      apiKeys: {
+        'GET /api/api-keys': 'List your API keys (includeRevoked=true to show revoked ones)',
+        'POST /api/api-keys': 'Mint a named, scoped API key (plaintext shown once)',
+        'DELETE /api/api-keys/:id': 'Revoke an API key'
+      },
+      workspaces: {
+        'GET /api/workspaces': 'List the workspaces you belong to',
+        'POST /api/workspaces': 'Create a workspace (you become its owner)',
+        'GET /api/workspaces/:id': 'Get a workspace with its members',
+        'PUT /api/workspaces/:id': 'Update a workspace and its work calendar (owner/admin)',
+        'PUT /api/workspaces/:id/default': 'Use a workspace when no X-Workspace-Id header is sent',
+        'POST /api/workspaces/:id/members': 'Add a registered user by email (owner/admin)',
+        'PUT /api/workspaces/:id/members/:userId/capacity': 'Set a member\'s hoursPerWeek and daysOff (yourself, or anyone as owner/admin)',
+        'DELETE /api/workspaces/:id/members/:userId': 'Remove a member or leave a workspace',
+        'GET /api/workspaces/:id/workload': 'Weekly allocation against capacity with reassignment suggestions (owner/admin; from, weeks)'
+      },
       core: {
         tasks: {
           'GET /api/tasks': 'Get all tasks with filtering, pagination, and search',
           'GET /api/tasks/:id': 'Get single task by ID with project details',
           'POST /api/tasks': 'Create new task with validation',
           'PUT /api/tasks/:id': 'Update task with comprehensive validation',
-          'DELETE /api/tasks/:id': 'Delete task with safety checks',
-          'GET /api/tasks/overdue': 'Get overdue tasks with analytics',
-          'POST /api/tasks/:id/notes': 'Add timestamped notes to tasks'
+          'DELETE /api/tasks/:id': 'Move a task and its subtasks to the trash',
+          'GET /api/tasks/trash': 'List deleted tasks with their purge dates',
+          'POST /api/tasks/:id/restore': 'Restore a task and the subtasks deleted with it',
+          'GET /api/tasks/overdue': 'Get overdue tasks with working days overdue under their calendars',
+          'GET /api/tasks/:id/subtasks': 'Get a task\'s subtree with rolled-up progress',
+          'GET /api/tasks/:id/dependencies': 'Get the graph of tasks it waits for and that wait for it',
+          'POST /api/tasks/:id/dependencies': 'Make a task wait for another task (cycles are rejected)',
+          'DELETE /api/tasks/:id/dependencies/:dependencyId': 'Remove a dependency',
+          'GET /api/tasks/:id/history': 'Get status, priority, assignee and project changes with time in status',
+          'GET /api/tasks/:id/comments': 'Get a task\'s top-level comments with reply counts',
+          'POST /api/tasks/:id/comments': 'Comment on a task or reply to a comment, with @email mentions',
+          'GET /api/tasks/:id/comments/:commentId': 'Get a comment with its edit history',
+          'GET /api/tasks/:id/comments/:commentId/replies': 'Get the replies in a comment thread',
+          'PUT /api/tasks/:id/comments/:commentId': 'Edit a comment (author only)',
+          'DELETE /api/tasks/:id/comments/:commentId': 'Delete a comment (author or maintainer+)',
+          'GET /api/tasks/:id/attachments': 'List a task\'s attachments',
+          'POST /api/tasks/:id/attachments': 'Upload files to a task (multipart/form-data, field "files")',
+          'GET /api/tasks/:id/attachments/:attachmentId': 'Download an attachment',
+          'DELETE /api/tasks/:id/attachments/:attachmentId': 'Remove an attachment and its file',
+          'POST /api/tasks/:id/assignees': 'Assign users to a task',
+          'DELETE /api/tasks/:id/assignees/:userId': 'Remove a user from a task'
         },
         projects: {
           'GET /api/projects': 'Get all projects with task statistics',
           'GET /api/projects/:id': 'Get single project with optional task details',
           'POST /api/projects': 'Create new project with validation',
           'PUT /api/projects/:id': 'Update project with business logic',
-          'DELETE /api/projects/:id': 'Delete project with cascade options',
+          'DELETE /api/projects/:id': 'Move a project (and optionally its tasks) to the trash',
+          'GET /api/projects/trash': 'List deleted projects with their purge dates',
+          'POST /api/projects/:id/restore': 'Restore a project (restoreTasks=true brings back its deleted tasks)',
+          'POST /api/projects/:id/archive': 'Archive a project, making it and its tasks read-only (maintainer+)',
+          'POST /api/projects/:id/unarchive': 'Unarchive a project',
           'GET /api/projects/:id/tasks': 'Get all tasks for specific project',
-          'GET /api/projects/stats': 'Get comprehensive project statistics'
+          'GET /api/projects/stats': 'Get comprehensive project statistics',
+          'GET /api/projects/:id/timesheet': 'Get a project\'s weekly timesheet, one row per user (week=date)',
+          'GET /api/projects/:id/burndown': 'Get daily burndown/burnup data from task snapshots (unit=count|hours, sprint, from, to)',
+          'GET /api/projects/:id/forecast': 'Forecast delivery dates with a Monte Carlo simulation of past throughput (historyDays, trials)',
+          'GET /api/projects/:id/timeline': 'Gantt schedule of open tasks with critical path, slack and late tasks (hoursPerDay)',
+          'GET /api/projects/:id/sprints': 'List a project\'s sprints with task counts (status filter)',
+          'POST /api/projects/:id/sprints': 'Plan a sprint (maintainer+, two weeks unless endDate is given)',
+          'GET /api/projects/:id/sprints/velocity': 'Get committed and completed work of the last completed sprints',
+          'GET /api/projects/:id/sprints/:sprintId': 'Get a sprint with its tasks',
+          'PUT /api/projects/:id/sprints/:sprintId': 'Update a sprint\'s name, goal or dates',
+          'DELETE /api/projects/:id/sprints/:sprintId': 'Delete a sprint that is not active (its tasks go to the backlog)',
+          'POST /api/projects/:id/sprints/:sprintId/start': 'Start a sprint, recording its committed tasks',
+          'POST /api/projects/:id/sprints/:sprintId/complete': 'Complete the active sprint, carrying unfinished tasks over (carryOverTo)',
+          'GET /api/projects/:id/sprints/:sprintId/summary': 'Get committed vs completed work, scope changes and carry-over',
+          'GET /api/projects/:id/workflow': 'Get the task statuses, transitions and required fields of a project',
+          'PUT /api/projects/:id/workflow': 'Define a custom task workflow (maintainer+)',
+          'DELETE /api/projects/:id/workflow': 'Reset a project to the default workflow',
+          'GET /api/projects/:id/members': 'List project members and roles',
+          'POST /api/projects/:id/members': 'Add a member (maintainer+, owners only for owner role)',
+          'PUT /api/projects/:id/members/:userId': 'Change a member role or hourly rate',
+          'DELETE /api/projects/:id/members/:userId': 'Remove a member or leave a project'
         }
       },
+      time: {
+        'GET /api/time/entries': 'List time entries (filters: user, task, project, from, to, billable) with totals',
+        'POST /api/time/entries': 'Log time on a task (endedAt or hours)',
+        'PUT /api/time/entries/:id': 'Edit a time entry (own entries, or any as maintainer+)',
+        'DELETE /api/time/entries/:id': 'Delete a time entry',
+        'GET /api/time/timer': 'Get your running timer',
+        'POST /api/time/timer/start': 'Start a timer on a task (one at a time)',
+        'POST /api/time/timer/stop': 'Stop your running timer',
+        'GET /api/time/timesheet': 'Get a weekly timesheet, one row per task (week=date, user=id)'
+      },
+      audit: {
+        'GET /api/audit': 'List audit log entries (filters: actor, entityType, entityId, action, from, to)',
+        'GET /api/audit/export': 'Export audit log entries as NDJSON',
+        'GET /api/audit/verify': 'Check the audit log hash chain for tampering'
+      },
       advanced: {
         dashboard: {
           'GET /api/advanced/dashboard': 'Complete dashboard with analytics and metrics',
-          'GET /api/advanced/dashboard/reports/:type': 'Generate custom reports (productivity, performance, time-tracking)',
+          'GET /api/advanced/dashboard/reports/:type': 'Generate custom reports (productivity, performance, time-tracking, cycle-time, flow-metrics, cumulative-flow, invoice; format=csv; filters: project, assignee, priority, tag)',
           'POST /api/advanced/dashboard/bulk-update': 'Bulk operations on multiple tasks'
         },
         data: {
-          'POST /api/advanced/seed': 'Seed database with realistic sample data',
-          'POST /api/advanced/seed/force': 'Force reseed database (replaces all data)',
-          'DELETE /api/advanced/clear': 'Clear all database data (dev only)'
+          'POST /api/advanced/seed': 'Seed the active workspace with realistic sample data (owner/admin)',
+          'POST /api/advanced/seed/force': 'Force reseed the active workspace (owner/admin, replaces its data)',
+          'DELETE /api/advanced/clear': 'Clear all data in the active workspace (owner/admin, dev only)'
         },
         utilities: {
           'GET /api/advanced/search?q=term': 'Global search across tasks and projects',
@@ -78,9 +193,10 @@ router.get('/', (req, res) => {
       pagination: ['page', 'limit'],
       sorting: ['sortBy', 'sortOrder'],
       filtering: {
-        tasks: ['status', 'priority', 'project', 'assignee', 'overdue'],
-        projects: ['status', 'priority', 'includeTasks'],
-        advanced: ['dateRange', 'tags', 'hasNotes', 'completed']
+        tasks: ['status', 'priority', 'project', 'assignee', 'sprint', 'overdue', 'dueWithin', 'includeArchived'],
+        projects: ['status', 'priority', 'includeTasks', 'includeArchived'],
+        advanced: ['dateRange', 'tags', 'hasComments', 'completed', 'overdue', 'dueWithin'],
+        reports: ['startDate', 'endDate', 'format', 'project', 'assignee', 'priority', 'tag', 'includeArchived']
       },
       search: ['q', 'type']
     },
@@ -89,9 +205,15 @@ router.get('/', (req, res) => {
       projects: ['planning', 'in-progress', 'completed', 'on-hold', 'cancelled']
     },
     priorities: ['low', 'medium', 'high', 'urgent'],
+    projectRoles: {
+      viewer: 'Read the project and its tasks',
+      member: 'Create, edit, assign and delete tasks',
+      maintainer: 'Edit, archive and delete the project, manage members and sprints',
+      owner: 'Everything, including deleteTasks=true and managing owners'
+    },
     supportedOperations: {
       bulk: ['update-status', 'update-priority', 'assign-project', 'delete'],
-      reports: ['productivity', 'project-performance', 'time-tracking'],
+      reports: ['productivity', 'project-performance', 'time-tracking', 'cycle-time', 'flow-metrics', 'cumulative-flow', 'invoice'],
       exports: ['json', 'csv']
     }
   });
@@ -5,14 +5,52 @@ import {
   createProject,
   updateProject,
   deleteProject,
+  getProjectTrash,
+  restoreProject,
+  setProjectArchived,
   getProjectTasks,
-  getProjectStats
+  getProjectStats,
+  getProjectBurndown,
+  getProjectForecast,
+  getProjectTimeline,
+  getProjectWorkflow,
+  updateProjectWorkflow,
+  getProjectMembers,
+  addProjectMember,
+  updateProjectMember,
+  removeProjectMember
 } from '../controllers/projectController.js';
+import { getProjectTimesheet } from '../controllers/timeController.js';
+import {
+  getProjectSprints,
+  getSprint,
+  createSprint,
+  updateSprint,
+  deleteSprint,
+  startSprint,
+  completeSprint,
+  getSprintSummaryReport,
+  getProjectVelocity
+} from '../controllers/sprintController.js';
 import {
   validateCreateProject,
   validateUpdateProject,
   validateObjectId,
-  validateProjectQuery
+  validateProjectQuery,
+  validatePagination,
+  validateRestoreProject,
+  validateAddMember,
+  validateUpdateMember,
+  validateTimesheetQuery,
+  validateCreateSprint,
+  validateUpdateSprint,
+  validateCompleteSprint,
+  validateSprintId,
+  validateSprintQuery,
+  validateVelocityQuery,
+  validateBurndownQuery,
+  validateForecastQuery,
+  validateTimelineQuery
 } from '../middleware/validation.js';
 
 const router = express.Router();
@@ -25,6 +63,9 @@ const router = express.Router();
 // GET /api/projects/stats - Get project statistics (must come before /:id route)
 router.get('/stats', getProjectStats);
 
+// GET /api/projects/trash - Get deleted projects (must come before /:id route)
+router.get('/trash', validatePagination, getProjectTrash);
+
 // GET /api/projects - Get all projects with filtering, sorting, and pagination
 router.get('/', validateProjectQuery, getAllProjects);
 
@@ -37,10 +78,79 @@ router.post('/', validateCreateProject, createProject);
 // PUT /api/projects/:id - Update project by ID
 router.put('/:id', validateObjectId, validateUpdateProject, updateProject);
 
-// DELETE /api/projects/:id - Delete project by ID
+// DELETE /api/projects/:id - Move project to the trash
 router.delete('/:id', validateObjectId, deleteProject);
 
+// POST /api/projects/:id/restore - Restore project from the trash
+router.post('/:id/restore', validateObjectId, validateRestoreProject, restoreProject);
+
+// POST /api/projects/:id/archive - Archive a project (read-only, hidden from listings)
+router.post('/:id/archive', validateObjectId, setProjectArchived);
+
+// POST /api/projects/:id/unarchive - Unarchive a project
+router.post('/:id/unarchive', validateObjectId, setProjectArchived);
+
 // GET /api/projects/:id/tasks - Get all tasks for a specific project
 router.get('/:id/tasks', validateObjectId, getProjectTasks);
 
+// GET /api/projects/:id/timesheet - Get the project's weekly timesheet
+router.get('/:id/timesheet', validateObjectId, validateTimesheetQuery, getProjectTimesheet);
+
+// GET /api/projects/:id/burndown - Get daily burndown and burnup data
+router.get('/:id/burndown', validateObjectId, validateBurndownQuery, getProjectBurndown);
+
+// GET /api/projects/:id/forecast - Forecast delivery dates from past throughput
+router.get('/:id/forecast', validateObjectId, validateForecastQuery, getProjectForecast);
+
+// GET /api/projects/:id/timeline - Get the Gantt schedule with the critical path
+router.get('/:id/timeline', validateObjectId, validateTimelineQuery, getProjectTimeline);
+
+// GET /api/projects/:id/sprints - Get the project's sprints
+router.get('/:id/sprints', validateObjectId, validateSprintQuery, getProjectSprints);
+
+// POST /api/projects/:id/sprints - Plan a sprint
+router.post('/:id/sprints', validateObjectId, validateCreateSprint, createSprint);
+
+// GET /api/projects/:id/sprints/velocity - Get velocity across past sprints (must come before /:sprintId)
+router.get('/:id/sprints/velocity', validateObjectId, validateVelocityQuery, getProjectVelocity);
+
+// GET /api/projects/:id/sprints/:sprintId - Get a sprint with its tasks
+router.get('/:id/sprints/:sprintId', validateObjectId, validateSprintId, getSprint);
+
+// PUT /api/projects/:id/sprints/:sprintId - Update a sprint
+router.put('/:id/sprints/:sprintId', validateObjectId, validateSprintId, validateUpdateSprint, updateSprint);
+
+// DELETE /api/projects/:id/sprints/:sprintId - Delete a sprint
+router.delete('/:id/sprints/:sprintId', validateObjectId, validateSprintId, deleteSprint);
+
+// POST /api/projects/:id/sprints/:sprintId/start - Start a planned sprint
+router.post('/:id/sprints/:sprintId/start', validateObjectId, validateSprintId, startSprint);
+
+// POST /api/projects/:id/sprints/:sprintId/complete - Complete the active sprint
+router.post('/:id/sprints/:sprintId/complete', validateObjectId, validateSprintId, validateCompleteSprint, completeSprint);
+
+// GET /api/projects/:id/sprints/:sprintId/summary - Get a sprint's committed vs completed work
+router.get('/:id/sprints/:sprintId/summary', validateObjectId, validateSprintId, getSprintSummaryReport);
+
+// GET /api/projects/:id/workflow - Get the project's task workflow
+router.get('/:id/workflow', validateObjectId, getProjectWorkflow);
+
+// PUT /api/projects/:id/workflow - Replace the project's task workflow
+router.put('/:id/workflow', validateObjectId, updateProjectWorkflow);
+
+// DELETE /api/projects/:id/workflow - Reset the project to the default workflow
+router.delete('/:id/workflow', validateObjectId, updateProjectWorkflow);
+
+// GET /api/projects/:id/members - Get project members
+router.get('/:id/members', validateObjectId, getProjectMembers);
+
+// POST /api/projects/:id/members - Add a member to a project
+router.post('/:id/members', validateObjectId, validateAddMember, addProjectMember);
+
+// PUT /api/projects/:id/members/:userId - Change a member's role or hourly rate
+router.put('/:id/members/:userId', validateObjectId, validateUpdateMember, updateProjectMember);
+
+// DELETE /api/projects/:id/members/:userId - Remove a member from a project
+router.delete('/:id/members/:userId', validateObjectId, removeProjectMember);
+
 export default router;
\ No newline at end of file
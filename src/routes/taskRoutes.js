@@ -5,14 +5,44 @@ import {
   createTask,
   updateTask,
   deleteTask,
+  getTaskTrash,
+  restoreTask,
   getOverdueTasks,
-  addTaskNote
+  getSubtasks,
+  getTaskDependencies,
+  addTaskDependency,
+  removeTaskDependency,
+  getTaskHistory,
+  assignTask,
+  unassignTask
 } from '../controllers/taskController.js';
+import {
+  getTaskComments,
+  getTaskComment,
+  getCommentReplies,
+  addTaskComment,
+  updateTaskComment,
+  deleteTaskComment
+} from '../controllers/commentController.js';
+import {
+  getTaskAttachments,
+  uploadTaskAttachments,
+  downloadTaskAttachment,
+  deleteTaskAttachment
+} from '../controllers/attachmentController.js';
 import {
   validateCreateTask,
   validateUpdateTask,
   validateObjectId,
-  validateTaskQuery
+  validatePagination,
+  validateTaskQuery,
+  validateAssignees,
+  validateDependency,
+  validateDependencyId,
+  validateHistoryQuery,
+  validateComment,
+  validateCommentId,
+  validateAttachmentId
 } from '../middleware/validation.js';
 
 const router = express.Router();
@@ -28,6 +58,9 @@ router.get('/', validateTaskQuery, getAllTasks);
 // GET /api/tasks/overdue - Get overdue tasks (must come before /:id route)
 router.get('/overdue', getOverdueTasks);
 
+// GET /api/tasks/trash - Get deleted tasks (must come before /:id route)
+router.get('/trash', validatePagination, getTaskTrash);
+
 // GET /api/tasks/:id - Get single task by ID
 router.get('/:id', validateObjectId, getTaskById);
 
@@ -37,10 +70,61 @@ router.post('/', validateCreateTask, createTask);
 // PUT /api/tasks/:id - Update task by ID
 router.put('/:id', validateObjectId, validateUpdateTask, updateTask);
 
-// DELETE /api/tasks/:id - Delete task by ID
+// DELETE /api/tasks/:id - Move task to the trash
 router.delete('/:id', validateObjectId, deleteTask);
 
-// POST /api/tasks/:id/notes - Add note to task
-router.post('/:id/notes', validateObjectId, addTaskNote);
+// POST /api/tasks/:id/restore - Restore task from the trash
+router.post('/:id/restore', validateObjectId, restoreTask);
+
+// GET /api/tasks/:id/subtasks - Get a task's subtree
+router.get('/:id/subtasks', validateObjectId, getSubtasks);
+
+// GET /api/tasks/:id/dependencies - Get a task's dependency graph
+router.get('/:id/dependencies', validateObjectId, getTaskDependencies);
+
+// POST /api/tasks/:id/dependencies - Make a task wait for another task
+router.post('/:id/dependencies', validateObjectId, validateDependency, addTaskDependency);
+
+// DELETE /api/tasks/:id/dependencies/:dependencyId - Remove a dependency
+router.delete('/:id/dependencies/:dependencyId', validateObjectId, validateDependencyId, removeTaskDependency);
+
+// GET /api/tasks/:id/history - Get a task's change history
+router.get('/:id/history', validateObjectId, validateHistoryQuery, getTaskHistory);
+
+// GET /api/tasks/:id/comments - Get a task's top-level comments
+router.get('/:id/comments', validateObjectId, validatePagination, getTaskComments);
+
+// POST /api/tasks/:id/comments - Comment on a task or reply to a comment
+router.post('/:id/comments', validateObjectId, validateComment, addTaskComment);
+
+// GET /api/tasks/:id/comments/:commentId - Get a comment with its edit history
+router.get('/:id/comments/:commentId', validateObjectId, validateCommentId, getTaskComment);
+
+// GET /api/tasks/:id/comments/:commentId/replies - Get the replies in a comment thread
+router.get('/:id/comments/:commentId/replies', validateObjectId, validateCommentId, validatePagination, getCommentReplies);
+
+// PUT /api/tasks/:id/comments/:commentId - Edit a comment
+router.put('/:id/comments/:commentId', validateObjectId, validateCommentId, validateComment, updateTaskComment);
+
+// DELETE /api/tasks/:id/comments/:commentId - Delete a comment
+router.delete('/:id/comments/:commentId', validateObjectId, validateCommentId, deleteTaskComment);
+
+// GET /api/tasks/:id/attachments - List a task's attachments
+router.get('/:id/attachments', validateObjectId, getTaskAttachments);
+
+// POST /api/tasks/:id/attachments - Upload files to a task (multipart/form-data)
+router.post('/:id/attachments', validateObjectId, uploadTaskAttachments);
+
+// GET /api/tasks/:id/attachments/:attachmentId - Download an attachment
+router.get('/:id/attachments/:attachmentId', validateObjectId, validateAttachmentId, downloadTaskAttachment);
+
+// DELETE /api/tasks/:id/attachments/:attachmentId - Remove an attachment
+router.delete('/:id/attachments/:attachmentId', validateObjectId, validateAttachmentId, deleteTaskAttachment);
+
+// POST /api/tasks/:id/assignees - Assign users to task
+router.post('/:id/assignees', validateObjectId, validateAssignees, assignTask);
+
+// DELETE /api/tasks/:id/assignees/:userId - Remove user from task
+router.delete('/:id/assignees/:userId', validateObjectId, unassignTask);
 
 export default router;
\ No newline at end of file
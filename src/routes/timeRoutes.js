@@ -0,0 +1,52 @@
+import express from 'express';
+import {
+  getTimeEntries,
+  createTimeEntry,
+  updateTimeEntry,
+  deleteTimeEntry,
+  getRunningTimer,
+  startTimer,
+  stopTimer,
+  getUserTimesheet
+} from '../controllers/timeController.js';
+import {
+  validateObjectId,
+  validateCreateTimeEntry,
+  validateUpdateTimeEntry,
+  validateStartTimer,
+  validateTimeEntryQuery,
+  validateTimesheetQuery
+} from '../middleware/validation.js';
+
+const router = express.Router();
+
+/**
+ * Time Routes
+ * Time entries, timers and timesheets
+ */
+
+// GET /api/time/entries - Get time entries with filtering and pagination
+router.get('/entries', validateTimeEntryQuery, getTimeEntries);
+
+// POST /api/time/entries - Log time on a task
+router.post('/entries', validateCreateTimeEntry, createTimeEntry);
+
+// PUT /api/time/entries/:id - Update a time entry
+router.put('/entries/:id', validateObjectId, validateUpdateTimeEntry, updateTimeEntry);
+
+// DELETE /api/time/entries/:id - Delete a time entry
+router.delete('/entries/:id', validateObjectId, deleteTimeEntry);
+
+// GET /api/time/timer - Get the running timer
+router.get('/timer', getRunningTimer);
+
+// POST /api/time/timer/start - Start a timer on a task
+router.post('/timer/start', validateStartTimer, startTimer);
+
+// POST /api/time/timer/stop - Stop the running timer
+router.post('/timer/stop', stopTimer);
+
+// GET /api/time/timesheet - Get a user's weekly timesheet
+router.get('/timesheet', validateTimesheetQuery, getUserTimesheet);
+
+export default router;
@@ -0,0 +1,56 @@
+import express from 'express';
+import {
+  getMyWorkspaces,
+  getWorkspaceById,
+  createWorkspace,
+  updateWorkspace,
+  setDefaultWorkspace,
+  addWorkspaceMember,
+  updateMemberCapacity,
+  removeWorkspaceMember,
+  getWorkspaceWorkload
+} from '../controllers/workspaceController.js';
+import {
+  validateCreateWorkspace,
+  validateUpdateWorkspace,
+  validateAddWorkspaceMember,
+  validateMemberCapacity,
+  validateWorkloadQuery,
+  validateObjectId
+} from '../middleware/validation.js';
+
+const router = express.Router();
+
+/**
+ * Workspace Routes
+ * Endpoints for workspaces and workspace membership
+ */
+
+// GET /api/workspaces - Get the caller's workspaces
+router.get('/', getMyWorkspaces);
+
+// POST /api/workspaces - Create new workspace
+router.post('/', validateCreateWorkspace, createWorkspace);
+
+// GET /api/workspaces/:id - Get single workspace by ID
+router.get('/:id', validateObjectId, getWorkspaceById);
+
+// PUT /api/workspaces/:id - Update workspace
+router.put('/:id', validateObjectId, validateUpdateWorkspace, updateWorkspace);
+
+// PUT /api/workspaces/:id/default - Make a workspace the caller's default
+router.put('/:id/default', validateObjectId, setDefaultWorkspace);
+
+// POST /api/workspaces/:id/members - Add a member by email
+router.post('/:id/members', validateObjectId, validateAddWorkspaceMember, addWorkspaceMember);
+
+// PUT /api/workspaces/:id/members/:userId/capacity - Set a member's weekly hours and days off
+router.put('/:id/members/:userId/capacity', validateObjectId, validateMemberCapacity, updateMemberCapacity);
+
+// DELETE /api/workspaces/:id/members/:userId - Remove a member or leave a workspace
+router.delete('/:id/members/:userId', validateObjectId, removeWorkspaceMember);
+
+// GET /api/workspaces/:id/workload - Weekly allocation against capacity, with reassignment suggestions
+router.get('/:id/workload', validateObjectId, validateWorkloadQuery, getWorkspaceWorkload);
+
+export default router;
@@ -0,0 +1,71 @@
+import { Project, User } from '../models/index.js';
+import { connectDB, disconnectDB } from '../config/database.js';
+
+/**
+ * Project Member Backfill
+ * Projects created before role-based access control have no members and are
+ * therefore invisible to everyone. This makes their creator (or, when the
+ * creator is unknown, the user given with --owner) the owner.
+ *
+ * Usage:
+ *   npm run migrate:project-members -- [--owner someone@example.com]
+ */
+
+/**
+ * Give every member-less project an owner
+ */
+export const backfillProjectMembers = async ({ ownerEmail = null } = {}) => {
+  const fallbackOwner = ownerEmail ? await User.findOne({ email: ownerEmail.toLowerCase() }) : null;
+  if (ownerEmail && !fallbackOwner) {
+    throw new Error(`No user with email ${ownerEmail}`);
+  }
+
+  const projects = await Project.find({ 'members.0': { $exists: false } }).select('createdBy');
+  const summary = { updated: 0, skipped: 0 };
+
+  for (const project of projects) {
+    const ownerId = project.createdBy || fallbackOwner?._id;
+    if (!ownerId) {
+      summary.skipped++;
+      continue;
+    }
+
+    await Project.updateOne(
+      { _id: project._id },
+      { $set: { members: [{ user: ownerId, role: 'owner', addedBy: ownerId }] } }
+    );
+    summary.updated++;
+  }
+
+  return summary;
+};
+
+/**
+ * Standalone migration script (can be run directly)
+ */
+export const runProjectMemberBackfill = async () => {
+  try {
+    const ownerIndex = process.argv.indexOf('--owner');
+    const ownerEmail = ownerIndex !== -1 ? process.argv[ownerIndex + 1] : null;
+
+    await connectDB();
+    console.log('🔄 Backfilling project members...');
+
+    const summary = await backfillProjectMembers({ ownerEmail });
+    console.log(`✅ Gave ${summary.updated} projects an owner`);
+    if (summary.skipped > 0) {
+      console.log(`⚠️  ${summary.skipped} projects have no creator; rerun with --owner <email>`);
+    }
+
+    await disconnectDB();
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+    process.exit(1);
+  }
+};
+
+// If this file is run directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runProjectMemberBackfill();
+}
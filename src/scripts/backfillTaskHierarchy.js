@@ -0,0 +1,54 @@
+import { Task } from '../models/index.js';
+import { connectDB, disconnectDB } from '../config/database.js';
+
+/**
+ * Task Hierarchy Backfill
+ * Tasks created before subtasks existed have no parent, ancestors or
+ * progress. They are all top-level tasks without subtasks, so their progress
+ * simply follows their status.
+ *
+ * Usage:
+ *   npm run migrate:task-hierarchy
+ */
+
+/**
+ * Give every pre-hierarchy task an empty path and a status-based progress
+ */
+export const backfillTaskHierarchy = async () => {
+  const legacy = { progress: { $exists: false } };
+
+  const completed = await Task.updateMany(
+    { ...legacy, status: 'completed' },
+    { $set: { parent: null, ancestors: [], progress: 100 } }
+  );
+  const open = await Task.updateMany(
+    legacy,
+    { $set: { parent: null, ancestors: [], progress: 0 } }
+  );
+
+  return { updated: completed.modifiedCount + open.modifiedCount };
+};
+
+/**
+ * Standalone migration script (can be run directly)
+ */
+export const runTaskHierarchyBackfill = async () => {
+  try {
+    await connectDB();
+    console.log('🔄 Backfilling task hierarchy fields...');
+
+    const summary = await backfillTaskHierarchy();
+    console.log(`✅ Updated ${summary.updated} tasks`);
+
+    await disconnectDB();
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+    process.exit(1);
+  }
+};
+
+// If this file is run directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runTaskHierarchyBackfill();
+}
@@ -0,0 +1,68 @@
+import { Task, TaskHistory } from '../models/index.js';
+import { connectDB, disconnectDB } from '../config/database.js';
+import { buildInitialHistory } from '../utils/taskHistory.js';
+
+/**
+ * Task History Backfill
+ * Tasks created before history was recorded have no history entries, so
+ * they would be missing from lead and cycle time analytics. Each one gets
+ * entries for its current values at its creation time and, when completed,
+ * a completion entry at its completedDate. Their cycle time stays unknown.
+ *
+ * Usage:
+ *   npm run migrate:task-history
+ */
+
+const BATCH_SIZE = 500;
+
+/**
+ * Create initial history entries for every task that has none
+ */
+export const backfillTaskHistory = async () => {
+  const tracked = await TaskHistory.distinct('task');
+  const cursor = Task.find({ _id: { $nin: tracked } })
+    .select('workspace status priority project assignees completedDate createdAt')
+    .lean()
+    .cursor();
+
+  let tasks = 0;
+  let batch = [];
+  for await (const task of cursor) {
+    batch.push(...buildInitialHistory(task));
+    tasks++;
+
+    if (batch.length >= BATCH_SIZE) {
+      await TaskHistory.insertMany(batch);
+      batch = [];
+    }
+  }
+  if (batch.length > 0) {
+    await TaskHistory.insertMany(batch);
+  }
+
+  return { tasks };
+};
+
+/**
+ * Standalone migration script (can be run directly)
+ */
+export const runTaskHistoryBackfill = async () => {
+  try {
+    await connectDB();
+    console.log('🔄 Backfilling task history...');
+
+    const summary = await backfillTaskHistory();
+    console.log(`✅ Recorded history for ${summary.tasks} tasks`);
+
+    await disconnectDB();
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+    process.exit(1);
+  }
+};
+
+// If this file is run directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runTaskHistoryBackfill();
+}
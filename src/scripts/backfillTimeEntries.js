@@ -0,0 +1,77 @@
+import { Task, TimeEntry } from '../models/index.js';
+import { connectDB, disconnectDB } from '../config/database.js';
+
+/**
+ * Time Entry Backfill
+ * actualHours used to be typed in by hand; it is now the sum of a task's
+ * time entries. Tasks with hand-entered hours and no entries get a single
+ * entry for those hours, credited to the first assignee (or the creator)
+ * and ending when the task was completed or last updated. Tasks with
+ * neither keep their hours until someone logs time on them.
+ *
+ * Usage:
+ *   npm run migrate:time-entries
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Create entries for the hand-entered hours of tasks without time entries
+ */
+export const backfillTimeEntries = async () => {
+  const tracked = await TimeEntry.distinct('task');
+  const cursor = Task.find({ _id: { $nin: tracked }, actualHours: { $gt: 0 } })
+    .setOptions({ withDeleted: true })
+    .select('workspace assignees createdBy actualHours completedDate updatedAt')
+    .lean()
+    .cursor();
+
+  const summary = { tasks: 0, skipped: 0 };
+  for await (const task of cursor) {
+    const user = task.assignees?.[0] || task.createdBy;
+    if (!user) {
+      summary.skipped++;
+      continue;
+    }
+
+    const endedAt = new Date(task.completedDate || task.updatedAt);
+    await TimeEntry.create({
+      workspace: task.workspace,
+      task: task._id,
+      user,
+      startedAt: new Date(endedAt.getTime() - task.actualHours * HOUR_MS),
+      endedAt,
+      note: 'Imported from hand-entered actual hours'
+    });
+    summary.tasks++;
+  }
+
+  return summary;
+};
+
+/**
+ * Standalone migration script (can be run directly)
+ */
+export const runTimeEntryBackfill = async () => {
+  try {
+    await connectDB();
+    console.log('🔄 Backfilling time entries...');
+
+    const summary = await backfillTimeEntries();
+    console.log(`✅ Created time entries for ${summary.tasks} tasks`);
+    if (summary.skipped > 0) {
+      console.log(`   • ${summary.skipped} tasks have no assignee or creator to credit and were left as they are`);
+    }
+
+    await disconnectDB();
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+    process.exit(1);
+  }
+};
+
+// If this file is run directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runTimeEntryBackfill();
+}
@@ -0,0 +1,121 @@
+import { Project, Task, User, Workspace } from '../models/index.js';
+import { connectDB, disconnectDB } from '../config/database.js';
+
+/**
+ * Workspace Backfill
+ * Data created before workspaces existed has no workspace and is invisible.
+ * This gives every user a personal workspace, moves each project into the
+ * default workspace of its owner (adding its members to that workspace) and
+ * moves each task into its project's workspace, or its creator's.
+ *
+ * Run after `npm run migrate:project-members`.
+ *
+ * Usage:
+ *   npm run migrate:workspaces
+ */
+
+/**
+ * Make sure a user has a default workspace and return its ID
+ */
+const ensureDefaultWorkspace = async (userId, cache) => {
+  const key = userId.toString();
+  if (cache.has(key)) return cache.get(key);
+
+  const user = await User.findById(userId);
+  if (!user) return null;
+
+  let workspaceId = user.defaultWorkspace;
+  if (!workspaceId) {
+    const existing = await Workspace.findOne({ 'members.user': user._id }).sort({ createdAt: 1 });
+    workspaceId = existing ? existing._id : (await Workspace.createPersonal(user))._id;
+    user.defaultWorkspace = workspaceId;
+    await user.save();
+  }
+
+  cache.set(key, workspaceId);
+  return workspaceId;
+};
+
+/**
+ * Assign a workspace to every project and task that lacks one
+ */
+export const backfillWorkspaces = async () => {
+  const cache = new Map();
+  const summary = { users: 0, projects: 0, tasks: 0, skippedProjects: 0, skippedTasks: 0 };
+
+  for await (const user of User.find({}).select('_id').cursor()) {
+    await ensureDefaultWorkspace(user._id, cache);
+    summary.users++;
+  }
+
+  for await (const project of Project.find({ workspace: null }).cursor()) {
+    const owner = project.members.find(m => m.role === 'owner');
+    const ownerId = owner?.user || project.createdBy;
+    const workspaceId = ownerId && await ensureDefaultWorkspace(ownerId, cache);
+
+    if (!workspaceId) {
+      summary.skippedProjects++;
+      continue;
+    }
+
+    // Project members need access to the workspace the project moves into
+    const workspace = await Workspace.findById(workspaceId);
+    project.members.forEach(member => {
+      if (!workspace.getMemberRole(member.user)) {
+        workspace.members.push({ user: member.user, role: 'member' });
+      }
+    });
+    await workspace.save();
+
+    await Project.updateOne({ _id: project._id }, { $set: { workspace: workspaceId } });
+    summary.projects++;
+  }
+
+  for await (const task of Task.find({ workspace: null }).select('project createdBy').cursor()) {
+    let workspaceId = null;
+    if (task.project) {
+      const project = await Project.findById(task.project).select('workspace').lean();
+      workspaceId = project?.workspace;
+    }
+    if (!workspaceId && task.createdBy) {
+      workspaceId = await ensureDefaultWorkspace(task.createdBy, cache);
+    }
+
+    if (!workspaceId) {
+      summary.skippedTasks++;
+      continue;
+    }
+
+    await Task.updateOne({ _id: task._id }, { $set: { workspace: workspaceId } });
+    summary.tasks++;
+  }
+
+  return summary;
+};
+
+/**
+ * Standalone migration script (can be run directly)
+ */
+export const runWorkspaceBackfill = async () => {
+  try {
+    await connectDB();
+    console.log('🔄 Backfilling workspaces...');
+
+    const summary = await backfillWorkspaces();
+    console.log(`✅ Checked ${summary.users} users, moved ${summary.projects} projects and ${summary.tasks} tasks`);
+    if (summary.skippedProjects > 0 || summary.skippedTasks > 0) {
+      console.log(`⚠️  Skipped ${summary.skippedProjects} projects and ${summary.skippedTasks} tasks without a known owner`);
+    }
+
+    await disconnectDB();
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+    process.exit(1);
+  }
+};
+
+// If this file is run directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runWorkspaceBackfill();
+}
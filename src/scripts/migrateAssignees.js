@@ -0,0 +1,129 @@
+import fs from 'fs';
+import { Task, User } from '../models/index.js';
+import { connectDB, disconnectDB } from '../config/database.js';
+
+/**
+ * Assignee Migration
+ * Converts the legacy free-text `assignee` string on tasks into `assignees`
+ * user references.
+ *
+ * Names are matched case-insensitively against user names and emails, so
+ * "Alice" and "alice" resolve to the same account. Values that don't match
+ * a user directly (e.g. "A. Smith") can be mapped with a JSON file:
+ *
+ *   { "A. Smith": "alice.smith@example.com" }
+ *
+ * Usage:
+ *   npm run migrate:assignees -- [--map mapping.json] [--dry-run]
+ *
+ * Unmatched values are moved to `legacyAssignee` so nothing is lost.
+ */
+
+const normalize = (value) => value.trim().toLowerCase();
+
+/**
+ * Parse command line flags
+ */
+const parseArgs = (argv) => {
+  const options = { dryRun: false, mapFile: null };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--dry-run') options.dryRun = true;
+    if (argv[i] === '--map') options.mapFile = argv[++i];
+  }
+  return options;
+};
+
+/**
+ * Build a lookup from normalized name/email to user ID
+ */
+const buildUserLookup = async (mapFile) => {
+  const lookup = new Map();
+  const users = await User.find({}).select('name email').lean();
+
+  users.forEach(user => {
+    lookup.set(normalize(user.email), user._id);
+    // Only map names that identify a single user
+    const name = normalize(user.name);
+    lookup.set(name, lookup.has(name) ? null : user._id);
+  });
+
+  if (mapFile) {
+    const mapping = JSON.parse(fs.readFileSync(mapFile, 'utf8'));
+    const byEmail = new Map(users.map(user => [normalize(user.email), user._id]));
+
+    Object.entries(mapping).forEach(([legacyName, email]) => {
+      const userId = byEmail.get(normalize(email));
+      if (!userId) {
+        console.warn(`⚠️  Mapping for "${legacyName}" points to unknown user ${email}`);
+        return;
+      }
+      lookup.set(normalize(legacyName), userId);
+    });
+  }
+
+  return lookup;
+};
+
+/**
+ * Migrate every task that still carries a string assignee
+ */
+export const migrateAssignees = async ({ dryRun = false, mapFile = null } = {}) => {
+  const lookup = await buildUserLookup(mapFile);
+  const summary = { scanned: 0, matched: 0, unmatched: 0, unmatchedValues: {} };
+
+  // Read through the raw collection: `assignee` is no longer part of the schema
+  const cursor = Task.collection.find({ assignee: { $type: 'string' } });
+
+  for await (const task of cursor) {
+    summary.scanned++;
+    const userId = lookup.get(normalize(task.assignee));
+
+    const update = { $unset: { assignee: '' } };
+    if (userId) {
+      summary.matched++;
+      update.$addToSet = { assignees: userId };
+      update.$push = {
+        assignmentHistory: { user: userId, action: 'assigned', at: task.updatedAt || new Date() }
+      };
+    } else {
+      summary.unmatched++;
+      summary.unmatchedValues[task.assignee] = (summary.unmatchedValues[task.assignee] || 0) + 1;
+      update.$set = { legacyAssignee: task.assignee };
+    }
+
+    if (!dryRun) {
+      await Task.collection.updateOne({ _id: task._id }, update);
+    }
+  }
+
+  return summary;
+};
+
+/**
+ * Standalone migration script (can be run directly)
+ */
+export const runAssigneeMigration = async () => {
+  try {
+    const options = parseArgs(process.argv.slice(2));
+    await connectDB();
+    console.log(`🔄 Migrating task assignees${options.dryRun ? ' (dry run)' : ''}...`);
+
+    const summary = await migrateAssignees(options);
+
+    console.log(`✅ Scanned ${summary.scanned} tasks: ${summary.matched} matched, ${summary.unmatched} unmatched`);
+    Object.entries(summary.unmatchedValues).forEach(([value, count]) => {
+      console.log(`   • "${value}" (${count} tasks) kept as legacyAssignee`);
+    });
+
+    await disconnectDB();
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+    process.exit(1);
+  }
+};
+
+// If this file is run directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runAssigneeMigration();
+}
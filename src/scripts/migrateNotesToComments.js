@@ -0,0 +1,76 @@
+import { Task, Comment } from '../models/index.js';
+import { connectDB, disconnectDB } from '../config/database.js';
+
+/**
+ * Notes Migration
+ * Moves the notes embedded in task documents into comments. Notes never
+ * recorded who wrote them, so the comments they become have no author;
+ * each keeps the time its note was added.
+ *
+ * Usage:
+ *   npm run migrate:notes -- [--dry-run]
+ *
+ * Tasks are processed one at a time and lose their notes once the comments
+ * exist, so an interrupted run can simply be repeated.
+ */
+
+/**
+ * Move every task's notes into comments
+ */
+export const migrateNotes = async ({ dryRun = false } = {}) => {
+  const summary = { tasks: 0, comments: 0 };
+
+  // Read through the raw collection: `notes` is no longer part of the schema
+  const cursor = Task.collection.find({ 'notes.0': { $exists: true } });
+
+  for await (const task of cursor) {
+    const comments = task.notes
+      .filter(note => note.content && note.content.trim())
+      .map(note => {
+        const createdAt = note.createdAt || task.createdAt || new Date();
+        return {
+          task: task._id,
+          workspace: task.workspace,
+          author: null,
+          content: note.content,
+          createdAt,
+          updatedAt: createdAt
+        };
+      });
+
+    summary.tasks++;
+    summary.comments += comments.length;
+
+    if (!dryRun) {
+      if (comments.length > 0) await Comment.insertMany(comments);
+      await Task.collection.updateOne({ _id: task._id }, { $unset: { notes: '' } });
+    }
+  }
+
+  return summary;
+};
+
+/**
+ * Standalone migration script (can be run directly)
+ */
+export const runNotesMigration = async () => {
+  try {
+    const dryRun = process.argv.includes('--dry-run');
+    await connectDB();
+    console.log(`🔄 Migrating task notes to comments${dryRun ? ' (dry run)' : ''}...`);
+
+    const summary = await migrateNotes({ dryRun });
+    console.log(`✅ Moved ${summary.comments} notes from ${summary.tasks} tasks into comments`);
+
+    await disconnectDB();
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+    process.exit(1);
+  }
+};
+
+// If this file is run directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runNotesMigration();
+}
@@ -0,0 +1,37 @@
+import { connectDB, disconnectDB } from '../config/database.js';
+import { getRetentionDays, purgeTrash } from '../utils/trash.js';
+
+/**
+ * Trash Purge
+ * The server purges expired trash on a schedule; this runs the same purge
+ * once, for deployments that disable the schedule and use cron instead.
+ * Tasks and projects deleted more than TRASH_RETENTION_DAYS ago are removed
+ * for good.
+ *
+ * Usage:
+ *   npm run trash:purge
+ */
+
+/**
+ * Standalone purge script (can be run directly)
+ */
+export const runTrashPurge = async () => {
+  try {
+    await connectDB();
+    console.log(`🗑️  Purging trash older than ${getRetentionDays()} days...`);
+
+    const summary = await purgeTrash();
+    console.log(`✅ Purged ${summary.purgedTasks} tasks and ${summary.purgedProjects} projects`);
+
+    await disconnectDB();
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Purge failed:', error);
+    process.exit(1);
+  }
+};
+
+// If this file is run directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runTrashPurge();
+}
@@ -0,0 +1,37 @@
+import { connectDB, disconnectDB } from '../config/database.js';
+import { recordTaskSnapshots } from '../utils/snapshots.js';
+
+/**
+ * Task Snapshot Recording
+ * The server records today's task snapshots on a schedule; this records
+ * them once, for deployments that disable the schedule and use cron instead.
+ * Run it at least daily, late in the day, so each day's snapshot shows how
+ * the day ended.
+ *
+ * Usage:
+ *   npm run snapshots:record
+ */
+
+/**
+ * Standalone recording script (can be run directly)
+ */
+export const runTaskSnapshots = async () => {
+  try {
+    await connectDB();
+    console.log('📸 Recording task snapshots...');
+
+    const recorded = await recordTaskSnapshots();
+    console.log(`✅ Recorded snapshots of ${recorded} changed tasks`);
+
+    await disconnectDB();
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Recording failed:', error);
+    process.exit(1);
+  }
+};
+
+// If this file is run directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runTaskSnapshots();
+}
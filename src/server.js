@@ -3,6 +3,8 @@ import cors from 'cors';
 import dotenv from 'dotenv';
 import { connectDB } from './config/database.js';
 import apiRoutes from './routes/index.js';
+import { scheduleTrashPurge } from './utils/trash.js';
+import { scheduleTaskSnapshots } from './utils/snapshots.js';
 import { 
   globalErrorHandler, 
   notFoundHandler,
@@ -44,6 +46,7 @@ app.get('/', (req, res) => {
     version: '1.0.0',
     endpoints: {
       api: '/api',
+      auth: '/api/auth',
       tasks: '/api/tasks',
       projects: '/api/projects',
       health: '/health'
@@ -73,6 +76,12 @@ const startServer = async () => {
   try {
     // Connect to database
     await connectDB();
+
+    // Purge expired trash now and periodically
+    scheduleTrashPurge();
+
+    // Record today's task snapshots for burndown charts, now and periodically
+    scheduleTaskSnapshots();
     
     // Start server
     app.listen(PORT, () => {
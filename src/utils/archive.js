@@ -0,0 +1,19 @@
+/**
+ * Project archiving helpers
+ * An archived project and its tasks are read-only: changes to them are
+ * rejected with 409 until the project is unarchived.
+ */
+
+/**
+ * Check whether a project document is archived
+ */
+export const isArchived = (project) => Boolean(project?.archivedAt);
+
+/**
+ * Error response body for a change to an archived project or its tasks
+ */
+export const archivedProjectError = (project) => ({
+  success: false,
+  error: 'Project archived',
+  message: `Project "${project.name}" is archived and read-only. Unarchive it to make changes.`
+});
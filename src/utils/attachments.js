@@ -0,0 +1,173 @@
+import crypto from 'crypto';
+import { Transform } from 'stream';
+import multer from 'multer';
+import { getStorage } from './storage/index.js';
+
+/**
+ * Attachment helpers
+ * Uploads are streamed into file storage as they arrive, with their SHA-256
+ * checksum computed on the way, so files are never held in memory.
+ */
+
+const MB = 1024 * 1024;
+
+export const ATTACHMENT_FIELD = 'files';
+export const MAX_FILES_PER_UPLOAD = 10;
+
+const UNSUPPORTED_TYPE = 'UNSUPPORTED_TYPE';
+
+const DEFAULT_ALLOWED_TYPES = [
+  'image/png',
+  'image/jpeg',
+  'image/gif',
+  'image/webp',
+  'application/pdf',
+  'text/plain',
+  'text/csv',
+  'text/markdown',
+  'application/json',
+  'application/zip',
+  'application/msword',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/vnd.ms-excel',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  'application/vnd.ms-powerpoint',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation'
+];
+
+/**
+ * Largest accepted file in bytes (ATTACHMENT_MAX_SIZE_MB, default 10)
+ */
+export const getMaxFileSize = () => Math.round((parseFloat(process.env.ATTACHMENT_MAX_SIZE_MB) || 10) * MB);
+
+/**
+ * Accepted MIME types (ATTACHMENT_ALLOWED_TYPES, comma separated)
+ * An entry like "image/*" accepts every subtype.
+ */
+export const getAllowedTypes = () => {
+  if (!process.env.ATTACHMENT_ALLOWED_TYPES) return DEFAULT_ALLOWED_TYPES;
+  return process.env.ATTACHMENT_ALLOWED_TYPES.split(',').map(type => type.trim().toLowerCase()).filter(Boolean);
+};
+
+export const isAllowedType = (mimeType) => {
+  const type = mimeType.toLowerCase();
+  return getAllowedTypes().some(allowed =>
+    allowed.endsWith('/*') ? type.startsWith(allowed.slice(0, -1)) : type === allowed
+  );
+};
+
+/**
+ * Multer storage engine that hands each file to the storage driver
+ * Files are keyed by workspace and task, plus a random ID; the name the
+ * client sent is only kept as metadata.
+ */
+const storageEngine = {
+  _handleFile(req, file, cb) {
+    const storageKey = `${req.workspace._id}/${req.params.id}/${crypto.randomUUID()}`;
+    const hash = crypto.createHash('sha256');
+    const hashing = new Transform({
+      transform(chunk, encoding, done) {
+        hash.update(chunk);
+        done(null, chunk);
+      }
+    });
+    file.stream.on('error', error => hashing.destroy(error));
+
+    getStorage().save(storageKey, file.stream.pipe(hashing))
+      .then(({ size }) => cb(null, { storageKey, size, checksum: hash.digest('hex') }))
+      .catch(cb);
+  },
+
+  _removeFile(req, file, cb) {
+    if (!file.storageKey) return cb(null);
+    getStorage().remove(file.storageKey).then(() => cb(null), cb);
+  }
+};
+
+/**
+ * Read the multipart files of an upload request into storage
+ * Resolves to multer's file list, each with storageKey, size and checksum.
+ * Rejects with a multer error (or UNSUPPORTED_TYPE) when the upload breaks
+ * a limit, after removing whatever was already stored.
+ */
+export const receiveAttachments = (req, res) => new Promise((resolve, reject) => {
+  const upload = multer({
+    storage: storageEngine,
+    defParamCharset: 'utf8',
+    limits: { fileSize: getMaxFileSize(), files: MAX_FILES_PER_UPLOAD },
+    fileFilter: (req, file, cb) => {
+      if (isAllowedType(file.mimetype)) return cb(null, true);
+      cb(Object.assign(new Error(`File type ${file.mimetype} is not allowed`), {
+        code: UNSUPPORTED_TYPE,
+        filename: file.originalname
+      }));
+    }
+  }).array(ATTACHMENT_FIELD, MAX_FILES_PER_UPLOAD);
+
+  upload(req, res, (error) => error ? reject(error) : resolve(req.files || []));
+});
+
+/**
+ * Status and body for an upload rejected by receiveAttachments, or null if
+ * the error is not an upload problem
+ */
+export const uploadErrorResponse = (error) => {
+  if (error.code === 'LIMIT_FILE_SIZE') {
+    return {
+      status: 413,
+      body: {
+        success: false,
+        error: 'File too large',
+        message: `"${error.filename}" exceeds the ${+(getMaxFileSize() / MB).toFixed(2)} MB limit`
+      }
+    };
+  }
+
+  if (error.code === UNSUPPORTED_TYPE) {
+    return {
+      status: 415,
+      body: {
+        success: false,
+        error: 'Unsupported file type',
+        message: `"${error.filename}": ${error.message}`,
+        allowedTypes: getAllowedTypes()
+      }
+    };
+  }
+
+  if (error instanceof multer.MulterError) {
+    return {
+      status: 400,
+      body: {
+        success: false,
+        error: 'Invalid upload',
+        message: `${error.message}. Send up to ${MAX_FILES_PER_UPLOAD} files in the "${ATTACHMENT_FIELD}" field.`
+      }
+    };
+  }
+
+  return null;
+};
+
+/**
+ * Delete stored files, e.g. of tasks removed for good
+ * Failures are logged rather than thrown, so one missing file doesn't stop
+ * the cleanup of the rest.
+ */
+export const removeStoredFiles = async (storageKeys) => {
+  const storage = getStorage();
+  for (const storageKey of storageKeys) {
+    try {
+      await storage.remove(storageKey);
+    } catch (error) {
+      console.error(`Error removing stored file ${storageKey}:`, error);
+    }
+  }
+};
+
+/**
+ * Storage keys of the files attached to the given tasks
+ */
+export const getStorageKeys = (tasks) => {
+  return tasks.flatMap(task => (task.attachments || []).map(attachment => attachment.storageKey).filter(Boolean));
+};
@@ -0,0 +1,44 @@
+import { AuditLog } from '../models/index.js';
+
+/**
+ * Audit trail helpers
+ * Controllers call recordAudit() after a mutation has been applied. Actions
+ * are named "<entity>.<verb>" (project.update, tasks.bulk-update, ...);
+ * details hold what a reviewer needs to reconstruct the change, such as
+ * changed fields or the IDs of cascade-deleted tasks.
+ */
+
+/**
+ * Append an entry for the current request to the workspace audit log
+ * Failures are logged rather than thrown: the change it describes has
+ * already been made and the caller should still get its response.
+ */
+export const recordAudit = async (req, { action, entityType, entityId = null, details = {}, workspace }) => {
+  try {
+    await AuditLog.append({
+      workspace: workspace || req.workspace._id,
+      action,
+      entityType,
+      entityId,
+      actor: req.user?._id || null,
+      apiKey: req.apiKey?._id || null,
+      details
+    });
+  } catch (error) {
+    console.error(`Error recording audit entry ${action}:`, error);
+  }
+};
+
+/**
+ * Changed fields between two versions of a record, as { field: { from, to } }
+ */
+export const diffFields = (before, after, fields) => {
+  return fields.reduce((changes, field) => {
+    const from = before?.[field] ?? null;
+    const to = after?.[field] ?? null;
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes[field] = { from, to };
+    }
+    return changes;
+  }, {});
+};
@@ -0,0 +1,91 @@
+import { Project, Task, TimeEntry, User } from '../models/index.js';
+import { toHours } from './timeTracking.js';
+
+/**
+ * Billing helpers
+ * Invoices bill the billable time entries logged on billable tasks. Each
+ * member's hours are charged at their project hourly rate, falling back to
+ * the project's rate.
+ */
+
+// Tasks created before tasks could be marked non-billable count as billable
+export const isBillableTask = (task) => task.billable !== false;
+
+/**
+ * Hourly rate for a user's time on a project, or null if none is set
+ */
+export const getHourlyRate = (project, userId) => {
+  const member = project?.members?.find(m => m.user.toString() === userId.toString());
+  return member?.hourlyRate ?? project?.hourlyRate ?? null;
+};
+
+const byText = (field) => (a, b) => (a[field] || '').localeCompare(b[field] || '');
+
+/**
+ * Invoice line items for the billable time on the given tasks, one per
+ * client, project and user, ordered by client, project and user name
+ * Entries are picked by when they started. Lines without a rate have no amount.
+ */
+export const getInvoiceLines = async (taskFilter, { startDate, endDate } = {}) => {
+  const tasks = await Task.find({ ...taskFilter, billable: { $ne: false } }).select('project').lean();
+  const projectByTask = new Map(tasks.map(task => [task._id.toString(), task.project?.toString() ?? null]));
+
+  const startedAt = {};
+  if (startDate) startedAt.$gte = startDate;
+  if (endDate) startedAt.$lte = endDate;
+
+  const entries = await TimeEntry.find({
+    task: { $in: tasks.map(task => task._id) },
+    billable: true,
+    endedAt: { $ne: null },
+    ...(Object.keys(startedAt).length ? { startedAt } : {})
+  })
+    .select('task user duration')
+    .lean();
+
+  const groups = new Map();
+  entries.forEach(entry => {
+    const projectId = projectByTask.get(entry.task.toString());
+    const key = `${projectId}:${entry.user}`;
+    if (!groups.has(key)) {
+      groups.set(key, { projectId, userId: entry.user, entries: 0, seconds: 0 });
+    }
+    const group = groups.get(key);
+    group.entries += 1;
+    group.seconds += entry.duration;
+  });
+
+  const [projects, users] = await Promise.all([
+    Project.find({ _id: { $in: [...groups.values()].map(group => group.projectId).filter(Boolean) } })
+      .select('name client hourlyRate currency members.user members.hourlyRate')
+      .setOptions({ withDeleted: true })
+      .lean(),
+    User.find({ _id: { $in: [...groups.values()].map(group => group.userId) } })
+      .select('name email')
+      .lean()
+  ]);
+  const projectsById = new Map(projects.map(project => [project._id.toString(), project]));
+  const usersById = new Map(users.map(user => [user._id.toString(), user]));
+
+  return [...groups.values()]
+    .map(({ projectId, userId, entries: entryCount, seconds }) => {
+      const project = projectsById.get(projectId);
+      const user = usersById.get(userId.toString());
+      const hours = toHours(seconds);
+      const hourlyRate = getHourlyRate(project, userId);
+
+      return {
+        client: project?.client || null,
+        project: project?.name || null,
+        projectId: project?._id || null,
+        user: user?.name || null,
+        email: user?.email || null,
+        entries: entryCount,
+        hours,
+        hourlyRate,
+        currency: project?.currency || 'USD',
+        amount: hourlyRate === null ? null : Math.round(hours * hourlyRate * 100) / 100
+      };
+    })
+    .sort((a, b) => byText('client')(a, b) || byText('project')(a, b) || byText('user')(a, b));
+};
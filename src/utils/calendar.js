@@ -0,0 +1,290 @@
+import mongoose from 'mongoose';
+
+/**
+ * Work calendar helpers
+ * A calendar lists the weekdays that are worked, holidays and the time zone
+ * days are counted in. Workspaces have one; a project can replace it with
+ * its own. Days are handled as local 'YYYY-MM-DD' strings of the calendar's
+ * time zone.
+ *
+ * A task is overdue once the end of its due day has passed, and a due day
+ * that is not worked moves on to the next working day. Overdue days count
+ * the working days since then.
+ *
+ * A request can bring its own time zone (see middleware/auth.js); its days
+ * then replace the calendar's, while the working days and holidays stay.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days are never searched further than this for the next working day
+const MAX_SEARCH_DAYS = 3660;
+
+export const DEFAULT_CALENDAR = {
+  workingDays: [1, 2, 3, 4, 5],
+  holidays: [],
+  timezone: 'UTC'
+};
+
+const dayFormats = new Map();
+const timeFormats = new Map();
+
+// Formats are cached under the zone's canonical name, so other spellings of
+// it ('utc', 'europe/berlin') cannot grow the cache
+const getFormat = (formats, timeZone, options) => {
+  if (formats.has(timeZone)) return formats.get(timeZone);
+  const format = new Intl.DateTimeFormat('en-CA', { timeZone, ...options });
+  const canonical = format.resolvedOptions().timeZone;
+  if (!formats.has(canonical)) formats.set(canonical, format);
+  return formats.get(canonical);
+};
+
+/**
+ * Whether a string names a time zone Intl knows (e.g. 'Europe/Berlin')
+ */
+export const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * The local day ('YYYY-MM-DD') a moment falls on in a time zone
+ */
+export const toLocalDay = (date, timeZone = 'UTC') => {
+  const parts = Object.fromEntries(
+    getFormat(dayFormats, timeZone, { year: 'numeric', month: '2-digit', day: '2-digit' })
+      .formatToParts(new Date(date))
+      .map(part => [part.type, part.value])
+  );
+  // Years before 1000 come unpadded
+  return `${parts.year.padStart(4, '0')}-${parts.month}-${parts.day}`;
+};
+
+// Milliseconds the time zone is ahead of UTC at a moment
+const getOffset = (time, timeZone) => {
+  const parts = Object.fromEntries(
+    getFormat(timeFormats, timeZone, {
+      year: 'numeric', month: '2-digit', day: '2-digit',
+      hour: '2-digit', minute: '2-digit', second: '2-digit', hourCycle: 'h23'
+    })
+      .formatToParts(new Date(time))
+      .map(part => [part.type, part.value])
+  );
+  const local = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return local - Math.floor(time / 1000) * 1000;
+};
+
+/**
+ * The moment a local day starts in a time zone
+ */
+export const startOfLocalDay = (day, timeZone = 'UTC') => {
+  const midnight = Date.parse(`${day}T00:00:00Z`);
+  const guess = midnight - getOffset(midnight, timeZone);
+  // Re-read the offset in case a DST change lies between the two moments
+  return new Date(midnight - getOffset(guess, timeZone));
+};
+
+/**
+ * A date from the API, date-only values ('YYYY-MM-DD') being the start of
+ * that day in a time zone
+ */
+export const parseLocalDate = (value, timeZone = 'UTC') => {
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) return startOfLocalDay(value, timeZone);
+  return new Date(value);
+};
+
+/**
+ * The time zone dates are read in for a request
+ * The caller's own time zone, else the workspace calendar's, else UTC.
+ */
+export const resolveTimezone = (timezone, workspace) => {
+  return timezone || workspace?.calendar?.timezone || DEFAULT_CALENDAR.timezone;
+};
+
+/**
+ * The day a number of days after (or before) a local day
+ */
+export const shiftDay = (day, days) => new Date(Date.parse(`${day}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+
+/**
+ * The calendar that applies to a project's tasks
+ * Projects without their own calendar use their workspace's. A time zone
+ * given replaces the calendar's.
+ */
+export const resolveCalendar = (project, workspace, timezone = null) => {
+  const calendar = project?.calendar || workspace?.calendar || DEFAULT_CALENDAR;
+  return {
+    workingDays: calendar.workingDays?.length ? [...calendar.workingDays] : DEFAULT_CALENDAR.workingDays,
+    holidays: (calendar.holidays || []).map(day => new Date(day).toISOString().slice(0, 10)),
+    timezone: timezone || calendar.timezone || DEFAULT_CALENDAR.timezone
+  };
+};
+
+// Day of the week (0 is Sunday) of a local day
+const getWeekday = (day) => new Date(`${day}T00:00:00Z`).getUTCDay();
+
+/**
+ * Whether a local day is worked under a calendar (from resolveCalendar())
+ */
+export const isWorkingDay = (calendar, day) => {
+  return calendar.workingDays.includes(getWeekday(day)) && !calendar.holidays.includes(day);
+};
+
+/**
+ * The first working day on or after a local day
+ */
+export const nextWorkingDay = (calendar, day) => {
+  let current = day;
+  for (let step = 0; step < MAX_SEARCH_DAYS && !isWorkingDay(calendar, current); step += 1) {
+    current = shiftDay(current, 1);
+  }
+  return current;
+};
+
+/**
+ * The local day a number of working days after a day
+ * Zero days gives the day itself, or the next working day if it is not one.
+ */
+export const addWorkingDays = (calendar, day, days) => {
+  let current = nextWorkingDay(calendar, day);
+  for (let count = 0; count < days; count += 1) {
+    current = nextWorkingDay(calendar, shiftDay(current, 1));
+  }
+  return current;
+};
+
+/**
+ * Working days after `from` up to and including `to` (local days)
+ */
+export const countWorkingDays = (calendar, from, to) => {
+  const days = Math.round((Date.parse(to) - Date.parse(from)) / DAY_MS);
+  if (days <= 0) return 0;
+
+  // Every whole week holds each working weekday once; only the days left over are walked
+  const weekdays = new Set(calendar.workingDays);
+  const weeks = Math.floor(days / 7);
+  let count = weeks * weekdays.size;
+  for (let day = shiftDay(from, weeks * 7 + 1); day <= to; day = shiftDay(day, 1)) {
+    if (weekdays.has(getWeekday(day))) count += 1;
+  }
+
+  // Holidays on working weekdays are not worked
+  const holidays = new Set(calendar.holidays);
+  holidays.forEach(day => {
+    if (day > from && day <= to && weekdays.has(getWeekday(day))) count -= 1;
+  });
+  return count;
+};
+
+/**
+ * Tasks due before this moment are overdue under a calendar
+ * That is the start of the day after the last working day before today.
+ */
+export const getOverdueCutoff = (calendar, now = new Date()) => {
+  let day = shiftDay(toLocalDay(now, calendar.timezone), -1);
+  for (let step = 0; step < MAX_SEARCH_DAYS && !isWorkingDay(calendar, day); step += 1) {
+    day = shiftDay(day, -1);
+  }
+  return startOfLocalDay(shiftDay(day, 1), calendar.timezone);
+};
+
+/**
+ * End (exclusive) of the window of tasks due within a number of working days
+ * Zero days covers the rest of today, or of the next working day.
+ */
+export const getDueWindowEnd = (calendar, days, now = new Date()) => {
+  const last = addWorkingDays(calendar, toLocalDay(now, calendar.timezone), days);
+  return startOfLocalDay(shiftDay(last, 1), calendar.timezone);
+};
+
+/**
+ * Whether an open task is past its due date under a calendar
+ */
+export const isTaskOverdue = (task, calendar = DEFAULT_CALENDAR, now = new Date()) => {
+  if (!task.dueDate || task.status === 'completed' || task.status === 'cancelled') return false;
+  return task.dueDate < getOverdueCutoff(calendar, now);
+};
+
+/**
+ * Working days a task has been overdue for (0 when it is not overdue)
+ */
+export const getOverdueDays = (dueDate, calendar = DEFAULT_CALENDAR, now = new Date()) => {
+  const deadline = nextWorkingDay(calendar, toLocalDay(dueDate, calendar.timezone));
+  return countWorkingDays(calendar, deadline, toLocalDay(now, calendar.timezone));
+};
+
+/**
+ * Calendars of a workspace (document) and of its projects that have their own
+ * A time zone given (the caller's) replaces theirs.
+ */
+export const loadCalendars = async (workspace, timezone = null) => {
+  // Loaded on use: the Task model imports this module
+  const { Project } = await import('../models/index.js');
+  const projects = await Project.find({ workspace: workspace._id, calendar: { $ne: null } })
+    .setOptions({ withDeleted: true })
+    .select('calendar')
+    .lean();
+
+  return {
+    workspace: resolveCalendar(null, workspace, timezone),
+    projects: new Map(projects.map(project => [project._id.toString(), resolveCalendar(project, workspace, timezone)]))
+  };
+};
+
+/**
+ * The calendar from loadCalendars() that applies to a task's project
+ */
+export const getTaskCalendar = (calendars, projectId) => {
+  return (projectId && calendars.projects.get((projectId._id || projectId).toString())) || calendars.workspace;
+};
+
+/**
+ * Task filter conditions bounding `dueDate` per calendar
+ * `getBound` maps a calendar to a Date; `operator` compares dueDate with it.
+ * Projects sharing a bound are grouped into one condition, and tasks of
+ * projects without a calendar of their own (and personal tasks) get the
+ * workspace's. Returns a filter to combine with others through $and.
+ */
+export const buildDueDateFilter = (calendars, operator, getBound) => {
+  const groups = new Map();
+  calendars.projects.forEach((calendar, projectId) => {
+    const bound = getBound(calendar).getTime();
+    if (!groups.has(bound)) groups.set(bound, []);
+    groups.get(bound).push(projectId);
+  });
+
+  return {
+    $or: [
+      ...[...groups].map(([bound, projectIds]) => ({
+        project: { $in: projectIds.map(id => new mongoose.Types.ObjectId(id)) },
+        dueDate: { [operator]: new Date(bound) }
+      })),
+      {
+        project: { $nin: [...calendars.projects.keys()].map(id => new mongoose.Types.ObjectId(id)) },
+        dueDate: { [operator]: getBound(calendars.workspace) }
+      }
+    ]
+  };
+};
+
+/**
+ * Filter matching the open tasks that are overdue under their calendars
+ */
+export const buildOverdueFilter = (calendars, now = new Date()) => ({
+  status: { $nin: ['completed', 'cancelled'] },
+  ...buildDueDateFilter(calendars, '$lt', calendar => getOverdueCutoff(calendar, now))
+});
+
+/**
+ * Filter matching the tasks that are not overdue and are due within a number of working days
+ */
+export const buildDueWithinFilter = (calendars, days, now = new Date()) => ({
+  $and: [
+    buildDueDateFilter(calendars, '$gte', calendar => getOverdueCutoff(calendar, now)),
+    buildDueDateFilter(calendars, '$lt', calendar => getDueWindowEnd(calendar, days, now))
+  ]
+});
@@ -0,0 +1,40 @@
+import { User } from '../models/index.js';
+import { getTaskRole } from './permissions.js';
+
+/**
+ * Comment helpers
+ * Users are mentioned by email address prefixed with "@", for example
+ * "@alice@example.com". A mention resolves when the user can see the task;
+ * anyone else stays plain text.
+ */
+
+const MENTION_PATTERN = /(^|[^\w.+-])@([\w.+-]+@[\w-]+(?:\.[\w-]+)+)/g;
+
+/**
+ * Email addresses mentioned in a comment, lowercased and without duplicates
+ */
+export const extractMentions = (content) => {
+  return [...new Set([...content.matchAll(MENTION_PATTERN)].map(match => match[2].toLowerCase()))];
+};
+
+/**
+ * Resolve the mentions in a comment to users who can see the task
+ * `task` needs its project populated with members. Returns the mentioned
+ * user IDs and the addresses that did not resolve.
+ */
+export const resolveMentions = async (content, task) => {
+  const emails = extractMentions(content);
+  if (emails.length === 0) return { mentions: [], unresolved: [] };
+
+  const users = await User.find({ email: { $in: emails }, isActive: true }).select('email').lean();
+  const mentioned = [];
+  for (const user of users) {
+    if (await getTaskRole(task, user)) mentioned.push(user);
+  }
+
+  const resolved = new Set(mentioned.map(user => user.email));
+  return {
+    mentions: mentioned.map(user => user._id),
+    unresolved: emails.filter(email => !resolved.has(email))
+  };
+};
@@ -0,0 +1,167 @@
+import { Task } from '../models/index.js';
+import { shiftDay, startOfLocalDay, toLocalDay } from './calendar.js';
+
+/**
+ * Delivery forecast helpers
+ * A project's open tasks are burned down by replaying its past throughput:
+ * each simulated day completes as many tasks as a day picked at random from
+ * the history window did. Many trials give the chance of finishing by each
+ * date; the project is likely to slip when it is less than 85% likely to
+ * finish by its due date. Days are those of the given time zone.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const CONFIDENCE_LEVELS = [50, 85, 95];
+
+// Confidence a project needs for its due date not to be flagged
+const ON_TRACK_CONFIDENCE = 85;
+
+export const DEFAULT_HISTORY_DAYS = 90;
+export const DEFAULT_TRIALS = 10000;
+export const MAX_TRIALS = 10000;
+
+// Trials still running after this many days count as not finishing
+const MAX_FORECAST_DAYS = 3650;
+
+// Simulated days across all trials of one forecast; the simulation runs on
+// the event loop, so more trials means a shorter horizon per trial
+const MAX_SIMULATED_DAYS = 5000000;
+
+// Whole days from one local day to another
+const daysBetween = (from, to) => Math.round((Date.parse(to) - Date.parse(from)) / DAY_MS);
+
+/**
+ * Tasks completed on each day of the history window, zero days included
+ * The window ends with yesterday so that every day in it is complete.
+ */
+export const getDailyThroughput = async (projectId, {
+  historyDays = DEFAULT_HISTORY_DAYS,
+  timezone = 'UTC',
+  now = new Date()
+} = {}) => {
+  const today = toLocalDay(now, timezone);
+  const first = shiftDay(today, -historyDays);
+
+  const completions = await Task.aggregate([
+    {
+      $match: {
+        project: projectId,
+        status: 'completed',
+        completedDate: { $gte: startOfLocalDay(first, timezone), $lt: startOfLocalDay(today, timezone) }
+      }
+    },
+    { $group: { _id: { $dateToString: { format: '%Y-%m-%d', date: '$completedDate', timezone } }, count: { $sum: 1 } } }
+  ]);
+  const counts = new Map(completions.map(day => [day._id, day.count]));
+
+  return Array.from({ length: historyDays }, (value, index) => counts.get(shiftDay(first, index)) || 0);
+};
+
+/**
+ * Days each trial takes to complete `remaining` tasks, sorted ascending
+ * Trials that do not finish within the horizon (MAX_FORECAST_DAYS, less when
+ * the trials would simulate more than MAX_SIMULATED_DAYS) are Infinity.
+ */
+export const simulateCompletion = (remaining, throughput, trials = DEFAULT_TRIALS) => {
+  const horizon = Math.min(MAX_FORECAST_DAYS, Math.floor(MAX_SIMULATED_DAYS / trials));
+  const results = new Array(trials);
+  for (let trial = 0; trial < trials; trial += 1) {
+    let left = remaining;
+    let days = 0;
+    while (left > 0 && days < horizon) {
+      left -= throughput[Math.floor(Math.random() * throughput.length)];
+      days += 1;
+    }
+    results[trial] = left > 0 ? Infinity : days;
+  }
+  return results.sort((a, b) => a - b);
+};
+
+/**
+ * Monte Carlo forecast of when a project's open tasks will be done
+ * Returns the throughput it is based on, the chance of finishing by each
+ * date (one point per day until every trial has finished), the 50/85/95%
+ * confidence dates and whether the due date is likely to slip. Forecasts
+ * need at least one completion in the history window; without one the
+ * dates are null.
+ */
+export const getDeliveryForecast = async (project, {
+  historyDays = DEFAULT_HISTORY_DAYS,
+  trials = DEFAULT_TRIALS,
+  timezone = 'UTC',
+  now = new Date()
+} = {}) => {
+  const today = toLocalDay(now, timezone);
+  const [remaining, throughput] = await Promise.all([
+    Task.countDocuments({ project: project._id, status: { $nin: ['completed', 'cancelled'] } }),
+    getDailyThroughput(project._id, { historyDays, timezone, now })
+  ]);
+
+  const completed = throughput.reduce((sum, count) => sum + count, 0);
+  const basis = {
+    remainingTasks: remaining,
+    historyDays,
+    completedTasks: completed,
+    averagePerDay: Math.round((completed / historyDays) * 100) / 100,
+    trials
+  };
+  const dueDate = project.dueDate ? toLocalDay(project.dueDate, timezone) : null;
+
+  if (remaining === 0) {
+    return {
+      basis,
+      curve: [{ date: today, probability: 100 }],
+      confidence: Object.fromEntries(CONFIDENCE_LEVELS.map(level => [`p${level}`, today])),
+      dueDate,
+      dueDateProbability: dueDate ? 100 : null,
+      likelyToSlip: false
+    };
+  }
+
+  if (completed === 0) {
+    return {
+      basis,
+      curve: [],
+      confidence: Object.fromEntries(CONFIDENCE_LEVELS.map(level => [`p${level}`, null])),
+      dueDate,
+      dueDateProbability: null,
+      likelyToSlip: null,
+      message: `No tasks were completed in the last ${historyDays} days, so there is no throughput to forecast from`
+    };
+  }
+
+  const results = simulateCompletion(remaining, throughput, trials);
+  // Share of trials finished within a number of days, in percent
+  const finishedWithin = (days) => {
+    let low = 0;
+    let high = results.length;
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      if (results[middle] <= days) low = middle + 1; else high = middle;
+    }
+    return Math.round((low / results.length) * 1000) / 10;
+  };
+  const dateAt = (level) => {
+    const days = results[Math.max(0, Math.ceil((level / 100) * results.length) - 1)];
+    return Number.isFinite(days) ? shiftDay(today, days) : null;
+  };
+
+  const finite = results.filter(Number.isFinite);
+  const curve = [];
+  for (let days = finite[0]; days <= finite[finite.length - 1]; days += 1) {
+    curve.push({ date: shiftDay(today, days), probability: finishedWithin(days) });
+  }
+
+  const confidence = Object.fromEntries(CONFIDENCE_LEVELS.map(level => [`p${level}`, dateAt(level)]));
+  const dueDateProbability = dueDate ? finishedWithin(daysBetween(today, dueDate)) : null;
+
+  return {
+    basis,
+    curve,
+    confidence,
+    dueDate,
+    dueDateProbability,
+    likelyToSlip: dueDate ? dueDateProbability < ON_TRACK_CONFIDENCE : null
+  };
+};
@@ -0,0 +1,150 @@
+import { Project, Task } from '../models/index.js';
+
+/**
+ * Project role-based access control
+ * Roles are ranked: viewer < member < maintainer < owner. Each permission
+ * names the lowest role that grants it. Tasks inherit permissions from
+ * their project; tasks without a project belong to their creator.
+ * All lookups are confined to a single workspace.
+ */
+
+export const PROJECT_ROLES = ['viewer', 'member', 'maintainer', 'owner'];
+
+export const PROJECT_PERMISSIONS = {
+  'project:view': 'viewer',
+  'project:edit': 'maintainer',
+  'project:delete': 'maintainer',
+  'project:delete-with-tasks': 'owner',
+  'project:archive': 'maintainer',
+  'members:manage': 'maintainer',
+  'sprints:manage': 'maintainer',
+  'task:view': 'viewer',
+  'task:create': 'member',
+  'task:edit': 'member',
+  'task:delete': 'member',
+  'task:comment': 'member',
+  'comments:moderate': 'maintainer',
+  'time:log': 'member',
+  'time:manage': 'maintainer'
+};
+
+/**
+ * Check whether a role is at least the given minimum role
+ */
+export const hasRole = (role, minimumRole) => {
+  return role != null && PROJECT_ROLES.indexOf(role) >= PROJECT_ROLES.indexOf(minimumRole);
+};
+
+/**
+ * Check whether a role grants a permission
+ */
+export const can = (role, permission) => hasRole(role, PROJECT_PERMISSIONS[permission]);
+
+/**
+ * Roles that are at least the given minimum role
+ */
+export const rolesAtLeast = (minimumRole) => {
+  return PROJECT_ROLES.slice(PROJECT_ROLES.indexOf(minimumRole));
+};
+
+/**
+ * Check whether two optional ObjectIds refer to the same document
+ */
+export const sameId = (a, b) => (a ? a.toString() : null) === (b ? b.toString() : null);
+
+/**
+ * Get a user's role on a project document (null if not a member)
+ */
+export const getProjectRole = (project, userId) => {
+  const member = (project?.members || []).find(m => m.user && (m.user._id || m.user).toString() === userId.toString());
+  return member ? member.role : null;
+};
+
+/**
+ * Get a user's effective role on a task
+ * Project tasks use the project role; personal tasks grant their creator
+ * full control and their assignees member access.
+ */
+export const getTaskRole = async (task, user) => {
+  if (task.project) {
+    const project = task.project.members ?
+      task.project :
+      await Project.findById(task.project._id || task.project).select('members').lean();
+    return getProjectRole(project, user._id);
+  }
+
+  if (task.createdBy && task.createdBy.toString() === user._id.toString()) {
+    return 'owner';
+  }
+
+  if ((task.assignees || []).some(assignee => (assignee._id || assignee).toString() === user._id.toString())) {
+    return 'member';
+  }
+
+  return null;
+};
+
+/**
+ * Load a task in the caller's workspace together with the caller's role on it
+ * Tasks the caller cannot see are treated as non-existent. `select` adds task
+ * fields to the ones access checks need. The task's project (name, members,
+ * archivedAt) comes back as `project`, so task.project stays an ID.
+ */
+export const findTaskForUser = async (id, req, select = '') => {
+  const task = await Task.findOne({ _id: id, workspace: req.workspace._id })
+    .select(`project createdBy assignees ${select}`)
+    .lean();
+  const project = task?.project ?
+    await Project.findById(task.project).select('name members archivedAt').lean() :
+    null;
+  const role = task ? await getTaskRole(project ? { ...task, project } : task, req.user) : null;
+  return role ? { task, role, project } : { task: null, role: null, project: null };
+};
+
+/**
+ * IDs of the workspace projects where the user holds at least the given role
+ * Archived projects are included with `includeArchived`, projects in the
+ * trash with `withDeleted`.
+ */
+export const getAccessibleProjectIds = (
+  user,
+  workspaceId,
+  minimumRole = 'viewer',
+  { includeArchived = false, withDeleted = false } = {}
+) => {
+  return Project.find({
+    workspace: workspaceId,
+    members: { $elemMatch: { user: user._id, role: { $in: rolesAtLeast(minimumRole) } } },
+    ...(!includeArchived && { archivedAt: null })
+  }).setOptions({ withDeleted }).distinct('_id');
+};
+
+/**
+ * Build a Project query filter matching the workspace projects a user belongs to
+ * Archived projects are left out unless `includeArchived` is set.
+ */
+export const buildProjectAccessFilter = (user, workspaceId, { includeArchived = false } = {}) => ({
+  workspace: workspaceId,
+  'members.user': user._id,
+  ...(!includeArchived && { archivedAt: null })
+});
+
+/**
+ * Build a Task query filter matching the workspace tasks a user may access with the given permission
+ * Tasks of archived projects are left out unless `includeArchived` is set;
+ * pass `withDeleted` to also match tasks of projects in the trash.
+ */
+export const buildTaskAccessFilter = async (user, workspaceId, permission = 'task:view', options = {}) => {
+  const projectIds = await getAccessibleProjectIds(user, workspaceId, PROJECT_PERMISSIONS[permission], options);
+  const personalTaskFilter = hasRole('member', PROJECT_PERMISSIONS[permission]) ?
+    { $or: [{ createdBy: user._id }, { assignees: user._id }] } :
+    { createdBy: user._id };
+
+  return {
+    workspace: workspaceId,
+    $or: [
+      { project: { $in: projectIds } },
+      { project: null, ...personalTaskFilter }
+    ]
+  };
+};
@@ -0,0 +1,281 @@
+import mongoose from 'mongoose';
+import { Task } from '../models/index.js';
+import { RECURRENCE_FREQUENCIES, WEEKDAYS } from '../models/Task.js';
+import { refreshProgress } from './taskHierarchy.js';
+import { getInitialStatus, loadWorkflow } from './workflow.js';
+import { getCurrentTimezone } from './requestContext.js';
+import { startOfLocalDay, toLocalDay } from './calendar.js';
+
+/**
+ * Recurring task helpers
+ * Recurrence is given either as an object or as an RRULE string such as
+ * "FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH;COUNT=10". Supported parts: FREQ
+ * (DAILY, WEEKLY, MONTHLY), INTERVAL, BYDAY, BYMONTHDAY, UNTIL and COUNT.
+ * Dates are stepped in UTC so the time of day of the due date is kept.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Safety limit for skipping over occurrences
+const MAX_STEPS = 1000;
+
+/**
+ * Parse an RRULE date (20241231, 20241231T000000Z) or an ISO 8601 date
+ */
+const parseRuleDate = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/.exec(value);
+  const date = match ?
+    new Date(Date.UTC(match[1], match[2] - 1, match[3], match[4] || 0, match[5] || 0, match[6] || 0)) :
+    new Date(value);
+
+  if (isNaN(date.getTime())) {
+    throw new Error(`Invalid recurrence date: ${value}`);
+  }
+  return date;
+};
+
+/**
+ * Turn an RRULE string into a recurrence object
+ */
+const parseRuleString = (value) => {
+  const rule = {};
+
+  value.replace(/^RRULE:/i, '').split(';').filter(Boolean).forEach(part => {
+    const [key, rawValue = ''] = part.split('=');
+
+    switch (key.trim().toUpperCase()) {
+      case 'FREQ':
+        rule.frequency = rawValue.toLowerCase();
+        break;
+      case 'INTERVAL':
+        rule.interval = Number(rawValue);
+        break;
+      case 'BYDAY':
+        rule.byWeekday = rawValue.split(',');
+        break;
+      case 'BYMONTHDAY':
+        rule.byMonthDay = Number(rawValue);
+        break;
+      case 'UNTIL':
+        rule.until = parseRuleDate(rawValue);
+        break;
+      case 'COUNT':
+        rule.count = Number(rawValue);
+        break;
+      default:
+        throw new Error(`Unsupported recurrence rule part: ${key}`);
+    }
+  });
+
+  return rule;
+};
+
+/**
+ * Validate and normalize a recurrence given as an object or RRULE string
+ * Throws an Error describing the first problem found.
+ */
+export const parseRecurrence = (value) => {
+  if (typeof value !== 'string' && (typeof value !== 'object' || value === null || Array.isArray(value))) {
+    throw new Error('Recurrence must be an object or an RRULE string');
+  }
+
+  const rule = typeof value === 'string' ? parseRuleString(value) : value;
+  const frequency = rule.frequency === undefined ? undefined : String(rule.frequency).toLowerCase();
+  const interval = rule.interval === undefined ? 1 : Number(rule.interval);
+  const weekdays = typeof rule.byWeekday === 'string' ? rule.byWeekday.split(',') : (rule.byWeekday || []);
+  const byMonthDay = rule.byMonthDay === undefined ? undefined : Number(rule.byMonthDay);
+  const until = rule.until === undefined ? undefined : parseRuleDate(rule.until instanceof Date ? rule.until.toISOString() : String(rule.until));
+  const count = rule.count === undefined ? undefined : Number(rule.count);
+
+  if (!RECURRENCE_FREQUENCIES.includes(frequency)) {
+    throw new Error(`Recurrence frequency must be one of: ${RECURRENCE_FREQUENCIES.join(', ')}`);
+  }
+  if (!Number.isInteger(interval) || interval < 1 || interval > 365) {
+    throw new Error('Recurrence interval must be a whole number between 1 and 365');
+  }
+  if (!Array.isArray(weekdays)) {
+    throw new Error('Recurrence weekdays must be an array');
+  }
+  const byWeekday = weekdays.map(day => String(day).trim().toUpperCase());
+  if (byWeekday.some(day => !WEEKDAYS.includes(day))) {
+    throw new Error(`Recurrence weekdays must be any of: ${WEEKDAYS.join(', ')}`);
+  }
+  if (byWeekday.length > 0 && frequency === 'monthly') {
+    throw new Error('Weekdays are only supported for daily and weekly recurrence');
+  }
+  if (byMonthDay !== undefined) {
+    if (frequency !== 'monthly') {
+      throw new Error('Day of month is only supported for monthly recurrence');
+    }
+    if (!Number.isInteger(byMonthDay) || byMonthDay < 1 || byMonthDay > 31) {
+      throw new Error('Recurrence day of month must be between 1 and 31');
+    }
+  }
+  if (count !== undefined && (!Number.isInteger(count) || count < 1 || count > 1000)) {
+    throw new Error('Recurrence count must be a whole number between 1 and 1000');
+  }
+  if (until !== undefined && count !== undefined) {
+    throw new Error('Recurrence can end on a date (until) or after a number of occurrences (count), not both');
+  }
+
+  return {
+    frequency,
+    interval,
+    byWeekday: [...new Set(byWeekday)].sort((a, b) => WEEKDAYS.indexOf(a) - WEEKDAYS.indexOf(b)),
+    ...(byMonthDay !== undefined && { byMonthDay }),
+    ...(until !== undefined && { until }),
+    ...(count !== undefined && { count })
+  };
+};
+
+/**
+ * Pin a monthly recurrence to the due date's day of month
+ * Without this, a series starting on the 31st would drift to the 28th after
+ * February.
+ */
+export const anchorRecurrence = (recurrence, dueDate) => {
+  if (recurrence.frequency !== 'monthly' || recurrence.byMonthDay || !dueDate) {
+    return recurrence;
+  }
+  return { ...recurrence, byMonthDay: new Date(dueDate).getUTCDate() };
+};
+
+/**
+ * Format a recurrence as an RRULE string
+ */
+export const toRRule = (recurrence) => {
+  const parts = [`FREQ=${recurrence.frequency.toUpperCase()}`];
+  if (recurrence.interval > 1) parts.push(`INTERVAL=${recurrence.interval}`);
+  if (recurrence.byWeekday?.length) parts.push(`BYDAY=${recurrence.byWeekday.join(',')}`);
+  if (recurrence.byMonthDay) parts.push(`BYMONTHDAY=${recurrence.byMonthDay}`);
+  if (recurrence.until) parts.push(`UNTIL=${new Date(recurrence.until).toISOString().replace(/[-:]|\.\d{3}/g, '')}`);
+  if (recurrence.count) parts.push(`COUNT=${recurrence.count}`);
+  return parts.join(';');
+};
+
+// Monday-based weekday index (MO = 0 ... SU = 6)
+const weekdayIndex = (date) => (date.getUTCDay() + 6) % 7;
+
+/**
+ * Step from one occurrence date to the next, ignoring until/count
+ */
+export const stepRecurrence = (recurrence, from) => {
+  const interval = recurrence.interval || 1;
+  const days = (recurrence.byWeekday || []).map(day => WEEKDAYS.indexOf(day)).sort((a, b) => a - b);
+
+  if (recurrence.frequency === 'daily') {
+    let next = new Date(from.getTime() + interval * DAY_MS);
+    for (let i = 0; days.length > 0 && !days.includes(weekdayIndex(next)) && i < MAX_STEPS; i++) {
+      next = new Date(next.getTime() + interval * DAY_MS);
+    }
+    return next;
+  }
+
+  if (recurrence.frequency === 'weekly') {
+    if (days.length === 0) {
+      return new Date(from.getTime() + 7 * interval * DAY_MS);
+    }
+    const current = weekdayIndex(from);
+    const laterThisWeek = days.find(day => day > current);
+    if (laterThisWeek !== undefined) {
+      return new Date(from.getTime() + (laterThisWeek - current) * DAY_MS);
+    }
+    // First listed weekday of the next week in the interval
+    return new Date(from.getTime() + (7 * interval - current + days[0]) * DAY_MS);
+  }
+
+  // Monthly: same day of month, clamped to shorter months
+  const year = from.getUTCFullYear();
+  const month = from.getUTCMonth() + interval;
+  const day = recurrence.byMonthDay || from.getUTCDate();
+  const daysInMonth = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  return new Date(Date.UTC(
+    year,
+    month,
+    Math.min(day, daysInMonth),
+    from.getUTCHours(),
+    from.getUTCMinutes(),
+    from.getUTCSeconds(),
+    from.getUTCMilliseconds()
+  ));
+};
+
+// Start of today in the request's time zone, the earliest due date a task accepts
+const startOfToday = () => {
+  const timezone = getCurrentTimezone();
+  return startOfLocalDay(toLocalDay(new Date(), timezone), timezone);
+};
+
+/**
+ * Get the due date of the occurrence after the given one
+ * Occurrences that would already be overdue are skipped. Returns null when
+ * the series has ended.
+ */
+export const getNextDueDate = (recurrence, from, notBefore = startOfToday()) => {
+  if (recurrence.count && (recurrence.occurrence || 1) >= recurrence.count) {
+    return null;
+  }
+
+  let next = stepRecurrence(recurrence, from);
+  for (let i = 0; next < notBefore && i < MAX_STEPS; i++) {
+    next = stepRecurrence(recurrence, next);
+  }
+
+  if (recurrence.until && next > new Date(recurrence.until)) {
+    return null;
+  }
+  return next;
+};
+
+/**
+ * Create the next occurrence of a completed recurring task
+ * Copies the task's details with a shifted due date. Each occurrence spawns
+ * at most one successor, even when it is reopened and completed again.
+ * Returns the new task, or null if there is nothing to create.
+ */
+export const spawnNextOccurrence = async (taskId, actor) => {
+  const task = await Task.findById(taskId).lean();
+  if (!task?.recurrence || task.nextOccurrence) return null;
+
+  const dueDate = getNextDueDate(task.recurrence, task.dueDate || task.completedDate || new Date());
+  if (!dueDate) return null;
+
+  // Claim the successor slot first so concurrent completions create one task
+  const nextId = new mongoose.Types.ObjectId();
+  const claimed = await Task.updateOne({ _id: task._id, nextOccurrence: null }, { $set: { nextOccurrence: nextId } });
+  if (claimed.modifiedCount === 0) return null;
+
+  try {
+    const next = await Task.create({
+      _id: nextId,
+      title: task.title,
+      description: task.description,
+      status: getInitialStatus(await loadWorkflow(task.project)),
+      priority: task.priority,
+      workspace: task.workspace,
+      project: task.project,
+      parent: task.parent || null,
+      ancestors: task.ancestors || [],
+      assignees: task.assignees,
+      assignmentHistory: Task.diffAssignees([], task.assignees, actor),
+      dueDate,
+      estimatedHours: task.estimatedHours,
+      tags: task.tags,
+      createdBy: task.createdBy,
+      recurrence: {
+        ...task.recurrence,
+        occurrence: (task.recurrence.occurrence || 1) + 1,
+        series: task.recurrence.series || task._id
+      }
+    });
+
+    if (next.parent) {
+      await refreshProgress([next.parent]);
+    }
+    return next;
+  } catch (error) {
+    // Release the slot so the next completion can try again
+    await Task.updateOne({ _id: task._id, nextOccurrence: nextId }, { $set: { nextOccurrence: null } });
+    throw error;
+  }
+};
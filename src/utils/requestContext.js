@@ -0,0 +1,33 @@
+import { AsyncLocalStorage } from 'async_hooks';
+
+/**
+ * Request context
+ * Keeps per-request values available to code that has no access to `req`,
+ * such as model hooks. The authentication middleware runs every protected
+ * request inside a context holding the acting user and their time zone.
+ */
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run a callback (and everything it awaits) inside a context
+ */
+export const runWithContext = (context, callback) => storage.run(context, callback);
+
+/**
+ * ID of the user the current request acts for (null outside requests)
+ */
+export const getCurrentActor = () => storage.getStore()?.actor || null;
+
+/**
+ * Time zone dates of the current request are read in (UTC outside requests)
+ */
+export const getCurrentTimezone = () => storage.getStore()?.timezone || 'UTC';
+
+/**
+ * Set the time zone of the current request's context
+ */
+export const setCurrentTimezone = (timezone) => {
+  const store = storage.getStore();
+  if (store) store.timezone = timezone;
+};
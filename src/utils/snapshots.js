@@ -0,0 +1,285 @@
+import { Project, Task, TaskSnapshot } from '../models/index.js';
+import { getStatusCategory, resolveWorkflow } from './workflow.js';
+import { shiftDay, startOfLocalDay, toLocalDay } from './calendar.js';
+
+/**
+ * Task snapshot helpers
+ * A task's state is recorded at most once per day (UTC), and only on days it
+ * differs from the task's latest snapshot; recording again on the same day
+ * replaces that day's snapshot, so the last run of a day wins. Burndown and
+ * burnup charts are rebuilt from these snapshots: on each day (in the
+ * request's time zone) a task is in the state of its latest snapshot
+ * recorded before that day ended.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+// Longest interval setInterval accepts (2^31 - 1 ms, about 24 days)
+const MAX_INTERVAL_HOURS = Math.floor((2 ** 31 - 1) / HOUR_MS);
+const BATCH_SIZE = 500;
+
+export const BURNDOWN_UNITS = ['count', 'hours'];
+
+// Longest window a chart covers
+export const MAX_BURNDOWN_DAYS = 366;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Fields that make up a task's recorded state
+const STATE_FIELDS = ['workspace', 'project', 'sprint', 'status', 'category', 'estimatedHours', 'deleted'];
+
+const sameState = (a, b) => STATE_FIELDS.every(field => String(a[field] ?? null) === String(b[field] ?? null));
+
+/**
+ * Midnight UTC of the day a date falls on
+ */
+export const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setUTCHours(0, 0, 0, 0);
+  return day;
+};
+
+/**
+ * Record today's snapshot of every task that changed, the trash included
+ * Tasks in the same state as their latest snapshot from an earlier day are
+ * skipped; a snapshot already recorded today is always brought up to date.
+ * Returns the number of tasks recorded.
+ */
+export const recordTaskSnapshots = async (now = new Date()) => {
+  const date = startOfDay(now);
+  const projects = await Project.find().setOptions({ withDeleted: true }).select('workflow').lean();
+  const workflows = new Map(projects.map(project => [project._id.toString(), resolveWorkflow(project)]));
+
+  const cursor = Task.find()
+    .setOptions({ withDeleted: true })
+    .select('workspace project sprint status estimatedHours deletedAt')
+    .lean()
+    .cursor();
+
+  let recorded = 0;
+  let batch = [];
+  const flush = async () => {
+    if (batch.length === 0) return;
+    const latest = await TaskSnapshot.aggregate([
+      { $match: { task: { $in: batch.map(task => task._id) }, date: { $lte: date } } },
+      { $sort: { task: 1, date: -1 } },
+      { $group: { _id: '$task', snapshot: { $first: '$$ROOT' } } }
+    ]);
+    const latestByTask = new Map(latest.map(({ _id, snapshot }) => [_id.toString(), snapshot]));
+
+    const writes = batch.flatMap(task => {
+      const workflow = workflows.get(task.project?.toString()) || resolveWorkflow(null);
+      const state = {
+        workspace: task.workspace,
+        project: task.project || null,
+        sprint: task.sprint || null,
+        status: task.status,
+        category: getStatusCategory(workflow, task.status),
+        estimatedHours: task.estimatedHours ?? null,
+        deleted: Boolean(task.deletedAt)
+      };
+
+      const previous = latestByTask.get(task._id.toString());
+      if (previous && previous.date.getTime() !== date.getTime() && sameState(previous, state)) {
+        return [];
+      }
+      return [{
+        updateOne: {
+          filter: { task: task._id, date },
+          update: { $set: { ...state, recordedAt: now } },
+          upsert: true
+        }
+      }];
+    });
+
+    if (writes.length > 0) {
+      await TaskSnapshot.bulkWrite(writes, { ordered: false });
+    }
+    recorded += writes.length;
+    batch = [];
+  };
+
+  for await (const task of cursor) {
+    batch.push(task);
+    if (batch.length >= BATCH_SIZE) await flush();
+  }
+  await flush();
+
+  return recorded;
+};
+
+/**
+ * Record snapshots now and then periodically while the server runs
+ */
+export const scheduleTaskSnapshots = () => {
+  // TASK_SNAPSHOT_INTERVAL_HOURS=0 disables the scheduled snapshots
+  const intervalHours = parseFloat(process.env.TASK_SNAPSHOT_INTERVAL_HOURS ?? 6);
+  if (!(intervalHours > 0)) return;
+  if (intervalHours > MAX_INTERVAL_HOURS) {
+    console.warn(`TASK_SNAPSHOT_INTERVAL_HOURS is capped at ${MAX_INTERVAL_HOURS} hours`);
+  }
+
+  const run = async () => {
+    try {
+      await recordTaskSnapshots();
+    } catch (error) {
+      console.error('Error recording task snapshots:', error);
+    }
+  };
+
+  run();
+  setInterval(run, Math.min(intervalHours, MAX_INTERVAL_HOURS) * HOUR_MS).unref();
+};
+
+/**
+ * Daily burndown and burnup data of a project (or one of its sprints)
+ * For each day of the window: the work in scope (`total`), how much of it
+ * is done (`completed`), what is left (`remaining`), the `ideal` remaining
+ * work on a straight line from the plan's start to its end, and the work
+ * added to and removed from scope since the day before. Work is a task
+ * count or estimated hours; cancelled and deleted tasks are out of scope.
+ * Days are those of the given time zone, each in the state of the last
+ * snapshots recorded before it ended. Days before the first snapshot or
+ * after today have no data (null).
+ */
+export const getBurndown = async (project, { from, to, unit = 'count', sprint = null, timezone = 'UTC', now = new Date() }) => {
+  const planStart = sprint ? sprint.startDate : project.startDate;
+  const planEnd = sprint ? sprint.endDate : project.dueDate;
+  const plan = {
+    start: toLocalDay(planStart, timezone),
+    end: planEnd ? toLocalDay(planEnd, timezone) : null
+  };
+  const windowStart = toLocalDay(from, timezone);
+  const windowEnd = toLocalDay(to, timezone);
+  const today = toLocalDay(now, timezone);
+  const endOf = (day) => startOfLocalDay(shiftDay(day, 1), timezone);
+  const until = endOf(windowEnd);
+
+  const taskIds = await TaskSnapshot.distinct('task', {
+    project: project._id,
+    ...(sprint && { sprint: sprint._id }),
+    date: { $lt: until }
+  });
+  const [first] = await TaskSnapshot.find({ task: { $in: taskIds } })
+    .select('recordedAt')
+    .sort({ date: 1, recordedAt: 1 })
+    .limit(1)
+    .lean();
+  const firstRecorded = first ? first.recordedAt : null;
+
+  // The ideal line starts from the work remaining on the plan's first day
+  // with data. Before the window, only that day and the day before the
+  // window (for the window's first scope change) are needed.
+  const visited = [];
+  const firstDay = firstRecorded ? toLocalDay(firstRecorded, timezone) : windowStart;
+  if (plan.start < windowStart && firstDay < windowStart) {
+    const idealDay = plan.start > firstDay ? plan.start : firstDay;
+    const dayBefore = shiftDay(windowStart, -1);
+    if (idealDay < dayBefore) visited.push(idealDay);
+    visited.push(dayBefore);
+  }
+  for (let day = windowStart; day <= windowEnd; day = shiftDay(day, 1)) {
+    visited.push(day);
+  }
+
+  // Snapshots of days (UTC) before this were all recorded before the first
+  // local day began; later ones are applied by when they were recorded
+  const cutoff = new Date(startOfDay(startOfLocalDay(visited[0], timezone)).getTime() - DAY_MS);
+
+  const [earlier, snapshots] = await Promise.all([
+    TaskSnapshot.aggregate([
+      { $match: { task: { $in: taskIds }, date: { $lt: cutoff } } },
+      { $sort: { date: 1 } },
+      { $group: { _id: '$task', snapshot: { $last: '$$ROOT' } } }
+    ]),
+    TaskSnapshot.find({ task: { $in: taskIds }, date: { $gte: cutoff, $lt: until }, recordedAt: { $lt: until } })
+      .select('task recordedAt project sprint category estimatedHours deleted')
+      .sort({ recordedAt: 1 })
+      .lean()
+  ]);
+
+  const work = (snapshot) => (unit === 'hours' ? snapshot.estimatedHours || 0 : 1);
+  const inScope = (snapshot) => {
+    return snapshot.project?.toString() === project._id.toString() &&
+      (!sprint || snapshot.sprint?.toString() === sprint._id.toString()) &&
+      !snapshot.deleted &&
+      snapshot.category !== 'cancelled';
+  };
+
+  const states = new Map(earlier.map(({ _id, snapshot }) => [_id.toString(), snapshot]));
+
+  const days = [];
+  let previous = null;
+  let index = 0;
+  for (const day of visited) {
+    const dayEnd = endOf(day);
+    // Scope changes are only counted from the day right before
+    const previousScope = previous && shiftDay(previous.day, 1) === day ? previous.scope : null;
+    while (index < snapshots.length && snapshots[index].recordedAt < dayEnd) {
+      states.set(snapshots[index].task.toString(), snapshots[index]);
+      index += 1;
+    }
+
+    if (!firstRecorded || firstRecorded >= dayEnd || day > today) {
+      days.push({ date: day, total: null, completed: null, remaining: null, added: null, removed: null });
+      previous = null;
+      continue;
+    }
+
+    const scope = new Map([...states].filter(([, snapshot]) => inScope(snapshot)));
+    const total = [...scope.values()].reduce((sum, snapshot) => sum + work(snapshot), 0);
+    const completed = [...scope.values()]
+      .filter(snapshot => snapshot.category === 'completed')
+      .reduce((sum, snapshot) => sum + work(snapshot), 0);
+
+    // Tasks entering or leaving scope; estimate changes of the tasks that stay count too
+    let added = 0;
+    let removed = 0;
+    if (previousScope) {
+      scope.forEach((snapshot, task) => {
+        const change = work(snapshot) - (previousScope.has(task) ? work(previousScope.get(task)) : 0);
+        if (change > 0) added += change;
+        if (change < 0) removed -= change;
+      });
+      previousScope.forEach((snapshot, task) => {
+        if (!scope.has(task)) removed += work(snapshot);
+      });
+    }
+
+    days.push({
+      date: day,
+      total: round(total),
+      completed: round(completed),
+      remaining: round(total - completed),
+      added: previousScope ? round(added) : null,
+      removed: previousScope ? round(removed) : null
+    });
+    previous = { day, scope };
+  }
+
+  // Ideal line from the remaining work at the plan's start to zero at its end
+  const daysBetween = (first, last) => Math.round((Date.parse(last) - Date.parse(first)) / DAY_MS);
+  const idealStart = days.find(day => day.date >= plan.start && day.remaining !== null);
+  const idealAt = (date) => {
+    if (!plan.end || !idealStart || date < idealStart.date) return null;
+    if (date >= plan.end) return 0;
+    const progress = daysBetween(idealStart.date, date) / daysBetween(idealStart.date, plan.end);
+    return round(idealStart.remaining * (1 - progress));
+  };
+
+  const rows = days
+    .filter(day => day.date >= windowStart)
+    .map(day => ({ ...day, ideal: idealAt(day.date) }));
+
+  return {
+    unit,
+    timezone,
+    window: { from: windowStart, to: windowEnd },
+    plan,
+    days: rows,
+    scopeChanges: rows
+      .filter(day => day.added || day.removed)
+      .map(({ date, added, removed }) => ({ date, added, removed }))
+  };
+};
@@ -0,0 +1,182 @@
+import { Sprint, Task, TaskHistory } from '../models/index.js';
+import { getStatusCategory } from './workflow.js';
+
+/**
+ * Sprint helpers
+ * Commitment and results are recorded on the sprint when it starts and
+ * completes; scope added or removed while it runs is read from the tasks'
+ * sprint history. Hours are the tasks' estimated hours.
+ */
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const average = (values) => {
+  return values.length > 0 ? round(values.reduce((sum, value) => sum + value, 0) / values.length) : null;
+};
+
+/**
+ * Whether a task counts as done under its project's workflow
+ */
+export const isDone = (workflow, task) => getStatusCategory(workflow, task.status) === 'completed';
+
+/**
+ * Check that tasks of a project can be planned into a sprint
+ * Returns an error response ({ status, body }) when they cannot, else null.
+ */
+export const checkSprintAssignment = async (sprintId, projectId, workspaceId) => {
+  const sprint = await Sprint.findOne({ _id: sprintId, workspace: workspaceId })
+    .select('name project status')
+    .lean();
+
+  if (!sprint || !projectId || sprint.project.toString() !== projectId.toString()) {
+    return {
+      status: 400,
+      body: {
+        success: false,
+        error: 'Invalid sprint',
+        message: 'The specified sprint does not exist in the task\'s project'
+      }
+    };
+  }
+
+  if (sprint.status === 'completed') {
+    return {
+      status: 409,
+      body: {
+        success: false,
+        error: 'Sprint completed',
+        message: `Sprint "${sprint.name}" is completed and cannot take new tasks`
+      }
+    };
+  }
+
+  return null;
+};
+
+const describeTask = (task) => ({
+  _id: task._id,
+  title: task.title,
+  status: task.status,
+  estimatedHours: task.estimatedHours ?? null
+});
+
+/**
+ * Count and estimated hours of a list of tasks, with the tasks themselves
+ */
+const summarizeTasks = (ids, tasksById) => {
+  const tasks = ids.map(id => tasksById.get(id.toString())).filter(Boolean);
+  return {
+    count: tasks.length,
+    estimatedHours: round(tasks.reduce((sum, task) => sum + (task.estimatedHours || 0), 0)),
+    tasks: tasks.map(describeTask)
+  };
+};
+
+// Tasks in the trash still belong to the sprint's record
+const loadTasks = async (ids) => {
+  const tasks = await Task.find({ _id: { $in: ids } })
+    .setOptions({ withDeleted: true })
+    .select('title status estimatedHours')
+    .lean();
+  return new Map(tasks.map(task => [task._id.toString(), task]));
+};
+
+/**
+ * Committed vs completed work of a sprint, with scope changes and carry-over
+ * Before a sprint starts its current tasks are its commitment; until it
+ * completes its done tasks are the completed ones.
+ */
+export const getSprintSummary = async (sprint, workflow) => {
+  const sprintId = sprint._id.toString();
+  const started = sprint.status !== 'planned';
+  const finished = sprint.status === 'completed';
+
+  const [current, changes, previous] = await Promise.all([
+    Task.find({ sprint: sprint._id }).select('title status estimatedHours').lean(),
+    started ?
+      TaskHistory.find({
+        workspace: sprint.workspace,
+        field: 'sprint',
+        $or: [{ from: sprintId }, { to: sprintId }],
+        at: { $gt: sprint.startedAt, ...(finished && { $lt: sprint.completedAt }) }
+      })
+        .sort({ at: 1 })
+        .populate('actor', 'name email')
+        .lean() :
+      [],
+    Sprint.find({ carriedOverTo: sprint._id }).select('carriedOver').lean()
+  ]);
+
+  const committedIds = started ? sprint.committed : current.map(task => task._id);
+  const completedIds = finished ?
+    sprint.completed :
+    current.filter(task => isDone(workflow, task)).map(task => task._id);
+  const carriedInIds = previous.flatMap(other => other.carriedOver);
+
+  const tasksById = await loadTasks([
+    ...committedIds,
+    ...completedIds,
+    ...sprint.carriedOver,
+    ...carriedInIds,
+    ...changes.map(change => change.task)
+  ]);
+
+  const describeChange = (change) => {
+    const task = tasksById.get(change.task.toString());
+    return task ? { task: describeTask(task), at: change.at, by: change.actor } : null;
+  };
+
+  const completedSet = new Set(completedIds.map(String));
+  const committedDone = committedIds.filter(id => completedSet.has(id.toString())).length;
+
+  return {
+    committed: summarizeTasks(committedIds, tasksById),
+    completed: summarizeTasks(completedIds, tasksById),
+    completionRate: committedIds.length > 0 ? Math.round((committedDone / committedIds.length) * 100) : null,
+    added: changes.filter(change => change.to === sprintId).map(describeChange).filter(Boolean),
+    removed: changes.filter(change => change.from === sprintId).map(describeChange).filter(Boolean),
+    carriedIn: summarizeTasks(carriedInIds, tasksById),
+    ...(finished ?
+      { carriedOver: { ...summarizeTasks(sprint.carriedOver, tasksById), to: sprint.carriedOverTo } } :
+      { remaining: summarizeTasks(current.filter(task => !isDone(workflow, task)).map(task => task._id), tasksById) })
+  };
+};
+
+/**
+ * Committed and completed work of a project's last completed sprints
+ * Rows are oldest first; the averages cover all of them.
+ */
+export const getVelocity = async (projectId, limit) => {
+  const sprints = await Sprint.find({ project: projectId, status: 'completed' })
+    .sort({ completedAt: -1 })
+    .limit(limit)
+    .select('name startDate endDate completedAt committed completed carriedOver')
+    .lean();
+
+  const tasksById = await loadTasks(sprints.flatMap(sprint => [...sprint.committed, ...sprint.completed]));
+
+  const sprintRows = sprints.reverse().map(sprint => {
+    const committed = summarizeTasks(sprint.committed, tasksById);
+    const completed = summarizeTasks(sprint.completed, tasksById);
+    return {
+      sprint: sprint._id,
+      name: sprint.name,
+      startDate: sprint.startDate,
+      endDate: sprint.endDate,
+      completedAt: sprint.completedAt,
+      committedTasks: committed.count,
+      committedHours: committed.estimatedHours,
+      completedTasks: completed.count,
+      completedHours: completed.estimatedHours,
+      carriedOverTasks: sprint.carriedOver.length
+    };
+  });
+
+  return {
+    sprints: sprintRows,
+    average: {
+      completedTasks: average(sprintRows.map(row => row.completedTasks)),
+      completedHours: average(sprintRows.map(row => row.completedHours))
+    }
+  };
+};
@@ -0,0 +1,42 @@
+import { createLocalStorage } from './local.js';
+
+/**
+ * File storage
+ * Attachment files are kept by a storage driver chosen with STORAGE_DRIVER
+ * (default "local"). A driver is an object with:
+ *
+ *   save(key, stream)  store the stream's bytes under key; resolves to { size }
+ *   read(key)          resolve to a readable stream of the file, or reject
+ *                      with code ENOENT if there is none
+ *   remove(key)        delete the file; resolves if it is already gone
+ *
+ * Further drivers (S3 and the like) are added with registerStorageDriver.
+ */
+
+const drivers = {
+  local: createLocalStorage
+};
+
+let storage = null;
+
+/**
+ * Make a driver available under a name, given a factory that creates it
+ */
+export const registerStorageDriver = (name, factory) => {
+  drivers[name] = factory;
+  storage = null;
+};
+
+/**
+ * The configured storage driver, created on first use
+ */
+export const getStorage = () => {
+  if (!storage) {
+    const name = process.env.STORAGE_DRIVER || 'local';
+    if (!drivers[name]) {
+      throw new Error(`Unknown storage driver "${name}". Available: ${Object.keys(drivers).join(', ')}`);
+    }
+    storage = drivers[name]();
+  }
+  return storage;
+};
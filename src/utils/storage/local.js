@@ -0,0 +1,50 @@
+import fs from 'fs';
+import path from 'path';
+import { pipeline } from 'stream/promises';
+
+/**
+ * Local disk storage driver
+ * Stores each file under UPLOAD_DIR (default ./uploads), using its key as
+ * the relative path.
+ */
+export const createLocalStorage = ({ root = process.env.UPLOAD_DIR || 'uploads' } = {}) => {
+  const baseDir = path.resolve(root);
+
+  // Keys are generated by the app, but never let one point outside the root
+  const resolveKey = (key) => {
+    const filePath = path.resolve(baseDir, key);
+    if (!filePath.startsWith(baseDir + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  return {
+    name: 'local',
+
+    async save(key, stream) {
+      const filePath = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+      const output = fs.createWriteStream(filePath, { flags: 'wx' });
+      try {
+        await pipeline(stream, output);
+      } catch (error) {
+        await fs.promises.rm(filePath, { force: true });
+        throw error;
+      }
+      return { size: output.bytesWritten };
+    },
+
+    async read(key) {
+      const filePath = resolveKey(key);
+      // Fail before the caller starts responding if the file is gone
+      await fs.promises.access(filePath);
+      return fs.createReadStream(filePath);
+    },
+
+    async remove(key) {
+      await fs.promises.rm(resolveKey(key), { force: true });
+    }
+  };
+};
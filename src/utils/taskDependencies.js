@@ -0,0 +1,84 @@
+import mongoose from 'mongoose';
+import { Task } from '../models/index.js';
+
+/**
+ * Task dependency helpers
+ * A task lists the tasks it waits for in `blockedBy`. It is blocked while
+ * any of them is still open, and a blocked task may not be started or
+ * completed unless the caller forces it.
+ */
+
+// Statuses that resolve a dependency
+export const RESOLVED_STATUSES = ['completed', 'cancelled'];
+
+// Statuses a blocked task may not move to
+export const BLOCKED_TRANSITIONS = ['in-progress', 'completed'];
+
+const toId = (value) => (value._id || value).toString();
+
+/**
+ * Find the open tasks blocking each of the given tasks
+ * Returns a map of task ID to [{ _id, title, status }].
+ */
+export const findOpenBlockers = async (tasks) => {
+  const blockerIds = [...new Set(tasks.flatMap(task => (task.blockedBy || []).map(toId)))];
+  const blockers = new Map();
+  if (blockerIds.length === 0) return blockers;
+
+  const openTasks = await Task.find({ _id: { $in: blockerIds }, status: { $nin: RESOLVED_STATUSES } })
+    .select('title status')
+    .lean();
+  const openById = new Map(openTasks.map(task => [task._id.toString(), task]));
+
+  tasks.forEach(task => {
+    const open = (task.blockedBy || []).map(toId).filter(id => openById.has(id)).map(id => openById.get(id));
+    if (open.length > 0) blockers.set(task._id.toString(), open);
+  });
+
+  return blockers;
+};
+
+/**
+ * Add a `blocked` flag to plain task objects
+ */
+export const annotateBlocked = async (tasks) => {
+  const blockers = await findOpenBlockers(tasks);
+  tasks.forEach(task => {
+    task.blocked = blockers.has(task._id.toString());
+  });
+  return tasks;
+};
+
+/**
+ * Check whether making `taskId` wait for `dependencyId` would create a cycle,
+ * i.e. whether `dependencyId` already (transitively) waits for `taskId`
+ */
+export const createsDependencyCycle = async (taskId, dependencyId) => {
+  if (toId(taskId) === toId(dependencyId)) return true;
+
+  const [result] = await Task.aggregate([
+    { $match: { _id: new mongoose.Types.ObjectId(toId(dependencyId)) } },
+    {
+      $graphLookup: {
+        from: 'tasks',
+        startWith: '$blockedBy',
+        connectFromField: 'blockedBy',
+        connectToField: '_id',
+        as: 'upstream'
+      }
+    },
+    { $project: { upstream: '$upstream._id' } }
+  ]);
+
+  return (result?.upstream || []).some(id => id.toString() === toId(taskId));
+};
+
+/**
+ * Remove purged tasks from every dependency list that points to them
+ * Tasks in the trash keep their links, so restoring them restores those too.
+ */
+export const removeDependencyLinks = async (taskIds) => {
+  if (taskIds.length === 0) return;
+  await Task.updateMany({ blockedBy: { $in: taskIds } }, { $pull: { blockedBy: { $in: taskIds } } })
+    .setOptions({ withDeleted: true });
+};
@@ -0,0 +1,99 @@
+import { Task } from '../models/index.js';
+
+/**
+ * Task hierarchy helpers
+ * Tasks form trees through `parent`. Every task also stores its `ancestors`
+ * (root first) so a subtree can be loaded with a single query. A task's
+ * progress is 100 or 0 from its own status while it has no subtasks, and the
+ * average progress of its non-cancelled subtasks once it has some.
+ */
+
+/**
+ * Progress of a task without subtasks
+ */
+export const getLeafProgress = (status) => (status === 'completed' ? 100 : 0);
+
+/**
+ * Ancestor path for a task placed under the given parent
+ */
+export const buildAncestors = (parent) => (parent ? [...(parent.ancestors || []), parent._id] : []);
+
+/**
+ * Check whether placing a task under a parent would create a cycle
+ */
+export const createsCycle = (taskId, parent) => {
+  if (!parent) return false;
+  const id = taskId.toString();
+  return parent._id.toString() === id || (parent.ancestors || []).some(a => a.toString() === id);
+};
+
+/**
+ * Rewrite the ancestor paths below a task that moved to a new position
+ * `previousAncestors` is the task's path before the move. Descendants in
+ * the trash are included so they are restored in the right place.
+ */
+export const rebaseSubtree = async (taskId, previousAncestors, ancestors) => {
+  // Keep the part of each descendant's path from the moved task downwards
+  await Task.updateMany({ ancestors: taskId }, [{
+    $set: {
+      ancestors: {
+        $concatArrays: [
+          ancestors,
+          { $slice: ['$ancestors', (previousAncestors || []).length, { $size: '$ancestors' }] }
+        ]
+      }
+    }
+  }]).setOptions({ withDeleted: true });
+};
+
+/**
+ * Recalculate the progress of the given tasks and all their ancestors
+ * Tasks are processed deepest first so each parent sees up-to-date children.
+ */
+export const refreshProgress = async (taskIds = []) => {
+  if (taskIds.length === 0) return;
+
+  const tasks = await Task.find({ _id: { $in: taskIds } }).select('ancestors').lean();
+  const depths = new Map();
+  tasks.forEach(task => {
+    const ancestors = task.ancestors || [];
+    depths.set(task._id.toString(), ancestors.length);
+    ancestors.forEach((ancestorId, depth) => depths.set(ancestorId.toString(), depth));
+  });
+
+  const ordered = [...depths.entries()].sort((a, b) => b[1] - a[1]).map(([id]) => id);
+
+  for (const id of ordered) {
+    const task = await Task.findById(id).select('status').lean();
+    if (!task) continue;
+
+    const subtasks = await Task.find({ parent: id, status: { $ne: 'cancelled' } })
+      .select('progress')
+      .lean();
+
+    const progress = subtasks.length > 0 ?
+      Math.round(subtasks.reduce((sum, subtask) => sum + (subtask.progress || 0), 0) / subtasks.length) :
+      getLeafProgress(task.status);
+
+    await Task.updateOne({ _id: id }, { $set: { progress } });
+  }
+};
+
+/**
+ * Nest a flat list of descendants under their root task
+ */
+export const buildSubtree = (root, descendants) => {
+  const byParent = new Map();
+  descendants.forEach(task => {
+    const key = task.parent.toString();
+    if (!byParent.has(key)) byParent.set(key, []);
+    byParent.get(key).push(task);
+  });
+
+  const attach = (task) => ({
+    ...task,
+    subtasks: (byParent.get(task._id.toString()) || []).map(attach)
+  });
+
+  return attach(root);
+};
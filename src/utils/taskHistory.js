@@ -0,0 +1,236 @@
+import { Task, Project, TaskHistory } from '../models/index.js';
+import { TASK_STATUSES } from '../models/Task.js';
+import { getStatusCategory, resolveWorkflow } from './workflow.js';
+import { shiftDay, startOfLocalDay, toLocalDay } from './calendar.js';
+
+/**
+ * Task history helpers
+ * Status history is the data source for time in status, lead time (task
+ * created to completed) and cycle time (work started to completed). Work
+ * starts when a task first enters an in-progress or review category status
+ * of its project's workflow.
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Percentiles reported for lead and cycle time
+export const FLOW_PERCENTILES = [50, 85, 95];
+
+// Cumulative flow covers the last 30 days unless a range is given
+export const DEFAULT_FLOW_DAYS = 30;
+export const MAX_FLOW_DAYS = 366;
+
+// Status categories that count as work in progress
+const WORK_CATEGORIES = ['in-progress', 'review'];
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const toHours = (ms) => round(ms / HOUR_MS);
+
+const average = (values) => {
+  return values.length > 0 ? round(values.reduce((sum, value) => sum + value, 0) / values.length) : null;
+};
+
+// Nearest-rank percentile of values sorted in ascending order
+const percentile = (sorted, p) => {
+  return sorted.length > 0 ? sorted[Math.max(0, Math.ceil((p / 100) * sorted.length) - 1)] : null;
+};
+
+/**
+ * Hours spent in each status, from a task's status entries (oldest first)
+ * The current status is counted up to `until`.
+ */
+export const getStatusDurations = (entries, until = new Date()) => {
+  const totals = new Map();
+  entries.forEach((entry, index) => {
+    const end = entries[index + 1]?.at || until;
+    totals.set(entry.to, (totals.get(entry.to) || 0) + (new Date(end) - new Date(entry.at)));
+  });
+  return [...totals.entries()].map(([status, ms]) => ({ status, hours: toHours(ms) }));
+};
+
+/**
+ * Lead and cycle times of the completed tasks matching a filter
+ * Tasks count when their latest completion falls in the date range; tasks
+ * that were reopened since are left out. Returns one row per task, ordered
+ * by completion time.
+ */
+export const getFlowTimes = async (taskFilter, { startDate, endDate } = {}) => {
+  const range = {};
+  if (startDate) range.$gte = startDate;
+  if (endDate) range.$lte = endDate;
+
+  const completedIds = await TaskHistory.distinct('task', {
+    workspace: taskFilter.workspace,
+    field: 'status',
+    to: 'completed',
+    ...(Object.keys(range).length && { at: range })
+  });
+  if (completedIds.length === 0) return [];
+
+  const tasks = await Task.find({ ...taskFilter, _id: { $in: completedIds }, status: 'completed' })
+    .select('title project createdAt')
+    .lean();
+  if (tasks.length === 0) return [];
+
+  const [entries, projects] = await Promise.all([
+    TaskHistory.find({ task: { $in: tasks.map(task => task._id) }, field: 'status' }).sort({ at: 1 }).lean(),
+    Project.find({ _id: { $in: tasks.map(task => task.project).filter(Boolean) } }).select('workflow').lean()
+  ]);
+
+  const entriesByTask = new Map();
+  entries.forEach(entry => {
+    const key = entry.task.toString();
+    if (!entriesByTask.has(key)) entriesByTask.set(key, []);
+    entriesByTask.get(key).push(entry);
+  });
+  const workflows = new Map(projects.map(project => [project._id.toString(), resolveWorkflow(project)]));
+
+  return tasks
+    .map(task => {
+      const history = entriesByTask.get(task._id.toString()) || [];
+      const completion = history.filter(entry => entry.to === 'completed').pop();
+      if (!completion || (range.$gte && completion.at < range.$gte) || (range.$lte && completion.at > range.$lte)) {
+        return null;
+      }
+
+      const workflow = workflows.get(task.project?.toString()) || resolveWorkflow(null);
+      const created = history.find(entry => entry.from === null);
+      const started = history.find(entry =>
+        entry.at <= completion.at && WORK_CATEGORIES.includes(getStatusCategory(workflow, entry.to))
+      );
+      const createdAt = created ? created.at : task.createdAt;
+
+      return {
+        task: task._id,
+        title: task.title,
+        project: task.project || null,
+        createdAt,
+        startedAt: started ? started.at : null,
+        completedAt: completion.at,
+        leadTimeHours: toHours(completion.at - createdAt),
+        cycleTimeHours: started ? toHours(completion.at - started.at) : null
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.completedAt - b.completedAt);
+};
+
+/**
+ * Average lead and cycle time of getFlowTimes() rows
+ * Tasks that never entered a work status have no cycle time.
+ */
+export const summarizeFlowTimes = (rows) => {
+  const cycleTimes = rows.filter(row => row.cycleTimeHours !== null);
+  return {
+    completedTasks: rows.length,
+    avgLeadTimeHours: average(rows.map(row => row.leadTimeHours)),
+    avgCycleTimeHours: average(cycleTimes.map(row => row.cycleTimeHours))
+  };
+};
+
+/**
+ * Lead and cycle time percentiles of getFlowTimes() rows
+ * Returns one row per metric with the task count, the average and the
+ * FLOW_PERCENTILES (p50, p85, p95) in hours.
+ */
+export const getFlowPercentiles = (rows) => {
+  const describe = (metric, values) => {
+    const sorted = [...values].sort((a, b) => a - b);
+    return {
+      metric,
+      tasks: sorted.length,
+      avgHours: average(sorted),
+      ...Object.fromEntries(FLOW_PERCENTILES.map(p => [`p${p}Hours`, percentile(sorted, p)]))
+    };
+  };
+
+  return [
+    describe('cycleTime', rows.filter(row => row.cycleTimeHours !== null).map(row => row.cycleTimeHours)),
+    describe('leadTime', rows.map(row => row.leadTimeHours))
+  ];
+};
+
+/**
+ * Daily task counts per status (cumulative flow) of the tasks matching a filter
+ * A task counts on a day from its creation on, in the status it was in at
+ * the end of that day in the given time zone. Returns one row per day with a
+ * count for every status seen, statuses ordered by their workflow category.
+ */
+export const getCumulativeFlow = async (taskFilter, { startDate, endDate, timezone = 'UTC' } = {}) => {
+  const lastDay = toLocalDay(endDate || new Date(), timezone);
+  const firstDay = startDate ? toLocalDay(startDate, timezone) : shiftDay(lastDay, -(DEFAULT_FLOW_DAYS - 1));
+  const windowEnd = startOfLocalDay(shiftDay(lastDay, 1), timezone);
+
+  const tasks = await Task.find({ ...taskFilter, createdAt: { $lt: windowEnd } })
+    .select('project status createdAt')
+    .lean();
+
+  const [entries, projects] = await Promise.all([
+    TaskHistory.find({ task: { $in: tasks.map(task => task._id) }, field: 'status', at: { $lt: windowEnd } })
+      .select('task to at')
+      .sort({ at: 1 })
+      .lean(),
+    Project.find({ _id: { $in: tasks.map(task => task.project).filter(Boolean) } }).select('workflow').lean()
+  ]);
+
+  const entriesByTask = new Map();
+  entries.forEach(entry => {
+    const key = entry.task.toString();
+    if (!entriesByTask.has(key)) entriesByTask.set(key, []);
+    entriesByTask.get(key).push(entry);
+  });
+  const workflows = new Map(projects.map(project => [project._id.toString(), resolveWorkflow(project)]));
+
+  // Order statuses as their categories are ordered, custom statuses by name
+  const categories = new Map();
+  const timelines = tasks.map(task => {
+    const workflow = workflows.get(task.project?.toString()) || resolveWorkflow(null);
+    // Tasks created before history was recorded keep their current status
+    const history = entriesByTask.get(task._id.toString()) || [{ to: task.status, at: task.createdAt }];
+    history.forEach(entry => {
+      if (!categories.has(entry.to)) categories.set(entry.to, getStatusCategory(workflow, entry.to));
+    });
+    return { createdAt: task.createdAt, history, index: 0, status: null };
+  });
+  const rank = (status) => {
+    const position = TASK_STATUSES.indexOf(categories.get(status));
+    return position === -1 ? TASK_STATUSES.length : position;
+  };
+  const statuses = [...categories.keys()].sort((a, b) => rank(a) - rank(b) || a.localeCompare(b));
+
+  const rows = [];
+  for (let day = firstDay; day <= lastDay; day = shiftDay(day, 1)) {
+    const dayEnd = startOfLocalDay(shiftDay(day, 1), timezone);
+    const counts = Object.fromEntries(statuses.map(status => [status, 0]));
+
+    timelines.forEach(timeline => {
+      while (timeline.index < timeline.history.length && timeline.history[timeline.index].at < dayEnd) {
+        timeline.status = timeline.history[timeline.index].to;
+        timeline.index += 1;
+      }
+      if (timeline.createdAt < dayEnd && timeline.status) counts[timeline.status] += 1;
+    });
+
+    rows.push({ date: day, ...counts });
+  }
+
+  return rows;
+};
+
+/**
+ * History entries for a task that existed before history was recorded
+ * Reconstructs its current values at creation and, for completed tasks,
+ * the completion itself.
+ */
+export const buildInitialHistory = (task) => {
+  const snapshot = TaskHistory.snapshot(task);
+  const completed = task.status === 'completed' && task.completedDate;
+  const initial = completed ? { ...snapshot, status: 'todo' } : snapshot;
+  const createdAt = task.createdAt || new Date();
+
+  return [
+    ...TaskHistory.diff(task, null, initial, null, createdAt),
+    ...(completed ? TaskHistory.diff(task, initial, snapshot, null, new Date(Math.max(task.completedDate, createdAt))) : [])
+  ];
+};
@@ -0,0 +1,107 @@
+import mongoose from 'mongoose';
+import { Task, TimeEntry } from '../models/index.js';
+import { shiftDay, startOfLocalDay, toLocalDay } from './calendar.js';
+
+/**
+ * Time tracking helpers
+ * A task's `actualHours` is derived from its finished time entries and is
+ * recomputed whenever they change. Timesheets cover a week from Monday
+ * 00:00 in the request's time zone, and each entry counts towards the day it
+ * started.
+ */
+
+const round = (value) => Math.round(value * 100) / 100;
+
+export const toHours = (seconds) => round(seconds / 3600);
+
+/**
+ * Recompute `actualHours` of the given tasks from their time entries
+ * Tasks without finished entries lose the field.
+ */
+export const syncActualHours = async (taskIds) => {
+  const ids = [...new Set(taskIds.map(id => id.toString()))];
+  if (ids.length === 0) return;
+
+  const totals = await TimeEntry.aggregate([
+    { $match: { task: { $in: ids.map(id => new mongoose.Types.ObjectId(id)) }, endedAt: { $ne: null } } },
+    { $group: { _id: '$task', seconds: { $sum: '$duration' } } }
+  ]);
+  const secondsByTask = new Map(totals.map(total => [total._id.toString(), total.seconds]));
+
+  for (const id of ids) {
+    const update = secondsByTask.has(id) ?
+      { $set: { actualHours: toHours(secondsByTask.get(id)) } } :
+      { $unset: { actualHours: '' } };
+    await Task.updateOne({ _id: id }, update).setOptions({ withDeleted: true });
+  }
+};
+
+/**
+ * The Monday-to-Monday week containing the given date in a time zone
+ * `days` are the moments each day starts and `dates` their local days
+ * ('YYYY-MM-DD'). Days are not always 24 hours long across DST changes.
+ */
+export const getWeekRange = (date = new Date(), timezone = 'UTC') => {
+  const day = toLocalDay(date, timezone);
+  // getUTCDay() of a local day at midnight UTC is its weekday, 0 for Sunday
+  const monday = shiftDay(day, -((new Date(`${day}T00:00:00Z`).getUTCDay() + 6) % 7));
+
+  const dates = Array.from({ length: 7 }, (_, index) => shiftDay(monday, index));
+  return {
+    start: startOfLocalDay(monday, timezone),
+    end: startOfLocalDay(shiftDay(monday, 7), timezone),
+    days: dates.map(local => startOfLocalDay(local, timezone)),
+    dates,
+    timezone
+  };
+};
+
+/**
+ * Group a week's finished entries into timesheet rows
+ * `getRowKey` picks the row an entry belongs to; `describeRow` turns the
+ * first entry of a row into its label fields. Hours are listed per day of
+ * the week, Monday first.
+ */
+export const buildTimesheet = (entries, week, getRowKey, describeRow) => {
+  const dayIndex = (entry) => week.dates.indexOf(toLocalDay(entry.startedAt, week.timezone));
+  const rows = new Map();
+  const daySeconds = Array(7).fill(0);
+  let billableSeconds = 0;
+
+  entries.forEach(entry => {
+    const key = getRowKey(entry);
+    if (!rows.has(key)) {
+      rows.set(key, { ...describeRow(entry), seconds: Array(7).fill(0), billableSeconds: 0 });
+    }
+    const row = rows.get(key);
+    const day = dayIndex(entry);
+    row.seconds[day] += entry.duration;
+    daySeconds[day] += entry.duration;
+    if (entry.billable) {
+      row.billableSeconds += entry.duration;
+      billableSeconds += entry.duration;
+    }
+  });
+
+  const sum = (values) => values.reduce((total, value) => total + value, 0);
+
+  return {
+    week: {
+      start: week.start,
+      end: week.end,
+      days: week.dates,
+      timezone: week.timezone
+    },
+    rows: [...rows.values()].map(({ seconds, billableSeconds: rowBillable, ...row }) => ({
+      ...row,
+      hours: seconds.map(toHours),
+      totalHours: toHours(sum(seconds)),
+      billableHours: toHours(rowBillable)
+    })),
+    totals: {
+      hours: daySeconds.map(toHours),
+      totalHours: toHours(sum(daySeconds)),
+      billableHours: toHours(billableSeconds)
+    }
+  };
+};
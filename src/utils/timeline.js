@@ -0,0 +1,186 @@
+import { Task } from '../models/index.js';
+import { RESOLVED_STATUSES } from './taskDependencies.js';
+import {
+  addWorkingDays,
+  getOverdueDays,
+  nextWorkingDay,
+  shiftDay,
+  startOfLocalDay,
+  toLocalDay,
+  DEFAULT_CALENDAR
+} from './calendar.js';
+
+/**
+ * Timeline helpers
+ * A project's open tasks are scheduled with the critical path method: each
+ * task takes its remaining estimate (estimated less actual hours) at a given
+ * number of hours per working day and starts once every open task it waits
+ * for in the project has finished. Days are the working days of the
+ * project's calendar. The schedule starts today, or on the project's start
+ * date when that is later. A task's slack is how far it can slip without
+ * delaying the last task; tasks without slack form the critical path.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const DEFAULT_HOURS_PER_DAY = 8;
+
+// Offsets closer than this (in days) count as equal
+const EPSILON = 1e-9;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const toId = (value) => (value._id || value).toString();
+
+// Due dates are met by finishing by the end of the due day, or of the
+// next working day when the due day is not worked
+const getDeadline = (calendar, dueDate) => {
+  const day = nextWorkingDay(calendar, toLocalDay(dueDate, calendar.timezone));
+  return startOfLocalDay(shiftDay(day, 1), calendar.timezone);
+};
+
+/**
+ * Order tasks so that each comes after the tasks it waits for
+ * Returns null when the dependencies form a cycle.
+ */
+const sortByDependencies = (tasks, predecessors) => {
+  const remaining = new Map(tasks.map(task => [task._id.toString(), predecessors.get(task._id.toString()).length]));
+  const successors = new Map(tasks.map(task => [task._id.toString(), []]));
+  predecessors.forEach((ids, id) => ids.forEach(predecessor => successors.get(predecessor).push(id)));
+
+  const ready = [...remaining].filter(([, count]) => count === 0).map(([id]) => id);
+  const order = [];
+  while (ready.length > 0) {
+    const id = ready.shift();
+    order.push(id);
+    successors.get(id).forEach(successor => {
+      remaining.set(successor, remaining.get(successor) - 1);
+      if (remaining.get(successor) === 0) ready.push(successor);
+    });
+  }
+
+  return order.length === tasks.length ? { order, successors } : null;
+};
+
+/**
+ * Schedule of a project's tasks with the critical path and slack per task
+ * Returns null when the open tasks' dependencies form a cycle. Completed
+ * tasks are listed with their completion date but not scheduled; cancelled
+ * tasks are left out, and dependencies on tasks outside the project are
+ * not waited for.
+ */
+export const scheduleProject = async (project, {
+  hoursPerDay = DEFAULT_HOURS_PER_DAY,
+  calendar = DEFAULT_CALENDAR,
+  now = new Date()
+} = {}) => {
+  const { timezone } = calendar;
+  const originDay = nextWorkingDay(calendar, toLocalDay(project.startDate && project.startDate > now ? project.startDate : now, timezone));
+  // Offsets count working days from the origin; a whole number of days
+  // finishes at the end of the last working day rather than at the start
+  // of the next one
+  const toDate = (offset, finish = false) => {
+    const whole = Math.floor(offset + EPSILON);
+    const fraction = Math.max(offset - whole, 0);
+    if (finish && whole > 0 && fraction < EPSILON) {
+      return startOfLocalDay(shiftDay(addWorkingDays(calendar, originDay, whole - 1), 1), timezone);
+    }
+    return new Date(startOfLocalDay(addWorkingDays(calendar, originDay, whole), timezone).getTime() + fraction * DAY_MS);
+  };
+
+  const tasks = await Task.find({ project: project._id, status: { $ne: 'cancelled' } })
+    .select('title status assignees blockedBy dueDate estimatedHours actualHours completedDate')
+    .populate('assignees', 'name email')
+    .sort({ createdAt: 1 })
+    .lean();
+
+  const open = tasks.filter(task => !RESOLVED_STATUSES.includes(task.status));
+  const openIds = new Set(open.map(task => task._id.toString()));
+  const predecessors = new Map(open.map(task => [
+    task._id.toString(),
+    [...new Set((task.blockedBy || []).map(toId))].filter(id => openIds.has(id))
+  ]));
+
+  const sorted = sortByDependencies(open, predecessors);
+  if (!sorted) return null;
+  const { order, successors } = sorted;
+
+  const byId = new Map(open.map(task => [task._id.toString(), task]));
+  const duration = new Map(open.map(task => {
+    const remainingHours = Math.max((task.estimatedHours || 0) - (task.actualHours || 0), 0);
+    return [task._id.toString(), remainingHours / hoursPerDay];
+  }));
+
+  // Forward pass: earliest start and finish
+  const early = new Map();
+  order.forEach(id => {
+    const start = Math.max(0, ...predecessors.get(id).map(predecessor => early.get(predecessor).finish));
+    early.set(id, { start, finish: start + duration.get(id) });
+  });
+  const finish = Math.max(0, ...[...early.values()].map(times => times.finish));
+
+  // Backward pass: latest start and finish that do not delay the last task
+  const latest = new Map();
+  [...order].reverse().forEach(id => {
+    const lateFinish = Math.min(finish, ...successors.get(id).map(successor => latest.get(successor).start));
+    latest.set(id, { start: lateFinish - duration.get(id), finish: lateFinish });
+  });
+
+  const scheduled = order.map(id => {
+    const task = byId.get(id);
+    const slack = latest.get(id).start - early.get(id).start;
+    const earlyFinish = toDate(early.get(id).finish, true);
+    const late = Boolean(task.dueDate) && earlyFinish > getDeadline(calendar, task.dueDate);
+    return {
+      _id: task._id,
+      title: task.title,
+      status: task.status,
+      assignees: task.assignees,
+      dependsOn: predecessors.get(id),
+      estimatedHours: task.estimatedHours ?? null,
+      remainingHours: round(duration.get(id) * hoursPerDay),
+      durationDays: round(duration.get(id)),
+      earlyStart: toDate(early.get(id).start),
+      earlyFinish,
+      lateStart: toDate(latest.get(id).start),
+      lateFinish: toDate(latest.get(id).finish, true),
+      slackDays: round(slack),
+      critical: slack < EPSILON,
+      dueDate: task.dueDate || null,
+      // The due date cannot be met even if the task starts as early as it can
+      late,
+      // Working days past the due date
+      daysLate: late ? getOverdueDays(task.dueDate, calendar, new Date(earlyFinish.getTime() - 1)) : 0
+    };
+  });
+
+  const projectFinish = toDate(finish, true);
+
+  return {
+    hoursPerDay,
+    calendar,
+    start: startOfLocalDay(originDay, timezone),
+    finish: projectFinish,
+    dueDate: project.dueDate || null,
+    late: Boolean(project.dueDate) && projectFinish > getDeadline(calendar, project.dueDate),
+    criticalPath: scheduled
+      .filter(task => task.critical)
+      .sort((a, b) => a.earlyStart - b.earlyStart || a.earlyFinish - b.earlyFinish)
+      .map(task => task._id),
+    lateTasks: scheduled.filter(task => task.late).map(task => task._id),
+    tasks: [
+      ...scheduled.sort((a, b) => a.earlyStart - b.earlyStart || a.earlyFinish - b.earlyFinish),
+      ...tasks
+        .filter(task => !openIds.has(task._id.toString()))
+        .map(task => ({
+          _id: task._id,
+          title: task.title,
+          status: task.status,
+          assignees: task.assignees,
+          estimatedHours: task.estimatedHours ?? null,
+          completedDate: task.completedDate || null,
+          dueDate: task.dueDate || null
+        }))
+    ]
+  };
+};
@@ -0,0 +1,70 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+/**
+ * JWT helpers
+ * Issues and verifies the access/refresh token pair used by the auth endpoints
+ */
+
+const ACCESS_TOKEN_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_EXPIRES_IN = process.env.JWT_REFRESH_EXPIRES_IN || '7d';
+
+const getSecret = (name) => {
+  const secret = process.env[name] || process.env.JWT_SECRET;
+  if (!secret) {
+    throw new Error(`${name} is not configured`);
+  }
+  return secret;
+};
+
+/**
+ * Sign a short-lived access token for the given user
+ */
+export const generateAccessToken = (user) => {
+  return jwt.sign(
+    { sub: user._id.toString(), type: 'access' },
+    getSecret('JWT_SECRET'),
+    { expiresIn: ACCESS_TOKEN_EXPIRES_IN }
+  );
+};
+
+/**
+ * Sign a long-lived refresh token
+ * Each token carries a random id so it can be revoked individually on logout
+ */
+export const generateRefreshToken = (user) => {
+  const tokenId = crypto.randomUUID();
+  const token = jwt.sign(
+    { sub: user._id.toString(), type: 'refresh' },
+    getSecret('JWT_REFRESH_SECRET'),
+    { expiresIn: REFRESH_TOKEN_EXPIRES_IN, jwtid: tokenId }
+  );
+  const { exp } = jwt.decode(token);
+
+  return { token, tokenId, expiresAt: new Date(exp * 1000) };
+};
+
+/**
+ * Verify an access token (throws JsonWebTokenError / TokenExpiredError)
+ */
+export const verifyAccessToken = (token) => {
+  const payload = jwt.verify(token, getSecret('JWT_SECRET'));
+  if (payload.type !== 'access') {
+    throw new jwt.JsonWebTokenError('Invalid token type');
+  }
+  return payload;
+};
+
+/**
+ * Verify a refresh token (throws JsonWebTokenError / TokenExpiredError)
+ */
+export const verifyRefreshToken = (token) => {
+  const payload = jwt.verify(token, getSecret('JWT_REFRESH_SECRET'));
+  if (payload.type !== 'refresh') {
+    throw new jwt.JsonWebTokenError('Invalid token type');
+  }
+  return payload;
+};
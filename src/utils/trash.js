@@ -0,0 +1,205 @@
+import { Task, Project, TaskHistory, TaskSnapshot, Comment, TimeEntry, Sprint } from '../models/index.js';
+import { removeDependencyLinks } from './taskDependencies.js';
+import { recordAudit } from './audit.js';
+import { getStorageKeys, removeStoredFiles } from './attachments.js';
+
+/**
+ * Trash helpers
+ * Deleting a task or project only marks it deleted (see the softDelete
+ * model plugin). Documents taken along by a deletion, such as a task's
+ * subtasks or a project's tasks, record what they were deleted with so
+ * they can be restored together. Whatever stays in the trash longer than
+ * the retention period is purged for good.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+// Longest interval setInterval accepts (2^31 - 1 ms, about 24 days)
+const MAX_INTERVAL_HOURS = Math.floor((2 ** 31 - 1) / HOUR_MS);
+
+/**
+ * Days a deleted task or project stays restorable (TRASH_RETENTION_DAYS)
+ */
+export const getRetentionDays = () => parseInt(process.env.TRASH_RETENTION_DAYS) || 30;
+
+/**
+ * When a document deleted at the given time will be purged
+ */
+export const getPurgeDate = (deletedAt) => new Date(new Date(deletedAt).getTime() + getRetentionDays() * DAY_MS);
+
+/**
+ * Move tasks to the trash together with their subtrees
+ * Tasks inside the subtree of another listed task go along with it.
+ * Returns the IDs of every task deleted, listed tasks first.
+ */
+export const trashTasks = async (taskIds, actor, deletedAt = new Date()) => {
+  const tasks = await Task.find({ _id: { $in: taskIds } }).select('ancestors').lean();
+  const listed = new Set(tasks.map(task => task._id.toString()));
+  const roots = tasks.filter(task => !(task.ancestors || []).some(id => listed.has(id.toString())));
+
+  const rootIds = roots.map(task => task._id);
+  const deletedIds = [...rootIds];
+  await Task.updateMany({ _id: { $in: rootIds } }, { $set: { deletedAt, deletedBy: actor, deletedWith: null } });
+
+  for (const rootId of rootIds) {
+    const descendantIds = await Task.find({ ancestors: rootId }).distinct('_id');
+    if (descendantIds.length === 0) continue;
+    await Task.updateMany(
+      { _id: { $in: descendantIds } },
+      { $set: { deletedAt, deletedBy: actor, deletedWith: rootId } }
+    );
+    deletedIds.push(...descendantIds);
+  }
+
+  return deletedIds;
+};
+
+/**
+ * Move a project's remaining tasks to the trash along with the project
+ * Returns the IDs of the tasks deleted.
+ */
+export const trashProjectTasks = async (projectId, actor, deletedAt = new Date()) => {
+  const taskIds = await Task.find({ project: projectId }).distinct('_id');
+  if (taskIds.length > 0) {
+    await Task.updateMany(
+      { _id: { $in: taskIds } },
+      { $set: { deletedAt, deletedBy: actor, deletedWith: projectId } }
+    );
+  }
+  return taskIds;
+};
+
+/**
+ * Take tasks out of the trash: the given task (or project) and everything
+ * deleted along with it
+ * Returns the IDs of the restored tasks.
+ */
+const restoreTrashedTasks = async (filter) => {
+  const taskIds = await Task.find({ ...filter, deletedAt: { $ne: null } }).distinct('_id');
+  if (taskIds.length > 0) {
+    await Task.updateMany(
+      { _id: { $in: taskIds }, deletedAt: { $ne: null } },
+      { $set: { deletedAt: null, deletedBy: null, deletedWith: null } }
+    );
+  }
+  return taskIds;
+};
+
+export const restoreTaskTree = (taskId) => restoreTrashedTasks({ $or: [{ _id: taskId }, { deletedWith: taskId }] });
+
+export const restoreProjectTasks = (projectId) => restoreTrashedTasks({ deletedWith: projectId });
+
+/**
+ * Leave the tasks deleted with a project in the trash on their own, for a
+ * project restored without them
+ * Subtasks stay attached to the topmost task deleted with them.
+ */
+export const releaseProjectTasks = async (projectId) => {
+  const tasks = await Task.find({ deletedWith: projectId, deletedAt: { $ne: null } }).select('ancestors').lean();
+  const trashed = new Set(tasks.map(task => task._id.toString()));
+
+  const groups = new Map();
+  tasks.forEach(task => {
+    const root = (task.ancestors || []).find(id => trashed.has(id.toString()));
+    const key = root ? root.toString() : null;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(task._id);
+  });
+
+  for (const [root, taskIds] of groups) {
+    await Task.updateMany(
+      { _id: { $in: taskIds }, deletedAt: { $ne: null } },
+      { $set: { deletedWith: root } }
+    );
+  }
+};
+
+/**
+ * Count the trashed tasks a project restore would bring back
+ */
+export const countProjectTrash = (projectId) => {
+  return Task.countDocuments({ deletedWith: projectId, deletedAt: { $ne: null } });
+};
+
+/**
+ * Permanently delete tasks and projects that have been in the trash for
+ * longer than the retention period
+ * Dependency links, history, snapshots, comments, time entries and
+ * attached files of purged tasks go too, as do the sprints of purged
+ * projects. Each affected workspace gets an audit entry.
+ */
+export const purgeTrash = async (retentionDays = getRetentionDays(), now = new Date()) => {
+  const cutoff = new Date(now.getTime() - retentionDays * DAY_MS);
+  const expired = { deletedAt: { $ne: null, $lte: cutoff } };
+
+  const [tasks, projects] = await Promise.all([
+    Task.find(expired).select('workspace attachments.storageKey').lean(),
+    Project.find(expired).select('workspace').lean()
+  ]);
+
+  const taskIds = tasks.map(task => task._id);
+  const projectIds = projects.map(project => project._id);
+
+  if (taskIds.length > 0) {
+    await Task.deleteMany({ _id: { $in: taskIds } });
+    await TaskHistory.deleteMany({ task: { $in: taskIds } });
+    await TaskSnapshot.deleteMany({ task: { $in: taskIds } });
+    await Comment.deleteMany({ task: { $in: taskIds } });
+    await TimeEntry.deleteMany({ task: { $in: taskIds } });
+    await removeDependencyLinks(taskIds);
+    await removeStoredFiles(getStorageKeys(tasks));
+  }
+  if (projectIds.length > 0) {
+    await Project.deleteMany({ _id: { $in: projectIds } });
+    await Sprint.deleteMany({ project: { $in: projectIds } });
+  }
+
+  // One audit entry per workspace
+  const byWorkspace = new Map();
+  const collect = (key) => (doc) => {
+    const id = doc.workspace.toString();
+    if (!byWorkspace.has(id)) byWorkspace.set(id, { tasks: [], projects: [] });
+    byWorkspace.get(id)[key].push(doc._id);
+  };
+  tasks.forEach(collect('tasks'));
+  projects.forEach(collect('projects'));
+
+  for (const [workspace, purged] of byWorkspace) {
+    await recordAudit({}, {
+      action: 'workspace.trash-purge',
+      entityType: 'workspace',
+      entityId: workspace,
+      workspace,
+      details: { retentionDays, purgedTasks: purged.tasks, purgedProjects: purged.projects }
+    });
+  }
+
+  return { purgedTasks: taskIds.length, purgedProjects: projectIds.length };
+};
+
+/**
+ * Purge the trash now and then periodically while the server runs
+ */
+export const scheduleTrashPurge = () => {
+  // TRASH_PURGE_INTERVAL_HOURS=0 disables the scheduled purge
+  const intervalHours = parseInt(process.env.TRASH_PURGE_INTERVAL_HOURS ?? 24);
+  if (!(intervalHours > 0)) return;
+  if (intervalHours > MAX_INTERVAL_HOURS) {
+    console.warn(`TRASH_PURGE_INTERVAL_HOURS is capped at ${MAX_INTERVAL_HOURS} hours`);
+  }
+
+  const run = async () => {
+    try {
+      const { purgedTasks, purgedProjects } = await purgeTrash();
+      if (purgedTasks || purgedProjects) {
+        console.log(`🗑️  Purged ${purgedTasks} tasks and ${purgedProjects} projects from the trash`);
+      }
+    } catch (error) {
+      console.error('Error purging trash:', error);
+    }
+  };
+
+  run();
+  setInterval(run, Math.min(intervalHours, MAX_INTERVAL_HOURS) * HOUR_MS).unref();
+};
@@ -0,0 +1,212 @@
+import { Project, Task } from '../models/index.js';
+import { TASK_STATUSES, STATUS_KEY_PATTERN } from '../models/Task.js';
+import { WORKFLOW_REQUIRABLE_FIELDS } from '../models/Project.js';
+
+/**
+ * Task workflow rules
+ * A workflow lists the statuses a project's tasks can be in, which status
+ * changes are allowed and which fields must be filled in before a task enters
+ * a status. Tasks without a project, and projects without their own
+ * workflow, use DEFAULT_WORKFLOW. Rule violations are reported as lists of
+ * { code, message, ... } objects that controllers return with a 422 status.
+ */
+
+// Custom statuses can only stand for open work
+const CUSTOM_STATUS_CATEGORIES = ['todo', 'in-progress', 'review'];
+
+const STATUS_NAMES = {
+  'todo': 'To Do',
+  'in-progress': 'In Progress',
+  'review': 'Review',
+  'completed': 'Completed',
+  'cancelled': 'Cancelled'
+};
+
+export const DEFAULT_WORKFLOW = {
+  statuses: TASK_STATUSES.map(key => ({ key, name: STATUS_NAMES[key], category: key })),
+  transitions: [
+    { from: 'todo', to: ['in-progress', 'review', 'completed', 'cancelled'] },
+    { from: 'in-progress', to: ['todo', 'review', 'completed', 'cancelled'] },
+    { from: 'review', to: ['todo', 'in-progress', 'completed', 'cancelled'] },
+    // Done tasks can be reopened, but not flipped between completed and cancelled
+    { from: 'completed', to: ['todo', 'in-progress', 'review'] },
+    { from: 'cancelled', to: ['todo'] }
+  ],
+  requiredFields: []
+};
+
+/**
+ * Get the workflow that applies to a project (or to personal tasks)
+ */
+export const resolveWorkflow = (project) => {
+  return project?.workflow?.statuses?.length ? project.workflow : DEFAULT_WORKFLOW;
+};
+
+/**
+ * Load the workflow for a project ID (null for personal tasks)
+ */
+export const loadWorkflow = async (projectId) => {
+  const project = projectId ? await Project.findById(projectId).select('workflow').lean() : null;
+  return resolveWorkflow(project);
+};
+
+/**
+ * Status a new task starts in
+ */
+export const getInitialStatus = (workflow) => workflow.statuses[0].key;
+
+/**
+ * Built-in status a workflow status stands for (null if unknown)
+ */
+export const getStatusCategory = (workflow, status) => {
+  const match = workflow.statuses.find(s => s.key === status);
+  return match ? match.category : null;
+};
+
+const isMissing = (value) => {
+  return value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+};
+
+/**
+ * Check that a task may enter a status
+ * `current` is the task as stored (null for new tasks) and `changes` the
+ * fields being written together with the status.
+ */
+export const checkStatusChange = (workflow, current, status, changes = {}) => {
+  const keys = workflow.statuses.map(s => s.key);
+
+  if (!keys.includes(status)) {
+    return [{
+      code: 'UNKNOWN_STATUS',
+      message: `Status ${status} is not part of the workflow`,
+      status,
+      allowed: keys
+    }];
+  }
+
+  const violations = [];
+  const from = current?.status;
+
+  // Tasks in a status the workflow does not know may move anywhere, so they
+  // can always be brought back in line
+  if (from && from !== status && keys.includes(from) && workflow.transitions?.length) {
+    const allowed = workflow.transitions.filter(t => t.from === from).flatMap(t => t.to);
+    if (!allowed.includes(status)) {
+      violations.push({
+        code: 'TRANSITION_NOT_ALLOWED',
+        message: `Tasks cannot move from ${from} to ${status}`,
+        from,
+        to: status,
+        allowed
+      });
+    }
+  }
+
+  if (from !== status) {
+    (workflow.requiredFields || [])
+      .filter(rule => rule.status === status)
+      .flatMap(rule => rule.fields)
+      .forEach(field => {
+        const value = changes[field] !== undefined ? changes[field] : current?.[field];
+        if (isMissing(value)) {
+          violations.push({
+            code: 'REQUIRED_FIELD_MISSING',
+            message: `${field} is required before a task can move to ${status}`,
+            status,
+            field
+          });
+        }
+      });
+  }
+
+  return violations;
+};
+
+/**
+ * Validate and normalize a workflow definition
+ * Statuses may be given as keys (for built-in statuses) or objects.
+ * Returns { workflow } or { errors: [{ field, message }] }.
+ */
+export const normalizeWorkflow = (input) => {
+  const errors = [];
+  const fail = (field, message) => errors.push({ field, message });
+
+  if (!input || typeof input !== 'object' || !Array.isArray(input.statuses) || input.statuses.length === 0) {
+    return { errors: [{ field: 'statuses', message: 'A workflow needs a non-empty statuses array' }] };
+  }
+
+  const statuses = input.statuses.map((entry, index) => {
+    const status = typeof entry === 'string' ? { key: entry } : { ...entry };
+    const field = `statuses[${index}]`;
+
+    if (!STATUS_KEY_PATTERN.test(status.key || '')) {
+      fail(`${field}.key`, 'Status key must start with a letter and use only lowercase letters, digits and dashes (max 30)');
+    } else if (TASK_STATUSES.includes(status.key)) {
+      if (status.category && status.category !== status.key) {
+        fail(`${field}.category`, `Built-in status ${status.key} cannot change its category`);
+      }
+      status.category = status.key;
+    } else if (!CUSTOM_STATUS_CATEGORIES.includes(status.category)) {
+      fail(`${field}.category`, `Custom statuses need a category: ${CUSTOM_STATUS_CATEGORIES.join(', ')}`);
+    }
+
+    return {
+      key: status.key,
+      name: status.name || STATUS_NAMES[status.key] || status.key,
+      category: status.category
+    };
+  });
+
+  const keys = statuses.map(s => s.key);
+  const duplicates = keys.filter((key, index) => keys.indexOf(key) !== index);
+  if (duplicates.length > 0) {
+    fail('statuses', `Duplicate statuses: ${[...new Set(duplicates)].join(', ')}`);
+  }
+  if (!keys.includes('completed')) {
+    fail('statuses', 'A workflow must include the completed status');
+  }
+
+  const transitions = (input.transitions || []).map((transition, index) => {
+    const to = Array.isArray(transition?.to) ? transition.to : [transition?.to];
+    if (!keys.includes(transition?.from)) {
+      fail(`transitions[${index}].from`, `Unknown status: ${transition?.from}`);
+    }
+    to.filter(key => !keys.includes(key)).forEach(key => {
+      fail(`transitions[${index}].to`, `Unknown status: ${key}`);
+    });
+    return { from: transition?.from, to: [...new Set(to)] };
+  });
+
+  const requiredFields = (input.requiredFields || []).map((rule, index) => {
+    if (!keys.includes(rule?.status)) {
+      fail(`requiredFields[${index}].status`, `Unknown status: ${rule?.status}`);
+    }
+    const fields = Array.isArray(rule?.fields) ? rule.fields : [];
+    fields.filter(field => !WORKFLOW_REQUIRABLE_FIELDS.includes(field)).forEach(field => {
+      fail(`requiredFields[${index}].fields`, `Field ${field} cannot be required. Use: ${WORKFLOW_REQUIRABLE_FIELDS.join(', ')}`);
+    });
+    return { status: rule?.status, fields: [...new Set(fields)] };
+  });
+
+  return errors.length > 0 ? { errors } : { workflow: { statuses, transitions, requiredFields } };
+};
+
+/**
+ * Find tasks whose status a workflow does not list
+ * Returns one STATUS_NOT_IN_WORKFLOW violation per status for the tasks
+ * matching the filter.
+ */
+export const findStatusesOutsideWorkflow = async (workflow, taskFilter) => {
+  const keys = workflow.statuses.map(s => s.key);
+  const counts = await Task.aggregate([
+    { $match: { ...taskFilter, status: { $nin: keys } } },
+    { $group: { _id: '$status', taskCount: { $sum: 1 } } },
+    { $sort: { _id: 1 } }
+  ]);
+  return counts.map(entry => ({
+    code: 'STATUS_NOT_IN_WORKFLOW',
+    message: `${entry.taskCount} tasks are in status ${entry._id}, which the workflow does not include`,
+    status: entry._id,
+    taskCount: entry.taskCount
+  }));
+};
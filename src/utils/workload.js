@@ -0,0 +1,175 @@
+import { Project, Task } from '../models/index.js';
+import { can, getProjectRole } from './permissions.js';
+import { getWeekRange } from './timeTracking.js';
+import { isWorkingDay, resolveCalendar, shiftDay, startOfLocalDay } from './calendar.js';
+
+/**
+ * Workload helpers
+ * Open tasks are planned into the week of their due date, their estimated
+ * hours split evenly between their assignees, and compared with what each
+ * workspace member can work that week. Tasks due before the first week are
+ * overdue and count in it; tasks without a due date are listed as
+ * unscheduled. Weeks start on Monday in the given time zone.
+ */
+
+export const DEFAULT_WORKLOAD_WEEKS = 4;
+export const MAX_WORKLOAD_WEEKS = 26;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Days off are stored as midnight UTC of the day they stand for
+const toDay = (date) => new Date(date).toISOString().slice(0, 10);
+
+/**
+ * Hours a workspace member can work in a week (a getWeekRange() result)
+ * Their weekly hours are spread over the working days of the workspace
+ * calendar; holidays and their own days off take their share away.
+ */
+export const getWeeklyCapacity = (member, week, calendar) => {
+  const daysOff = new Set((member.daysOff || []).map(toDay));
+  const workingDays = week.dates
+    .filter(day => isWorkingDay(calendar, day) && !daysOff.has(day))
+    .length;
+  return round(((member.hoursPerWeek ?? 40) * workingDays) / calendar.workingDays.length);
+};
+
+/**
+ * Reassignments that would relieve overbooked weeks
+ * For each overbooked member and week, their largest tasks in that week are
+ * offered, one at a time until the week fits, to the project member with the
+ * most hours still free that week who can edit tasks and has room for it.
+ * Personal tasks are never suggested. Later suggestions take earlier ones
+ * into account; the allocations in `people` end up reflecting them.
+ */
+const suggestReassignments = (people, weekRanges, projects) => {
+  const suggestions = [];
+  const describeUser = ({ member }) => ({ _id: member.user._id, name: member.user.name, email: member.user.email });
+
+  people.forEach((person, personId) => {
+    person.weeks.forEach((week, index) => {
+      const candidates = week.tasks
+        .filter(({ task, hours }) => task.project && hours > 0)
+        .sort((a, b) => b.hours - a.hours);
+
+      for (const { task, hours } of candidates) {
+        if (week.allocated <= week.capacity) break;
+
+        const project = projects.get(task.project.toString());
+        const assignees = new Set(task.assignees.map(String));
+        let target = null;
+        people.forEach((other, otherId) => {
+          if (otherId === personId || assignees.has(otherId)) return;
+          if (!can(getProjectRole(project, otherId), 'task:edit')) return;
+          const free = other.weeks[index].capacity - other.weeks[index].allocated;
+          if (free >= hours && (!target || free > target.free)) target = { id: otherId, free };
+        });
+        if (!target) continue;
+
+        week.allocated -= hours;
+        people.get(target.id).weeks[index].allocated += hours;
+        suggestions.push({
+          task: { _id: task._id, title: task.title, project: task.project, dueDate: task.dueDate, estimatedHours: task.estimatedHours },
+          week: weekRanges[index].dates[0],
+          hours: round(hours),
+          from: describeUser(person),
+          to: describeUser(people.get(target.id))
+        });
+      }
+    });
+  });
+
+  return suggestions;
+};
+
+/**
+ * Weekly allocation of a workspace's members against their capacity
+ * `workspace` needs its members with `user` populated. Returns the weeks,
+ * one row per member with their allocation in each week, and suggested
+ * reassignments for overbooked weeks. Tasks of archived projects are left
+ * out.
+ */
+export const getWorkload = async (workspace, { from = new Date(), weeks = DEFAULT_WORKLOAD_WEEKS, timezone = 'UTC' } = {}) => {
+  const first = getWeekRange(from, timezone);
+  const weekRanges = Array.from({ length: weeks }, (value, index) => {
+    return getWeekRange(startOfLocalDay(shiftDay(first.dates[0], index * 7), timezone), timezone);
+  });
+  const windowEnd = weekRanges[weekRanges.length - 1].end;
+  const lastDay = weekRanges[weekRanges.length - 1].dates[6];
+  const calendar = resolveCalendar(null, workspace, timezone);
+
+  const projects = await Project.find({ workspace: workspace._id, archivedAt: null }).select('name members').lean();
+  const tasks = await Task.find({
+    workspace: workspace._id,
+    status: { $nin: ['completed', 'cancelled'] },
+    'assignees.0': { $exists: true },
+    $or: [{ project: { $in: projects.map(project => project._id) } }, { project: null }],
+    $and: [{ $or: [{ dueDate: null }, { dueDate: { $lt: windowEnd } }] }]
+  })
+    .select('title project assignees dueDate estimatedHours')
+    .lean();
+
+  const people = new Map(workspace.members.filter(member => member.user).map(member => [member.user._id.toString(), {
+    member,
+    weeks: weekRanges.map(week => ({ capacity: getWeeklyCapacity(member, week, calendar), allocated: 0, tasks: [] })),
+    unscheduled: { tasks: 0, hours: 0 },
+    unestimatedTasks: 0
+  }]));
+
+  const weekOf = (dueDate) => {
+    if (dueDate < weekRanges[0].start) return 0;
+    return weekRanges.findIndex(week => dueDate >= week.start && dueDate < week.end);
+  };
+
+  tasks.forEach(task => {
+    const assignees = task.assignees.map(String).filter(id => people.has(id));
+    const share = (task.estimatedHours || 0) / task.assignees.length;
+
+    assignees.forEach(id => {
+      const person = people.get(id);
+      if (!task.estimatedHours) person.unestimatedTasks += 1;
+      if (!task.dueDate) {
+        person.unscheduled.tasks += 1;
+        person.unscheduled.hours += share;
+        return;
+      }
+      const week = person.weeks[weekOf(task.dueDate)];
+      week.allocated += share;
+      week.tasks.push({ task, hours: share });
+    });
+  });
+
+  const rows = [...people.values()].map(({ member, weeks: personWeeks, unscheduled, unestimatedTasks }) => {
+    const capacity = personWeeks.reduce((sum, week) => sum + week.capacity, 0);
+    const allocated = personWeeks.reduce((sum, week) => sum + week.allocated, 0);
+    return {
+      user: { _id: member.user._id, name: member.user.name, email: member.user.email },
+      hoursPerWeek: member.hoursPerWeek ?? 40,
+      daysOff: (member.daysOff || []).map(toDay).filter(day => day >= first.dates[0] && day <= lastDay),
+      weeks: personWeeks.map((week, index) => ({
+        week: weekRanges[index].dates[0],
+        capacity: week.capacity,
+        allocated: round(week.allocated),
+        available: round(week.capacity - week.allocated),
+        utilization: week.capacity > 0 ? Math.round((week.allocated / week.capacity) * 100) : null,
+        overbooked: week.allocated > week.capacity,
+        tasks: week.tasks.length
+      })),
+      unscheduled: { tasks: unscheduled.tasks, hours: round(unscheduled.hours) },
+      unestimatedTasks,
+      totals: {
+        capacity: round(capacity),
+        allocated: round(allocated),
+        available: round(capacity - allocated)
+      }
+    };
+  });
+
+  // Suggestions move hours around, so they come after the rows are built
+  const suggestions = suggestReassignments(people, weekRanges, new Map(projects.map(project => [project._id.toString(), project])));
+
+  return {
+    weeks: weekRanges.map(week => ({ start: week.dates[0], end: week.dates[6] })),
+    people: rows,
+    suggestions
+  };
+};